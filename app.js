@@ -1,13 +1,45 @@
 // app.js (完全版 - 逆転項目対応 + 状態管理改善 + 暫定診断閾値対応 + XSS対策)
 
 import {
-    calculateScore,
+    calculateItemScores,
     determineMBTIType,
     FUNCTIONS,
     COGNITIVE_STACKS,
+    STACK_MODELS,
+    getTypeStack,
+    selectNextAdaptiveItem,
+    evaluateAdaptiveStop,
+    calculateItemContributions,
+    analyzeNearTies,
+    createScoreNormalization,
+    getNormalizedScore,
+    createScoringConfig,
+    createSeededRandom,
+    orderQuestionsInBlocks,
+    getLikertScale,
+    LIKERT_SCALES,
+    FORCED_CHOICE_SCALES,
+    CONFIG,
     mbtiDescriptions
 } from './core.js';
-import { questions as originalQuestions } from './data.js';
+import {
+    getQuestionsByMode,
+    getDetailedQuestions,
+    generateForcedChoiceQuestions,
+    generateScenarioQuestions,
+    QUESTION_SET_SCALES,
+    QUESTION_BANK_VERSION,
+    QUICK_ITEMS_PER_FUNCTION
+} from './data.js';
+import {
+    getLocale,
+    createTranslator,
+    localizeField,
+    applyTranslations,
+    mountLocaleSwitcher
+} from './i18n.js';
+import { getGuideUrl, checkGuideText } from './guide-content.js';
+import { getTrainingUrl, loadTrainingState, suggestTrainingFunctions, hasTrainingProgram } from './training.js';
 
 
 
@@ -28,48 +60,128 @@ function escapeHtml(text) {
 }
 
 // ============================================
-// 質問のシャッフル処理
+// 表示言語
 // ============================================
 
-// Fisher-Yatesシャッフル
-function fisherYatesShuffle(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+// 表示言語（URL の ?lang= → 保存した選択 → ブラウザの言語 の順に決定、i18n.js 参照）
+// 回答中に切り替えても回答は保持し、質問文と画面の文言だけを差し替える
+let locale = getLocale();
+let t = createTranslator(locale);
+
+// ============================================
+// 出題モード
+// ============================================
+
+// 開始画面で選べるテストの長さ（URL の ?mode= の値。表示名と説明は i18n.js の start.<mode>.*）
+const TEST_LENGTHS = ['quick', 'simple', 'detailed', 'adaptive'];
+
+// カスタム長さの1機能あたりの問題数（?mode=custom&items=6、詳細版から抜き出す）
+const CUSTOM_ITEMS_PER_FUNCTION = {
+    MIN: 2,    // 逆転項目を1問以上含められる最小数
+    MAX: 12,   // 詳細版の1機能あたりの問題数
+    DEFAULT: 6
+};
+
+const urlParams = new URLSearchParams(window.location.search);
+
+// 出題モード（URLの ?mode= で指定。未指定・不明な値なら開始画面でテストの長さを選ぶ）
+const sessionMode = (() => {
+    const requested = urlParams.get('mode');
+    return requested === 'custom' || TEST_LENGTHS.includes(requested) ? requested : null;
+})();
+
+/**
+ * カスタム長さの問題数を範囲内に収める
+ * @param {number} value - 入力値
+ * @returns {number} MIN ～ MAX の整数（不正な値は DEFAULT）
+ */
+function clampCustomItems(value) {
+    if (!Number.isFinite(value)) return CUSTOM_ITEMS_PER_FUNCTION.DEFAULT;
+    return Math.max(CUSTOM_ITEMS_PER_FUNCTION.MIN, Math.min(CUSTOM_ITEMS_PER_FUNCTION.MAX, Math.round(value)));
 }
 
-// 制約付きシャッフル(同じ機能が2回連続しないように)
-function shuffleQuestionsWithConstraints(questions) {
-    const maxAttempts = 1000;
-    
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const shuffled = fisherYatesShuffle(questions);
-        
-        // 連続チェック
-        let hasConsecutive = false;
-        for (let i = 1; i < shuffled.length; i++) {
-            if (shuffled[i].type === shuffled[i - 1].type) {
-                hasConsecutive = true;
-                break;
-            }
-        }
-        
-        // 連続がなければ採用
-        if (!hasConsecutive) {
-            return shuffled;
-        }
+const customItemsPerFunction = clampCustomItems(Number.parseInt(urlParams.get('items'), 10));
+
+// 出題順の乱数シード（URLの ?seed= で指定すると同じ出題順を再現できる）
+// 未指定なら新しく作り、共有・不具合報告用にURLとセッション記録に残す
+// 研究では、シードを割り付けて出題順をカウンターバランスできる
+const sessionSeed = (() => {
+    const requested = Number.parseInt(urlParams.get('seed'), 10);
+    return Number.isInteger(requested) && requested >= 0
+        ? requested >>> 0
+        : Math.floor(Math.random() * 2 ** 32);
+})();
+const sessionRandom = createSeededRandom(sessionSeed);
+
+if (sessionMode && urlParams.get('seed') !== String(sessionSeed)) {
+    urlParams.set('seed', String(sessionSeed));
+    window.history.replaceState(null, '', `${window.location.pathname}?${urlParams}`);
+}
+
+// 適応型テスト
+// 詳細版の項目バンクから、上位候補タイプを最もよく識別する項目を1問ずつ選ぶ
+const isAdaptive = sessionMode === 'adaptive';
+let adaptiveBank = isAdaptive ? getDetailedQuestions({ locale }) : [];
+
+// 強制選択項目（2つの文から選ぶ質問）を混ぜて出題するか（URLの ?forcedChoice=1、開始画面のチェックボックス）
+// 適応型は機能ごとの項目から選ぶため対象外
+const includeForcedChoice = urlParams.get('forcedChoice') === '1' && !isAdaptive;
+
+// 場面想定項目（場面に対する行動を選ぶ質問）を混ぜて出題するか（URLの ?scenarios=1、開始画面のチェックボックス）
+const includeScenarios = urlParams.get('scenarios') === '1' && !isAdaptive;
+
+// 出題モードごとの質問セット（セッション記録用）
+const SESSION_QUESTION_SETS = {
+    quick: 'quick',
+    simple: 'simple',
+    detailed: 'detailed',
+    custom: 'custom',
+    adaptive: 'detailed'
+};
+
+// 回答尺度（質問セットの既定。研究用に URL の ?scale=likert7 などで段階数を変えて実施できる）
+const scaleName = (() => {
+    const requested = urlParams.get('scale');
+    if (requested in LIKERT_SCALES) return requested;
+    return QUESTION_SET_SCALES[SESSION_QUESTION_SETS[sessionMode]] || CONFIG.LIKERT_SCALE;
+})();
+const likertScale = getLikertScale(scaleName);
+
+// 採点設定（回答尺度以外は組み込みの定数）
+const scoringConfig = createScoringConfig({ LIKERT_SCALE: scaleName });
+
+/**
+ * 出題リストの初期化
+ * 固定モード: 層別ブロック順（8問ごとに全機能が1回ずつ、同じ機能は連続しない）の全質問
+ * 適応型: 最初の1問のみ（以降は回答ごとに追加）
+ * 開始画面（モード未選択）では空
+ */
+function createQuestionList() {
+    if (!sessionMode) return [];
+    if (isAdaptive) {
+        return [selectNextAdaptiveItem(adaptiveBank, {}, COGNITIVE_STACKS, {
+            stackModel,
+            config: scoringConfig,
+            random: sessionRandom
+        })];
     }
-    
-    // フォールバック: 1000回試してもダメなら通常のシャッフル結果を返す
-    console.warn('制約付きシャッフルが1000回で完了しませんでした。通常のシャッフル結果を使用します。');
-    return fisherYatesShuffle(questions);
+    return orderQuestionsInBlocks(
+        getQuestionsByMode(sessionMode, {
+            itemsPerFunction: customItemsPerFunction,
+            locale,
+            forcedChoice: includeForcedChoice,
+            scenarios: includeScenarios
+        }),
+        sessionRandom
+    );
 }
 
-// シャッフルされた質問を使用
-const questions = shuffleQuestionsWithConstraints(originalQuestions);
+/**
+ * 表示上の総問題数（適応型は最大出題数）
+ */
+function totalQuestionCount() {
+    return isAdaptive ? CONFIG.ADAPTIVE_SETTINGS.MAX_ITEMS : questions.length;
+}
 
 // ============================================
 // 初期状態定義（ディープコピー対応）
@@ -83,7 +195,9 @@ const createDefaultState = () => ({
         Ni: 0, Ne: 0, Si: 0, Se: 0,
         Ti: 0, Te: 0, Fi: 0, Fe: 0
     },
-    showResult: false
+    showResult: false,
+    // 適応型テストの記録（固定モードでは null）
+    adaptive: isAdaptive ? { leaderHistory: [], itemsUsed: 0, stopReason: null } : null
 });
 
 let state = createDefaultState();
@@ -95,23 +209,58 @@ let isProcessing = false;
 // 定数定義
 // ============================================
 
-const SCORE_LABELS = {
-    1: "全くそう思わない",
-    2: "あまりそう思わない",
-    3: "どちらともいえない",
-    4: "ややそう思う",
-    5: "とてもそう思う"
-};
+/**
+ * 選択肢のラベル（回答尺度の段階数と表示言語に応じる）
+ * @param {number} value - 回答値（1-段階数）
+ * @param {Object} [scale] - 回答尺度（強制選択項目は FORCED_CHOICE_SCALES の尺度）
+ * @returns {string} 表示名
+ */
+function scoreLabel(value, scale = likertScale) {
+    return localizeField(scale, 'labels', locale)[value - 1] ?? String(value);
+}
 
-// スコア正規化定数
-// 理論値: 各機能8問 × 最大±2.3 ≒ ±18.4
-// 実用的な範囲として -20 ~ +20 を想定し、0-100に正規化
-const SCORE_MIN = -20;
-const SCORE_MAX = 20;
+/**
+ * 質問の回答尺度（Likert 項目はセッションの尺度、強制選択項目は項目ごとの尺度）
+ * @param {Object} question - 質問（場面想定項目は選択肢の数だけの段階）
+ * @returns {Object} 回答尺度
+ */
+function questionScale(question) {
+    if (question.format === 'scenario') return { points: question.options.length };
+    return question.format === 'forcedChoice' ? FORCED_CHOICE_SCALES[question.scale] : likertScale;
+}
+
+/**
+ * 回答値の表示名（場面想定項目は選んだ選択肢の文）
+ * @param {Object} question - 質問
+ * @param {number} value - 回答値
+ * @returns {string} 表示名
+ */
+function answerLabel(question, value) {
+    if (question.format === 'scenario') return question.options[value - 1]?.text ?? String(value);
+    return scoreLabel(value, questionScale(question));
+}
 
 // 暫定診断を表示する最低回答数（1機能分 = 8問）
 const MIN_ANSWERS_FOR_PROVISIONAL = 8;
 
+// 結果画面で確率を個別表示するタイプ数
+const PROBABILITY_LIST_SIZE = 5;
+
+// 僅差タイプとして個別表示する最大タイプ数（1位を含む）
+const NEAR_TIE_LIST_SIZE = 4;
+
+// 「なぜこの結果？」で表示する項目数（判定タイプ側・次点タイプ側それぞれ）
+const ATTRIBUTION_LIST_SIZE = 5;
+
+// 機能スタックモデル（URLの ?stack=beebe8 で8機能モデルに切り替え）
+const stackModel = (() => {
+    const requested = new URLSearchParams(window.location.search).get('stack');
+    return requested in STACK_MODELS ? requested : 'jung4';
+})();
+
+// 出題リスト（適応型では回答ごとに伸びる）
+let questions = createQuestionList();
+
 // アニメーション遅延時間（ミリ秒）
 const ANIMATION_DELAY = {
     BUTTON_FEEDBACK: 200,      // ボタン選択後のフィードバック時間
@@ -121,10 +270,25 @@ const ANIMATION_DELAY = {
     RESULT_STAGGER: 100        // 結果画面の要素表示間隔
 };
 
-function normalizeScore(rawScore) {
-    return Math.max(0, Math.min(100, 
-        Math.round(((rawScore - SCORE_MIN) / (SCORE_MAX - SCORE_MIN)) * 100)
-    ));
+/**
+ * 生スコアを0-100に正規化（サイドパネル・結果画面共通）
+ * 範囲は現在の出題リストの機能ごとの問題数から算出する（core.js の createScoreNormalization）
+ * @param {number} rawScore - 生スコア
+ * @param {string} funcName - 認知機能名
+ * @returns {number} 0-100のスコア
+ */
+function normalizeScore(rawScore, funcName) {
+    return getNormalizedScore(rawScore, createScoreNormalization(questions, { config: scoringConfig }), funcName);
+}
+
+/**
+ * 確率(0-1)をパーセント表記に変換
+ * @param {number} probability - 確率
+ * @returns {string} 例: "62%", 1%未満は "<1%"
+ */
+function formatPercent(probability) {
+    const percent = probability * 100;
+    return percent < 1 ? '<1%' : `${Math.round(percent)}%`;
 }
 
 // ============================================
@@ -133,7 +297,7 @@ function normalizeScore(rawScore) {
 
 /**
  * 回答処理（逆転項目対応版）
- * @param {number} value - 選択された回答値（1-5）
+ * @param {number} value - 選択された回答値（1-段階数）
  * @param {Event} event - クリックイベント
  */
 window.handleAnswer = function (value, event) {
@@ -142,22 +306,24 @@ window.handleAnswer = function (value, event) {
     isProcessing = true;
 
     const question = questions[state.currentQuestion];
-    const funcType = question.type;
     const isReverse = question.reverse || false; // 逆転項目フラグ
     const oldAnswer = state.answers[question.id];
 
-    // 前回の回答スコアを差し引く（逆転項目考慮）
+    // 前回の回答スコアを差し引く（逆転項目考慮、強制選択項目は両方の機能）
     if (oldAnswer !== undefined) {
         const oldAnswerData = state.answers[question.id];
-        const oldScore = calculateScore(
-            typeof oldAnswerData === 'object' ? oldAnswerData.value : oldAnswerData, 
-            isReverse
+        const oldScores = calculateItemScores(
+            question,
+            typeof oldAnswerData === 'object' ? oldAnswerData.value : oldAnswerData,
+            scoringConfig
         );
-        state.functionScores[funcType] -= oldScore;
+        for (const [funcType, oldScore] of Object.entries(oldScores)) {
+            state.functionScores[funcType] -= oldScore;
+        }
     }
 
     // 新しいスコアを加算（逆転項目考慮）
-    const delta = calculateScore(value, isReverse);
+    const deltas = calculateItemScores(question, value, scoringConfig);
     
     // 回答を保存（値と逆転フラグを両方保存）
     state.answers[question.id] = {
@@ -165,10 +331,12 @@ window.handleAnswer = function (value, event) {
         isReverse: isReverse
     };
     
-    state.functionScores[funcType] += delta;
+    for (const [funcType, delta] of Object.entries(deltas)) {
+        state.functionScores[funcType] += delta;
+    }
 
     // ポップアップ演出
-    showScorePopup(funcType, delta, isReverse);
+    showScorePopup(deltas, isReverse);
 
     // ボタンの選択状態を更新
     if (event && event.currentTarget) {
@@ -185,6 +353,10 @@ window.handleAnswer = function (value, event) {
         setTimeout(() => {
             nextStep(() => state.currentQuestion++);
         }, ANIMATION_DELAY.BUTTON_FEEDBACK);
+    } else if (isAdaptive && !advanceAdaptive()) {
+        setTimeout(() => {
+            nextStep(() => state.currentQuestion++);
+        }, ANIMATION_DELAY.BUTTON_FEEDBACK);
     } else {
         setTimeout(() => {
             nextStep(() => state.showResult = true);
@@ -192,6 +364,168 @@ window.handleAnswer = function (value, event) {
     }
 };
 
+/**
+ * 適応型テスト: 終了判定を行い、続行する場合は次の質問を出題リストに追加
+ * @returns {boolean} テストを終了する場合 true
+ */
+function advanceAdaptive() {
+    const status = evaluateAdaptiveStop(
+        adaptiveBank, state.answers, state.adaptive.leaderHistory, COGNITIVE_STACKS, { stackModel, config: scoringConfig }
+    );
+    state.adaptive.leaderHistory.push(status.leader);
+    state.adaptive.itemsUsed = status.itemsUsed;
+
+    const next = status.stop
+        ? null
+        : selectNextAdaptiveItem(adaptiveBank, state.answers, COGNITIVE_STACKS, {
+            stackModel,
+            config: scoringConfig,
+            random: sessionRandom
+        });
+
+    if (!next) {
+        state.adaptive.stopReason = status.reason || 'exhausted';
+        return true;
+    }
+    questions.push(next);
+    return false;
+}
+
+// ============================================
+// セッション記録のエクスポート
+// ============================================
+
+// セッション記録の形式バージョン（項目分析CLI item-analysis.js が読み込む）
+// 2: 回答のキーを質問バンクの安定IDに変更し、質問バンクのバージョンを記録
+const SESSION_RECORD_VERSION = 2;
+
+/**
+ * 回答済みセッションの記録を作成
+ * 回答は質問IDをキーとした生の選択値（1-段階数）で保存し、逆転処理は分析側で行う
+ * 採点に使った質問バンクのバージョンと、記録時点の表示言語も記録する（質問文の変更前後・翻訳間の結果を区別するため）
+ * @returns {Object} セッション記録
+ */
+function buildSessionRecord() {
+    const result = determineMBTIType(state.functionScores, COGNITIVE_STACKS, {
+        answers: state.answers,
+        questions: questions,
+        stackModel,
+        config: scoringConfig
+    });
+
+    return {
+        format: 'mbti-session',
+        version: SESSION_RECORD_VERSION,
+        mode: sessionMode,
+        questionSet: SESSION_QUESTION_SETS[sessionMode],
+        ...(sessionMode === 'custom' ? { itemsPerFunction: customItemsPerFunction } : {}),
+        ...(includeForcedChoice ? { forcedChoice: true } : {}),
+        ...(includeScenarios ? { scenarios: true } : {}),
+        seed: sessionSeed,
+        scale: scaleName,
+        locale,
+        questionBankVersion: QUESTION_BANK_VERSION,
+        stackModel,
+        completedAt: new Date().toISOString(),
+        answers: Object.fromEntries(
+            Object.entries(state.answers).map(([id, answer]) => [id, answer.value])
+        ),
+        result: {
+            type: result.type,
+            confidence: result.confidence
+        }
+    };
+}
+
+/**
+ * セッション記録をJSONファイルとしてダウンロード
+ */
+window.downloadSessionRecord = function () {
+    const record = buildSessionRecord();
+    const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `session-${record.completedAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * 選んだ長さでテストを開始（URLにモードを反映して読み込み直す）
+ * @param {string} mode - 出題モード
+ */
+window.startTest = function (mode) {
+    const params = new URLSearchParams(window.location.search);
+    params.set('mode', mode);
+    if (mode === 'custom') {
+        const input = document.getElementById('custom-items');
+        params.set('items', String(clampCustomItems(Number.parseInt(input?.value, 10))));
+    } else {
+        params.delete('items');
+    }
+    for (const [id, param] of [['forced-choice', 'forcedChoice'], ['scenarios', 'scenarios']]) {
+        if (document.getElementById(id)?.checked) {
+            params.set(param, '1');
+        } else {
+            params.delete(param);
+        }
+    }
+    window.location.search = params.toString();
+};
+
+/**
+ * 開始画面に戻ってテストの長さを選び直す
+ */
+window.chooseTestLength = function () {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('mode');
+    params.delete('items');
+    params.delete('seed');
+    window.location.search = params.toString();
+};
+
+/**
+ * 表示言語の切り替え（回答は保持したまま、質問文と画面の文言を差し替える）
+ * @param {string} nextLocale - 言語コード
+ */
+function switchLocale(nextLocale) {
+    locale = nextLocale;
+    t = createTranslator(locale);
+
+    const localized = Object.fromEntries(
+        [
+            ...getDetailedQuestions({ locale }),
+            ...generateForcedChoiceQuestions({ locale }),
+            ...generateScenarioQuestions({ locale })
+        ].map(q => [q.id, q])
+    );
+    const relocalize = list => list.map(q => localized[q.id]
+        ? {
+            ...q,
+            text: localized[q.id].text,
+            ...(q.statements ? { statements: localized[q.id].statements } : {}),
+            ...(q.options ? { options: localized[q.id].options } : {})
+        }
+        : q);
+    questions = relocalize(questions);
+    adaptiveBank = relocalize(adaptiveBank);
+
+    applyPageLocale();
+    render();
+}
+
+/**
+ * ページ全体（render の対象外の部分）に表示言語を反映
+ */
+function applyPageLocale() {
+    document.documentElement.lang = locale;
+    applyTranslations(document, t);
+    mountLocaleSwitcher(document.getElementById('locale-switcher'), locale, switchLocale);
+}
+
 /**
  * 前の質問に戻る
  */
@@ -207,6 +541,9 @@ window.goBack = function () {
  */
 window.reset = function () {
     state = createDefaultState(); // 新しいオブジェクトを生成
+    if (isAdaptive) {
+        questions = createQuestionList(); // 適応型は出題リストも作り直す
+    }
     render();
 };
 
@@ -264,17 +601,17 @@ window.handleKeyboardNavigation = function (event, currentValue) {
 
 /**
  * スコア加算時のポップアップ演出（逆転項目表示対応）
- * @param {string} funcType - 認知機能タイプ
- * @param {number} delta - 加算されたスコア
+ * @param {Object} deltas - 認知機能タイプ → 加算されたスコア（強制選択項目は2機能）
  * @param {boolean} isReverse - 逆転項目かどうか
  */
-function showScorePopup(funcType, delta, isReverse) {
+function showScorePopup(deltas, isReverse) {
     const el = document.createElement("div");
     el.className = "score-popup";
     
-    const sign = delta >= 0 ? '+' : '';
     const reverseIndicator = isReverse ? ' (R)' : '';
-    el.textContent = `${FUNCTIONS[funcType].name} ${sign}${delta.toFixed(1)}${reverseIndicator}`;
+    el.textContent = Object.entries(deltas)
+        .map(([funcType, delta]) => `${FUNCTIONS[funcType].name} ${delta >= 0 ? '+' : ''}${delta.toFixed(1)}`)
+        .join('  ') + reverseIndicator;
     
     document.body.appendChild(el);
 
@@ -311,7 +648,9 @@ function nextStep(callback) {
 function render() {
     const container = document.getElementById('app');
     
-    if (state.showResult) {
+    if (!sessionMode) {
+        renderStart(container);
+    } else if (state.showResult) {
         renderResult(container);
     } else {
         renderQuestion(container);
@@ -333,18 +672,66 @@ function render() {
     }
 }
 
+/**
+ * 開始画面の描画（テストの長さの選択）
+ */
+function renderStart(container) {
+    const describeLength = mode => mode === 'adaptive'
+        ? t('start.countMax', { count: CONFIG.ADAPTIVE_SETTINGS.MAX_ITEMS })
+        : t('start.count', { count: getQuestionsByMode(mode).length });
+
+    container.innerHTML = `
+        <div class="start" role="form" aria-labelledby="start-title">
+            <h3 id="start-title">${escapeHtml(t('start.title'))}</h3>
+            <p class="start-lead">${escapeHtml(t('start.lead'))}</p>
+
+            <div class="start-options">
+                ${TEST_LENGTHS.map(mode => `
+                    <button class="start-option" onclick="startTest('${mode}')">
+                        <span class="start-option-label">${escapeHtml(t(`start.${mode}.label`))}</span>
+                        <span class="start-option-count">${escapeHtml(describeLength(mode))}</span>
+                        <span class="start-option-description">${escapeHtml(t(`start.${mode}.description`, { count: QUICK_ITEMS_PER_FUNCTION }))}</span>
+                    </button>
+                `).join('')}
+            </div>
+
+            <div class="start-custom">
+                <label for="custom-items">${escapeHtml(t('start.customLabel'))}</label>
+                <input id="custom-items" type="number"
+                       min="${CUSTOM_ITEMS_PER_FUNCTION.MIN}" max="${CUSTOM_ITEMS_PER_FUNCTION.MAX}"
+                       value="${customItemsPerFunction}">
+                <span>${escapeHtml(t('start.customUnit'))}</span>
+                <button class="start-custom-button" onclick="startTest('custom')">${escapeHtml(t('start.customStart'))}</button>
+            </div>
+            <p class="start-note">${escapeHtml(t('start.customNote'))}</p>
+
+            <div class="start-extra">
+                <input id="forced-choice" type="checkbox" ${urlParams.get('forcedChoice') === '1' ? 'checked' : ''}>
+                <label for="forced-choice">${escapeHtml(t('start.forcedChoice', { count: generateForcedChoiceQuestions().length }))}</label>
+            </div>
+            <p class="start-note">${escapeHtml(t('start.forcedChoiceNote'))}</p>
+
+            <div class="start-extra">
+                <input id="scenarios" type="checkbox" ${urlParams.get('scenarios') === '1' ? 'checked' : ''}>
+                <label for="scenarios">${escapeHtml(t('start.scenarios', { count: generateScenarioQuestions().length }))}</label>
+            </div>
+            <p class="start-note">${escapeHtml(t('start.scenariosNote'))}</p>
+        </div>
+    `;
+}
+
 /**
  * サイドパネルの更新（暫定診断閾値対応）
  */
 function updateSidePanel() {
     const answeredCount = Object.keys(state.answers).length;
-    const progressPercent = Math.round((state.currentQuestion / Math.max(1, questions.length - 1)) * 100);
+    const progressPercent = Math.round((state.currentQuestion / Math.max(1, totalQuestionCount() - 1)) * 100);
     
     // スコアリストは常に表示
     const sortedScores = Object.entries(state.functionScores)
         .map(([key, val]) => ({
             key,
-            value: normalizeScore(val)
+            value: normalizeScore(val, key)
         }))
         .sort((a, b) => b.value - a.value);
     
@@ -355,12 +742,11 @@ function updateSidePanel() {
     if (answeredCount < MIN_ANSWERS_FOR_PROVISIONAL) {
         sidePanel.innerHTML = `
             <div class="provisional-mbti">
-                <div class="provisional-label">暫定診断</div>
+                <div class="provisional-label">${escapeHtml(t('provisional.label'))}</div>
                 <div style="padding:32px 16px;text-align:center;">
                     <div style="font-size:48px;margin-bottom:12px;opacity:0.3;">❓</div>
                     <div style="font-size:14px;color:var(--text-muted);line-height:1.6;">
-                        より正確な診断のため<br>
-                        質問に回答してください
+                        ${escapeHtml(t('provisional.prompt')).replace(/\n/g, '<br>')}
                     </div>
                 </div>
                 <div class="provisional-progress">${progressPercent}% complete</div>
@@ -368,8 +754,8 @@ function updateSidePanel() {
             
             <div class="character-preview">
                 <div class="character-placeholder">
-                    <div class="character-label">キャラクター画像</div>
-                    <div class="character-note">友達が描いてくれる予定</div>
+                    <div class="character-label">${escapeHtml(t('character.label'))}</div>
+                    <div class="character-note">${escapeHtml(t('character.note'))}</div>
                 </div>
             </div>
             
@@ -382,28 +768,31 @@ function updateSidePanel() {
                 `).join('')}
             </div>
             
-            <footer class="note">回答数: ${answeredCount} / ${questions.length}</footer>
+            <footer class="note">${escapeHtml(t('answered.count', {
+                count: answeredCount,
+                total: isAdaptive ? t('answered.upTo', { count: totalQuestionCount() }) : totalQuestionCount()
+            }))}</footer>
         `;
         return;
     }
     
     // 8問以上回答済み → 暫定診断を表示
-    const provisionalResult = determineMBTIType(state.functionScores, COGNITIVE_STACKS);
+    const provisionalResult = determineMBTIType(state.functionScores, COGNITIVE_STACKS, { stackModel, config: scoringConfig });
     const provisionalType = provisionalResult.type;
     const provisionalDesc = mbtiDescriptions[provisionalType];
     
     sidePanel.innerHTML = `
         <div class="provisional-mbti">
-            <div class="provisional-label">暫定診断</div>
+            <div class="provisional-label">${escapeHtml(t('provisional.label'))}</div>
             <div class="provisional-type">${escapeHtml(provisionalType)}</div>
-            <div class="provisional-name">${escapeHtml(provisionalDesc.name)}</div>
+            <div class="provisional-name">${escapeHtml(localizeField(provisionalDesc, 'name', locale))}</div>
             <div class="provisional-progress">${progressPercent}% complete</div>
         </div>
         
         <div class="character-preview">
             <div class="character-placeholder">
-                <div class="character-label">キャラクター画像</div>
-                <div class="character-note">友達が描いてくれる予定</div>
+                <div class="character-label">${escapeHtml(t('character.label'))}</div>
+                <div class="character-note">${escapeHtml(t('character.note'))}</div>
             </div>
         </div>
         
@@ -416,7 +805,7 @@ function updateSidePanel() {
             `).join('')}
         </div>
         
-        <footer class="note">回答するたびに暫定診断が更新されます</footer>
+        <footer class="note">${escapeHtml(t('provisional.updating'))}</footer>
     `;
 }
 
@@ -427,36 +816,58 @@ function renderQuestion(container) {
     const q = questions[state.currentQuestion];
     const savedAnswer = state.answers[q.id];
     const currentValue = savedAnswer ? savedAnswer.value : undefined;
+    const scale = questionScale(q);
+    
+    // 強制選択項目は質問文の代わりに問いかけと選択肢 A・B の文を、
+    // 場面想定項目は場面の文と選び方の案内を表示する（選択肢のボタンに行動の文を出す）
+    const prompt = q.format === 'scenario'
+        ? `
+            <p id="question-text" role="heading" aria-level="2">${escapeHtml(q.text)}</p>
+            <div class="scenario-hint">${escapeHtml(t('question.scenario'))}</div>`
+        : q.format === 'forcedChoice'
+        ? `
+            <p id="question-text" role="heading" aria-level="2">${escapeHtml(t('question.forcedChoice'))}</p>
+            <div class="statements">
+                ${q.statements.map((statement, index) => `
+                    <p class="statement" aria-label="${escapeHtml(t('question.statement', { position: 'AB'[index], text: statement.text }))}">
+                        <span class="statement-position" aria-hidden="true">${'AB'[index]}</span>${escapeHtml(statement.text)}
+                    </p>
+                `).join('')}
+            </div>`
+        : `
+            <p id="question-text" role="heading" aria-level="2">${escapeHtml(q.text)}${q.reverse ? ` <span style="color:var(--accent);font-size:0.9em">${escapeHtml(t('question.reverse'))}</span>` : ''}</p>`;
     
     container.innerHTML = `
-        <div class="question" role="form" aria-label="MBTI診断質問フォーム">
-            <h3 id="question-number">Question ${state.currentQuestion + 1} of ${questions.length}</h3>
-            <p id="question-text" role="heading" aria-level="2">${escapeHtml(q.text)}${q.reverse ? ' <span style="color:var(--accent);font-size:0.9em">(逆転項目)</span>' : ''}</p>
+        <div class="question" role="form" aria-label="${escapeHtml(t('question.form'))}">
+            <h3 id="question-number">Question ${state.currentQuestion + 1} of ${isAdaptive ? `up to ${totalQuestionCount()}` : totalQuestionCount()}</h3>
+            ${prompt}
             
             <div class="options" role="radiogroup" aria-labelledby="question-text" aria-describedby="question-number">
-                ${[1, 2, 3, 4, 5].map((v, index) => `
+                ${Array.from({ length: scale.points }, (_, index) => index + 1).map((v, index) => `
                     <button class="option ${currentValue === v ? 'selected' : ''}"
                             role="radio"
                             aria-checked="${currentValue === v ? 'true' : 'false'}"
-                            aria-label="${escapeHtml(SCORE_LABELS[v])} (5段階評価の${v})"
+                            aria-label="${escapeHtml(q.format === 'scenario'
+                                ? t('question.scenarioOption', { label: answerLabel(q, v), count: scale.points, value: v })
+                                : t('question.option', { label: answerLabel(q, v), points: scale.points, value: v }))}"
                             data-value="${v}"
                             tabindex="${currentValue === v ? '0' : (currentValue === undefined && index === 0 ? '0' : '-1')}"
                             onclick="handleAnswer(${v}, event)"
                             onkeydown="handleKeyboardNavigation(event, ${v})">
-                        ${escapeHtml(SCORE_LABELS[v])}
+                        ${escapeHtml(answerLabel(q, v))}
                     </button>
                 `).join('')}
             </div>
 
-            <div class="progress" role="progressbar" aria-valuenow="${progressPercent()}" aria-valuemin="0" aria-valuemax="100" aria-label="診断の進捗状況">
+            <div class="progress" role="progressbar" aria-valuenow="${progressPercent()}" aria-valuemin="0" aria-valuemax="100" aria-label="${escapeHtml(t('question.progress'))}">
                 <i style="width:${progressPercent()}%"></i>
             </div>
 
-            <div class="status" role="region" aria-label="認知機能スコア">
+            <div class="status" role="region" aria-label="${escapeHtml(t('question.scores'))}">
                 ${Object.entries(state.functionScores).map(([key, val]) => {
-                    const displayValue = normalizeScore(val);
+                    const displayValue = normalizeScore(val, key);
                     return `
-                        <div class="func-card" role="status" aria-label="${escapeHtml(key)}機能: ${displayValue}ポイント">
+                        <div class="func-card" role="status" aria-label="${escapeHtml(t('question.functionScore', { function: key, value: displayValue }))}">
                             <div class="func-label">${escapeHtml(key)}</div>
                             <div class="func-value">${displayValue}</div>
                             <div class="func-glow" style="opacity: ${displayValue / 100}" aria-hidden="true"></div>
@@ -466,7 +877,7 @@ function renderQuestion(container) {
             </div>
 
             ${state.currentQuestion > 0 
-                ? `<button class="back-btn" onclick="goBack()" aria-label="前の質問に戻る">← Back</button>` 
+                ? `<button class="back-btn" onclick="goBack()" aria-label="${escapeHtml(t('question.back'))}">← Back</button>` 
                 : ''}
             
             <footer class="app-footer">
@@ -487,29 +898,112 @@ function renderQuestion(container) {
  * 進捗率計算
  */
 function progressPercent() {
-    if (questions.length <= 1) return 100;
-    return Math.round((state.currentQuestion / (questions.length - 1)) * 100);
+    if (totalQuestionCount() <= 1) return 100;
+    return Math.round((state.currentQuestion / (totalQuestionCount() - 1)) * 100);
+}
+
+/**
+ * 項目別寄与リストの描画
+ * @param {string} title - 見出し
+ * @param {Array} items - calculateItemContributions の items の一部
+ * @returns {string} HTML
+ */
+function renderAttributionList(title, items) {
+    if (items.length === 0) return '';
+    return `
+        <h5 class="attribution-title">${escapeHtml(title)}</h5>
+        <ol class="attribution-list">
+            ${items.map(item => `
+                <li class="attribution-item">
+                    <div class="attribution-text">${escapeHtml(item.text)}${item.reverse ? ' <span class="attribution-reverse">(R)</span>' : ''}</div>
+                    <div class="attribution-meta">
+                        <span>${escapeHtml(item.function)}</span>
+                        <span>${escapeHtml(t('attribution.answer', { label: answerLabel(questions.find(q => q.id === item.id), item.value) }))}</span>
+                        <span class="attribution-effect ${item.effect > 0 ? 'toward' : 'against'}">${item.effect > 0 ? '+' : ''}${item.effect.toFixed(1)}</span>
+                    </div>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * トレーニングの提案の描画（ガイドを読み、プログラムのある機能だけを勧める）
+ * @param {HTMLElement} card - .training-suggestion-card（提案がなければ隠したまま）
+ * @param {string} mbtiType - 判定タイプ
+ */
+async function renderTrainingSuggestions(card, mbtiType) {
+    // 読めなかったガイドはプログラムなしとみなす
+    const withProgram = new Set();
+    await Promise.all(COGNITIVE_STACKS[mbtiType].map(async code => {
+        try {
+            const res = await fetch(`data/${code.toLowerCase()}.json`);
+            if (!res.ok) return;
+            const { data } = checkGuideText(await res.text(), code);
+            if (data && hasTrainingProgram(data.trainingProgram)) withProgram.add(code);
+        } catch (error) {
+            console.error(`[renderTrainingSuggestions] ${code}: ${error.message}`);
+        }
+    }));
+
+    // 参加中のものは示す
+    const trainingPrograms = loadTrainingState().programs;
+    const suggestions = suggestTrainingFunctions(mbtiType, { hasProgram: code => withProgram.has(code) });
+    if (suggestions.length === 0) return;
+
+    card.querySelector('.training-suggestion-list').innerHTML = suggestions.map(suggestion => `
+        <li>
+            <a class="training-suggestion-link" href="${getTrainingUrl(suggestion.function)}">${escapeHtml(t('training.suggestionItem', {
+                position: localizeField(getTypeStack(mbtiType, stackModel).find(entry => entry.position === suggestion.position), 'label', locale),
+                function: suggestion.function,
+                name: localizeField(FUNCTIONS[suggestion.function], 'fullName', locale)
+            }))}</a>
+            ${suggestion.function in trainingPrograms ? `<span class="training-suggestion-badge">${escapeHtml(t('training.continuing'))}</span>` : ''}
+        </li>
+    `).join('');
+    card.hidden = false;
 }
 
 /**
  * 結果画面の描画
  */
 function renderResult(container) {
-    const result = determineMBTIType(state.functionScores, COGNITIVE_STACKS);
+    const result = determineMBTIType(state.functionScores, COGNITIVE_STACKS, {
+        answers: state.answers,
+        questions: questions,
+        stackModel,
+        config: scoringConfig
+    });
     const mbtiType = result.type;
-    const confidence = result.confidence;
+    const validity = result.validity;
+    const dichotomies = result.dichotomies;
     const top2 = result.top2;
     const desc = mbtiDescriptions[mbtiType];
-    const secondDesc = mbtiDescriptions[top2[1]];
 
-    const confidenceMessage = confidence >= 30 
-        ? '診断結果に高い信頼性があります'
-        : '複数のタイプの特性を持っています。次点タイプも参考にしてください';
+    // 1位と測定誤差の範囲内で区別できないタイプ群
+    const nearTies = analyzeNearTies(result, COGNITIVE_STACKS, {
+        functionScores: state.functionScores,
+        config: scoringConfig
+    });
+    const nearTieTypes = nearTies.group.slice(0, NEAR_TIE_LIST_SIZE);
+
+    const confidenceMessage = nearTies.isTie ? t('result.tie') : t('result.confident');
+
+    // 判定タイプ側・次点タイプ側へ最も強く押した回答
+    const attribution = calculateItemContributions(state.answers, questions, result, COGNITIVE_STACKS, scoringConfig);
+    const pushedToward = attribution.items.filter(item => item.effect > 0).slice(0, ATTRIBUTION_LIST_SIZE);
+    const pushedAgainst = attribution.items.filter(item => item.effect < 0).reverse().slice(0, ATTRIBUTION_LIST_SIZE);
+
+    // 確率上位のタイプのみ一覧表示し、残りは合計で示す
+    const topProbabilities = result.probabilities.slice(0, PROBABILITY_LIST_SIZE);
+    const otherProbability = result.probabilities
+        .slice(PROBABILITY_LIST_SIZE)
+        .reduce((sum, p) => sum + p.probability, 0);
 
     const sortedScores = Object.entries(state.functionScores)
         .map(([key, val]) => ({
             key,
-            value: normalizeScore(val),
+            value: normalizeScore(val, key),
             func: FUNCTIONS[key]
         }))
         .sort((a, b) => b.value - a.value);
@@ -521,68 +1015,188 @@ function renderResult(container) {
                 <p class="result-subtitle">Your cognitive profile has been identified</p>
             </div>
 
+            ${validity && validity.flags.length > 0 ? `
+                <div class="validity-card ${validity.isInterpretable ? 'caution' : 'invalid'}" role="alert">
+                    <h4>${escapeHtml(validity.isInterpretable ? t('validity.caution') : t('validity.invalid'))}</h4>
+                    <ul class="validity-list">
+                        ${validity.flags.map(flag => `<li>${escapeHtml(localizeField(flag, 'message', locale))}</li>`).join('')}
+                    </ul>
+                    ${validity.isInterpretable ? '' : `
+                        <p class="validity-note">${escapeHtml(t('validity.note'))}</p>
+                    `}
+                </div>
+            ` : ''}
+
             <div class="result-main-card" role="region" aria-labelledby="mbti-type">
                 <div id="mbti-type" class="mbti-badge" role="heading" aria-level="1">${escapeHtml(mbtiType)}</div>
-                <h3 class="mbti-name">${escapeHtml(desc.name)}</h3>
-                <p class="mbti-desc">${escapeHtml(desc.description)}</p>
+                <h3 class="mbti-name">${escapeHtml(localizeField(desc, 'name', locale))}</h3>
+                <p class="mbti-desc">${escapeHtml(localizeField(desc, 'description', locale))}</p>
+                <a class="type-guide-link" href="type.html?code=${encodeURIComponent(mbtiType)}">${escapeHtml(t('actions.typeGuide', { type: mbtiType }))}</a>
                 
-                <div class="confidence-meter" role="region" aria-label="診断結果の信頼度">
+                <div class="confidence-meter" role="region" aria-label="${escapeHtml(t('result.probabilities'))}">
                     <div class="confidence-label">
-                        <span>Match Confidence</span>
-                        <span class="confidence-value">${confidence}%</span>
-                    </div>
-                    <div class="confidence-bar-bg" role="progressbar" aria-valuenow="${confidence}" aria-valuemin="0" aria-valuemax="100">
-                        <div class="confidence-bar-fill" style="width: ${confidence}%"></div>
+                        <span>Type Probability</span>
+                        <span class="confidence-value">${formatPercent(result.probabilities[0].probability)}</span>
                     </div>
+                    <ol class="probability-list">
+                        ${topProbabilities.map(p => `
+                            <li class="probability-item ${p.type === mbtiType ? 'winner' : ''}">
+                                <span class="probability-type">${escapeHtml(p.type)}</span>
+                                <div class="confidence-bar-bg" role="progressbar" aria-label="${escapeHtml(t('result.typeProbability', { type: p.type }))}" aria-valuenow="${Math.round(p.probability * 100)}" aria-valuemin="0" aria-valuemax="100">
+                                    <div class="confidence-bar-fill" style="width: ${p.probability * 100}%"></div>
+                                </div>
+                                <span class="probability-value">${formatPercent(p.probability)}</span>
+                                ${p.lower !== undefined ? `
+                                    <span class="probability-interval" title="${escapeHtml(t('result.interval'))}">${formatPercent(p.lower)}–${formatPercent(p.upper)}</span>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ol>
+                    ${otherProbability > 0.005 ? `
+                        <p class="confidence-message">${escapeHtml(t('result.otherTypes', {
+                            count: result.probabilities.length - topProbabilities.length,
+                            percent: formatPercent(otherProbability)
+                        }))}</p>
+                    ` : ''}
                     <p class="confidence-message">${escapeHtml(confidenceMessage)}</p>
                 </div>
             </div>
 
-            ${confidence < 30 ? `
-                <div class="secondary-type-card" role="complementary" aria-label="次点タイプ">
-                    <h4>Alternative Type: ${escapeHtml(top2[1])}</h4>
-                    <p class="secondary-name">${escapeHtml(secondDesc.name)}</p>
-                    <p class="secondary-desc">${escapeHtml(secondDesc.description)}</p>
+            ${nearTies.isTie ? `
+                <div class="near-tie-card" role="complementary" aria-labelledby="near-tie-title">
+                    <h4 id="near-tie-title">Near-tie Types</h4>
+                    <p class="near-tie-summary">${escapeHtml(localizeField(nearTies, 'summary', locale))}</p>
+                    <ul class="near-tie-list">
+                        ${nearTieTypes.map(entry => `
+                            <li class="near-tie-item ${entry.type === mbtiType ? 'winner' : ''}">
+                                <span class="near-tie-type">${escapeHtml(entry.type)}</span>
+                                <span class="near-tie-name">${escapeHtml(localizeField(mbtiDescriptions[entry.type], 'name', locale))}</span>
+                                <span class="near-tie-gap">${escapeHtml(entry.type === mbtiType
+                                    ? t('nearTie.winner')
+                                    : t('nearTie.gap', { gap: entry.gap.toFixed(1), z: entry.z.toFixed(2) }))}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${nearTies.group.length > nearTieTypes.length ? `
+                        <p class="near-tie-note">${escapeHtml(t('nearTie.more', { count: nearTies.group.length - nearTieTypes.length }))}</p>
+                    ` : ''}
+                    ${nearTies.shared.length > 0 ? `
+                        <p class="near-tie-note">${escapeHtml(t('nearTie.shared', {
+                            functions: nearTies.shared
+                                .map(entry => `${localizeField(entry, 'label', locale)} ${entry.function}`)
+                                .join(t('nearTie.sharedSeparator'))
+                        }))}</p>
+                    ` : ''}
+                    ${nearTies.deciding ? `
+                        <p class="near-tie-note">${escapeHtml(t(
+                            nearTies.deciding.functions.length === 2 ? 'nearTie.decidingTwo' : 'nearTie.decidingMany',
+                            {
+                                position: localizeField(nearTies.deciding, 'label', locale),
+                                functions: nearTies.deciding.functions
+                                    .map(f => t('nearTie.functionScore', {
+                                        function: f.function,
+                                        score: normalizeScore(state.functionScores[f.function], f.function)
+                                    }))
+                                    .join(t('nearTie.decidingSeparator'))
+                            }
+                        ))}</p>
+                    ` : ''}
+                </div>
+            ` : ''}
+
+            <div class="dichotomy-card" role="region" aria-labelledby="dichotomy-title">
+                <h4 id="dichotomy-title" class="stack-title">Preference Letters</h4>
+                <div class="dichotomy-list">
+                    ${dichotomies.scores.map(score => {
+                        const [first, second] = score.letters;
+                        return `
+                            <div class="dichotomy-row" role="group" aria-label="${escapeHtml(localizeField(score, 'label', locale))}">
+                                <span class="dichotomy-letter ${score.preferred === first ? 'preferred' : ''}">${first} ${score.percentages[first]}%</span>
+                                <div class="dichotomy-bar" role="img" aria-label="${escapeHtml(localizeField(score, 'label', locale))}: ${first} ${score.percentages[first]}% / ${second} ${score.percentages[second]}%">
+                                    <div class="dichotomy-bar-fill" style="width: ${score.percentages[first]}%"></div>
+                                </div>
+                                <span class="dichotomy-letter ${score.preferred === second ? 'preferred' : ''}">${score.percentages[second]}% ${second}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                ${dichotomies.agreesWithStack ? '' : `
+                    <p class="dichotomy-mismatch" role="note">
+                        ${t('dichotomy.mismatch', {
+                            letterType: `<strong>${escapeHtml(dichotomies.letterType)}</strong>`,
+                            stackType: `<strong>${escapeHtml(dichotomies.stackType)}</strong>`
+                        })}
+                    </p>
+                `}
+            </div>
+
+            ${state.adaptive ? `
+                <div class="adaptive-summary" role="note">
+                    <strong>${escapeHtml(t('adaptive.summary', { count: state.adaptive.itemsUsed }))}</strong>
+                    <span>${state.adaptive.stopReason ? escapeHtml(t(`adaptive.${state.adaptive.stopReason}`)) : ''}</span>
                 </div>
             ` : ''}
 
             <div class="function-stack-card" role="region" aria-labelledby="stack-title">
                 <h4 id="stack-title" class="stack-title">Cognitive Function Stack</h4>
+                ${stackModel !== 'jung4' ? `<p class="stack-model-note">${escapeHtml(t('stack.shadowNote', { model: localizeField(STACK_MODELS[stackModel], 'name', locale) }))}</p>` : ''}
                 <div class="stack-grid">
-                    ${COGNITIVE_STACKS[mbtiType].map((f, index) => `
-                        <div class="stack-item" role="article">
-                            <div class="stack-rank">${escapeHtml(['Primary', 'Auxiliary', 'Tertiary', 'Inferior'][index])}</div>
-                            <div class="stack-func-name">${escapeHtml(FUNCTIONS[f].fullName)}</div>
-                            <div class="stack-func-code">${escapeHtml(FUNCTIONS[f].name)}</div>
-                            <div class="stack-func-desc">${escapeHtml(FUNCTIONS[f].description)}</div>
+                    ${getTypeStack(mbtiType, stackModel).map(entry => `
+                        <div class="stack-item ${entry.weight < 0 ? 'shadow' : ''}" role="article">
+                            <div class="stack-rank">${escapeHtml(entry.labelEn)}</div>
+                            <div class="stack-func-name">${escapeHtml(localizeField(FUNCTIONS[entry.function], 'fullName', locale))}</div>
+                            <div class="stack-func-code">${escapeHtml(FUNCTIONS[entry.function].name)}</div>
+                            <div class="stack-func-desc">${escapeHtml(localizeField(FUNCTIONS[entry.function], 'description', locale))}</div>
                         </div>
                     `).join('')}
                 </div>
             </div>
 
+            <div class="training-suggestion-card" role="region" aria-labelledby="training-title" hidden>
+                <h4 id="training-title" class="stack-title">Growth Training</h4>
+                <p class="training-suggestion-note">${escapeHtml(t('training.suggestion'))}</p>
+                <ul class="training-suggestion-list"></ul>
+            </div>
+
+            <details class="attribution-card">
+                <summary>${escapeHtml(t('attribution.summary', { type: mbtiType, runnerUp: top2[1] }))}</summary>
+                <p class="attribution-note">
+                    ${escapeHtml(t('attribution.note', { type: mbtiType, runnerUp: top2[1] }))}
+                </p>
+                ${renderAttributionList(t('attribution.toward', { type: mbtiType }), pushedToward)}
+                ${renderAttributionList(t('attribution.toward', { type: top2[1] }), pushedAgainst)}
+            </details>
+
             <div class="scores-breakdown" role="region" aria-labelledby="breakdown-title">
                 <h4 id="breakdown-title" class="breakdown-title">Detailed Function Scores</h4>
                 <div class="scores-grid">
                     ${sortedScores.map(item => `
-                        <div class="score-card" role="article" aria-label="${escapeHtml(item.func.fullName)}: ${item.value}ポイント">
+                        <div class="score-card" role="article" aria-label="${escapeHtml(t('scores.card', { name: localizeField(item.func, 'fullName', locale), value: item.value }))}">
                             <div class="score-header">
                                 <span class="score-func-code">${escapeHtml(item.key)}</span>
                                 <span class="score-value">${item.value}</span>
                             </div>
-                            <div class="score-func-name">${escapeHtml(item.func.fullName)}</div>
+                            <div class="score-func-name">${escapeHtml(localizeField(item.func, 'fullName', locale))}</div>
                             <div class="score-bar-mini" role="progressbar" aria-valuenow="${item.value}" aria-valuemin="0" aria-valuemax="100">
                                 <div class="score-bar-mini-fill" style="width: ${item.value}%"></div>
                             </div>
+                            <a class="score-guide-link" href="${getGuideUrl(item.key)}">${escapeHtml(t('actions.functionGuide'))}</a>
                         </div>
                     `).join('')}
                 </div>
             </div>
 
             <div class="result-actions">
-                <button class="btn-restart" onclick="reset()" aria-label="診断を最初からやり直す">
+                <button class="btn-restart" onclick="reset()" aria-label="${escapeHtml(t('actions.restart'))}">
                     <span>Take Assessment Again</span>
                     <span class="btn-icon" aria-hidden="true">↻</span>
                 </button>
+                <button class="btn-export" onclick="downloadSessionRecord()" aria-label="${escapeHtml(t('actions.export'))}">
+                    ${escapeHtml(t('actions.exportLabel'))}
+                </button>
+                <button class="btn-export" onclick="chooseTestLength()">
+                    ${escapeHtml(t('actions.chooseLength'))}
+                </button>
             </div>
             
             <footer class="app-footer">
@@ -591,6 +1205,9 @@ function renderResult(container) {
         </div>
     `;
 
+    // 伸ばしやすい機能（第三機能・劣等機能）のトレーニング
+    renderTrainingSuggestions(container.querySelector('.training-suggestion-card'), mbtiType);
+
     // 登場アニメーション
     setTimeout(() => {
         document.querySelectorAll('.result > *').forEach((el, index) => {
@@ -611,4 +1228,7 @@ function renderResult(container) {
 // 初期化
 // ============================================
 
-window.onload = render;
\ No newline at end of file
+window.onload = () => {
+    applyPageLocale();
+    render();
+};
\ No newline at end of file
@@ -0,0 +1,351 @@
+// build-guides.js
+
+// 【概要】
+//    認知機能ガイド (data/<code>.json) を言語ごとの静的 HTML として事前生成する（検索エンジン・リンクプレビュー向け）
+//    - function.html をテンプレートに、本文・ヒーロー・ナビゲーションを guide-render.js で描画する（ブラウザでの表示と同じ構成）
+//    - <title>・meta description・keywords、Open Graph / Twitter カード、JSON-LD (Article) は JSON の seo.ja / seo.en と
+//      shareableContent.ogImage から作る
+//    - ブラウザで動かすのは言語切り替えと節のアニメーションだけ（JSON の再読み込みはしない）
+//    - 構文エラーのあるガイド・未作成のガイドは生成しない（ナビゲーションからは function.html?code= に移る）
+//    - 不完全な節があるガイドは、ブラウザでの表示と同じく一覧を付けて生成する
+//    - 英語のページは、JSON の locales に en があるガイド（本文まで翻訳済み）だけ生成する
+
+// 【実行方法】
+//    node build-guides.js [ni se ...] [--out-dir dist] [--base-url https://example.com/]
+//    機能コードを省略すると8機能すべてを生成する
+//    --base-url はサイトの公開 URL。canonical・hreflang・og:url・og:image に使う（省略時はどれも出力しない）
+
+// 【出力】
+//    <out-dir>/<code>.html（日本語）、<out-dir>/en/<code>.html（英語・翻訳済みのガイドのみ）。既定の out-dir は dist
+//    out-dir の中身をサイトのルートに重ねて配置する（戻るリンク・i18n.js・OG 画像はルートのものを参照する）
+//    OG 画像 (ogImage.template) は生成しない。サイトのルートに置いたものだけを og:image にする（ないときは画像なしの summary カード）
+//    生成できないガイドが1件でもあれば終了コード 1
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { FUNCTIONS } from './core.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, createTranslator, localize, localizeField } from './i18n.js';
+import { checkGuideText, describeGuideSyntaxError, getGuideUrl } from './guide-content.js';
+import { getGuideHero, renderGuideTags, renderGuideNav, renderGuideSections, escapeHtml } from './guide-render.js';
+import { getTrainingUrl } from './training.js';
+import { getCompareUrl } from './guide-compare.js';
+
+const SITE_NAME = 'Persona Checker';
+
+// og:locale の値
+const OG_LOCALES = {
+    ja: 'ja_JP',
+    en: 'en_US'
+};
+
+// ============================================
+// ページの生成
+// ============================================
+
+/**
+ * 生成するページのパス（out-dir・サイトのルートからの相対パス。既定の言語はルート直下）
+ * @param {string} code - 機能コード
+ * @param {string} locale - 表示言語
+ * @returns {string} 'fi.html' / 'en/fi.html'
+ */
+export function getStaticGuidePath(code, locale) {
+    const file = `${code.toLowerCase()}.html`;
+    return locale === DEFAULT_LOCALE ? file : `${locale}/${file}`;
+}
+
+/**
+ * 静的ページを生成する言語（既定の言語と、JSON の locales で本文まで翻訳済みとされた言語）
+ * @param {Object} data - ガイドの JSON
+ * @returns {string[]} ['ja'] / ['ja', 'en']
+ */
+export function getGuidePageLocales(data) {
+    return SUPPORTED_LOCALES.filter(locale => locale === DEFAULT_LOCALE || (data.locales || []).includes(locale));
+}
+
+// ページからサイトのルートへの相対パス
+function rootPrefix(locale) {
+    return locale === DEFAULT_LOCALE ? '' : '../';
+}
+
+/**
+ * ガイド1件・1言語の静的ページ
+ *
+ * @param {string} template - function.html の内容
+ * @param {Object} data - ガイドの JSON（checkGuideText で読めたもの）
+ * @param {Object} options
+ * @param {string} options.locale - 表示言語
+ * @param {Object[]} [options.problems] - checkGuideText の problems
+ * @param {string} [options.baseUrl] - サイトの公開 URL（末尾の / は省略可）
+ * @param {Function} [options.hasStaticPage] - 機能コードの静的ページがあるか（ない機能のナビゲーションは function.html?code= へ）
+ * @param {Function} [options.hasImage] - サイトのルートにその画像ファイルがあるか
+ * @returns {string} HTML
+ */
+export function renderGuidePage(template, data, { locale, problems = [], baseUrl, hasStaticPage = () => true, hasImage = fileExistsAtRoot }) {
+    const t = createTranslator(locale);
+    const L = value => localize(value, locale);
+    const code = data.code;
+    const root = rootPrefix(locale);
+    const base = baseUrl ? baseUrl.replace(/\/?$/, '/') : null;
+    const hero = getGuideHero(data, locale);
+    const pageLocales = getGuidePageLocales(data);
+
+    // ナビゲーションは同じ言語の静的ページ（同じディレクトリ）へ
+    const navHref = funcCode => (hasStaticPage(funcCode)
+        ? `${funcCode.toLowerCase()}.html`
+        : `${root}${getGuideUrl(funcCode)}`);
+
+    // SEO 用の値（seo.<locale> がなければ i18n.js の見出しと概要の一文）
+    const seo = data.seo?.[locale] || {};
+    const title = seo.title || t('guide.pageTitle', { name: hero.name, code });
+    const description = seo.description || L(data.overview?.oneLiner) || localizeField(FUNCTIONS[code], 'description', locale);
+    const keywords = Array.isArray(seo.keywords) ? seo.keywords : [];
+    const ogImage = data.shareableContent?.ogImage || {};
+    // 共有カードの画像は、絶対 URL にでき、実際に置かれているときだけ使う
+    const imageUrl = base && ogImage.template && hasImage(ogImage.template) ? `${base}${ogImage.template}` : null;
+    const canonicalUrl = base ? `${base}${getStaticGuidePath(code, locale)}` : null;
+
+    const head = [
+        keywords.length > 0 ? `<meta name="keywords" content="${escapeHtml(keywords.join(', '))}">` : '',
+        canonicalUrl ? `<link rel="canonical" href="${escapeHtml(canonicalUrl)}">` : '',
+        ...(base && pageLocales.length > 1
+            ? [...pageLocales, 'x-default'].map(hreflang => `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(
+                `${base}${getStaticGuidePath(code, hreflang === 'x-default' ? DEFAULT_LOCALE : hreflang)}`)}">`)
+            : []),
+        `<meta property="og:type" content="article">`,
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        `<meta property="og:locale" content="${OG_LOCALES[locale]}">`,
+        ...pageLocales.filter(other => other !== locale)
+            .map(other => `<meta property="og:locale:alternate" content="${OG_LOCALES[other]}">`),
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        canonicalUrl ? `<meta property="og:url" content="${escapeHtml(canonicalUrl)}">` : '',
+        imageUrl ? `<meta property="og:image" content="${escapeHtml(imageUrl)}">` : '',
+        // dynamicText は日本語のみ
+        imageUrl && ogImage.dynamicText && locale === 'ja'
+            ? `<meta property="og:image:alt" content="${escapeHtml(ogImage.dynamicText)}">` : '',
+        `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+        imageUrl ? `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">` : '',
+        ogImage.backgroundColor ? `<meta name="theme-color" content="${escapeHtml(ogImage.backgroundColor)}">` : '',
+        `<script type="application/ld+json">${renderJsonLd({ title, description, keywords, locale, imageUrl, canonicalUrl, hero, code })}</script>`,
+        // スクリプトなしでも本文を表示する（節はアニメーションで表示するまで透明）
+        `<noscript><style>.section { opacity: 1; transform: none; }</style></noscript>`
+    ].filter(Boolean).map(tag => `  ${tag}`).join('\n');
+
+    let html = translateStaticText(template, t)
+        .replace(/<html lang="[^"]*">/, `<html lang="${locale}">`)
+        // サイト内の相対リンク（戻るリンクなど）をルートからの参照に
+        .replace(/(href|src)="(?!https?:|\/|#)([^"]+)"/g, (_, attribute, path) => `${attribute}="${root}${path}"`)
+        .replace(/(<title id="page-title">)[\s\S]*?(<\/title>)/, (_, open, close) => `${open}${escapeHtml(title)}${close}`)
+        .replace(/(<meta name="description" id="page-description" content=")[^"]*(">)/,
+            (_, open, close) => `${open}${escapeHtml(description)}${close}\n${head}`);
+
+    html = fillElement(html, 'function-nav-list', renderGuideNav(code, { locale, href: navHref }));
+    html = fillElement(html, 'hero-code', escapeHtml(hero.code));
+    html = fillElement(html, 'hero-name', escapeHtml(hero.name));
+    html = fillElement(html, 'hero-tagline', escapeHtml(hero.tagline));
+    html = fillElement(html, 'hero-tags', renderGuideTags(hero.tags));
+    html = fillElement(html, 'main-content', renderGuideSections(data, {
+        locale,
+        t,
+        problems,
+        trainingHref: funcCode => `${root}${getTrainingUrl(funcCode)}`,
+        compareHref: (a, b) => `${root}${getCompareUrl(a, b)}`
+    }));
+
+    // 静的ページのない言語は、ブラウザで描画するページへ
+    const pages = Object.fromEntries(SUPPORTED_LOCALES.map(pageLocale => [pageLocale, pageLocales.includes(pageLocale)
+        ? `${root}${getStaticGuidePath(code, pageLocale)}`
+        : `${root}${getGuideUrl(code)}&lang=${pageLocale}`]));
+    return html.replace(/<script type="module">[\s\S]*?<\/script>/, () => renderHydrationScript(locale, root, pages));
+}
+
+/**
+ * 静的ページの生成
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.codes] - 機能コード (省略時は FUNCTIONS の8機能)
+ * @param {string} [options.outDir] - 出力先 (既定: dist)
+ * @param {string} [options.baseUrl] - サイトの公開 URL
+ * @returns {Array} [{ code, file, missingFile, syntaxError, problems, pages }]（pages は生成したファイルのパス）
+ */
+export function buildGuides({ codes = Object.keys(FUNCTIONS), outDir = 'dist', baseUrl } = {}) {
+    const template = readFileSync(new URL('./function.html', import.meta.url), 'utf8');
+
+    // 8機能すべてを読んで、ナビゲーションのリンク先（静的ページがあるか）を決める
+    const guides = Object.keys(FUNCTIONS).map(code => {
+        const file = `data/${code.toLowerCase()}.json`;
+        const url = new URL(`./${file}`, import.meta.url);
+        if (!existsSync(url)) {
+            return { code, file, missingFile: true, syntaxError: null, problems: [], data: null };
+        }
+        return { code, file, missingFile: false, ...checkGuideText(readFileSync(url, 'utf8'), code) };
+    });
+    const buildable = new Set(guides.filter(guide => guide.data).map(guide => guide.code));
+
+    return guides
+        .filter(guide => codes.includes(guide.code))
+        .map(({ data, ...result }) => {
+            const pages = !data ? [] : getGuidePageLocales(data).map(locale => {
+                const path = join(outDir, getStaticGuidePath(result.code, locale));
+                mkdirSync(dirname(path), { recursive: true });
+                writeFileSync(path, renderGuidePage(template, data, {
+                    locale,
+                    problems: result.problems,
+                    baseUrl,
+                    hasStaticPage: funcCode => buildable.has(funcCode)
+                }));
+                return path;
+            });
+            return { ...result, pages };
+        });
+}
+
+// ============================================
+// HTML の部品
+// ============================================
+
+// サイトのルート（このファイルのあるディレクトリ）にファイルがあるか
+function fileExistsAtRoot(file) {
+    return existsSync(new URL(`./${file}`, import.meta.url));
+}
+
+// data-i18n の文言をあらかじめ翻訳する（applyTranslations と同じく改行は <br>）
+function translateStaticText(html, t) {
+    return html
+        .replace(/<([a-z][a-z0-9]*)([^>]*?) data-i18n="([^"]+)"([^>]*)>[\s\S]*?<\/\1>/g,
+            (_, tag, before, key, after) => `<${tag}${before}${after}>${t(key).split('\n').map(escapeHtml).join('<br>')}</${tag}>`)
+        .replace(/ ([a-z-]+)="[^"]*" data-i18n-attr="([a-z-]+):([^"]+)"/g,
+            (match, attribute, target, key) => (attribute === target ? ` ${attribute}="${escapeHtml(t(key))}"` : match));
+}
+
+// id の要素の中身を差し替える
+function fillElement(html, id, inner) {
+    const pattern = new RegExp(`(<([a-z][a-z0-9]*)[^>]* id="${id}"[^>]*>)[\\s\\S]*?(<\\/\\2>)`);
+    if (!pattern.test(html)) {
+        console.error(`[fillElement] テンプレートに id="${id}" の要素がありません`);
+        return html;
+    }
+    return html.replace(pattern, (_, open, tag, close) => `${open}${inner}${close}`);
+}
+
+// 構造化データ（schema.org の Article。< はスクリプトの終了と誤読されないようエスケープ）
+function renderJsonLd({ title, description, keywords, locale, imageUrl, canonicalUrl, hero, code }) {
+    const article = {
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: title,
+        description,
+        inLanguage: locale,
+        ...(keywords.length > 0 ? { keywords: keywords.join(', ') } : {}),
+        ...(imageUrl ? { image: imageUrl } : {}),
+        ...(canonicalUrl ? { url: canonicalUrl, mainEntityOfPage: canonicalUrl } : {}),
+        about: {
+            '@type': 'Thing',
+            name: hero.name,
+            alternateName: code,
+            description: localizeField(FUNCTIONS[code], 'description', locale)
+        },
+        isPartOf: { '@type': 'WebSite', name: SITE_NAME }
+    };
+    return JSON.stringify(article).replace(/</g, '\\u003c');
+}
+
+// ブラウザで動かす部分（言語切り替えは同じ機能のもう一方の言語のページへ移る・節のアニメーション）
+function renderHydrationScript(locale, root, pages) {
+    return `<script type="module">
+    // build-guides.js で生成したページ: 本文は生成済みのため、言語切り替えと節のアニメーションだけを動かす
+    import { mountLocaleSwitcher } from '${root}i18n.js';
+
+    const pages = ${JSON.stringify(pages)};
+    mountLocaleSwitcher(document.getElementById('locale-switcher'), '${locale}', locale => {
+      window.location.href = pages[locale];
+    });
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.classList.add('visible');
+        }
+      });
+    }, { threshold: 0.1, rootMargin: '0px 0px -50px 0px' });
+
+    document.querySelectorAll('.section').forEach(section => {
+      observer.observe(section);
+    });
+  </script>`;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function printReport(results, options) {
+    const t = createTranslator('ja');
+    console.log(`\n🏗️  ガイドの静的ページ: ${results.map(result => result.code).join(', ')} → ${options.outDir}/`);
+
+    for (const result of results) {
+        if (result.missingFile) {
+            console.log(`\n✗ ${result.file}\n  ${t('guideCheck.missingFile')}`);
+        } else if (result.syntaxError) {
+            console.log(`\n✗ ${result.file}\n  ${describeGuideSyntaxError(result.syntaxError, t)}`);
+        } else {
+            console.log(`\n✓ ${result.file} → ${result.pages.join(', ')}`);
+            if (result.problems.length > 0) {
+                console.log(`  ⚠️  ${t('guideCheck.incompleteTitle', { count: result.problems.length })}（詳細は node validate-guides.js ${result.code.toLowerCase()}）`);
+            }
+        }
+    }
+
+    if (!options.baseUrl) {
+        console.log('\n⚠️  --base-url がないため canonical・hreflang・og:url・og:image を出力しません');
+    }
+    const failed = results.filter(result => result.pages.length === 0).length;
+    console.log(failed === 0
+        ? `\n✅ ${results.length} 件のガイドを生成しました\n`
+        : `\n❌ ${failed} / ${results.length} 件のガイドを生成できませんでした\n`);
+}
+
+function parseArgs(args) {
+    const options = { codes: [], outDir: 'dist' };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out-dir') {
+            options.outDir = args[++i];
+            continue;
+        }
+        if (args[i] === '--base-url') {
+            const value = args[++i];
+            if (!/^https?:\/\//.test(value || '')) return { error: `--base-url は http(s):// で始まる URL を指定してください: ${value}` };
+            options.baseUrl = value;
+            continue;
+        }
+        if (args[i].startsWith('--')) return { error: `不明なオプション: ${args[i]}` };
+        const code = Object.keys(FUNCTIONS).find(funcName => funcName.toLowerCase() === args[i].toLowerCase());
+        if (!code) return { error: `不明な機能コード: ${args[i]}（${Object.keys(FUNCTIONS).join(', ')}）` };
+        options.codes.push(code);
+    }
+    if (!options.outDir) return { error: '--out-dir の値がありません' };
+    return { options };
+}
+
+function main(args) {
+    const { options, error } = parseArgs(args);
+    if (error) {
+        console.error(`❌ ${error}`);
+        process.exit(1);
+    }
+
+    const results = buildGuides({
+        codes: options.codes.length > 0 ? options.codes : undefined,
+        outDir: options.outDir,
+        baseUrl: options.baseUrl
+    });
+    printReport(results, options);
+    process.exit(results.some(result => result.pages.length === 0) ? 1 : 0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2));
+}
@@ -51,14 +51,149 @@ const JUNG_FUNCTION_WEIGHTS = {
 };
 
 /**
- * Likert尺度の中央値
+ * Beebe 8機能モデルの重み付け定数
  * 
- * 5段階評価の中立点:
+ * John Beebe の元型モデルでは、4機能スタックの背後に
+ * 態度を反転させた4つの「影 (シャドウ)」機能が存在する:
+ * 
+ * 5. 対立機能 (Opposing Personality): 主機能の態度反転 (例: Ni → Ne)
+ *    - 主機能と競合し、頑固さ・反発として現れる
+ * 6. 批判的親 (Critical Parent / Witch): 補助機能の態度反転
+ *    - 他者や自分への批判的・否定的な使い方になりやすい
+ * 7. トリックスター (Trickster): 第三機能の態度反転
+ *    - 盲点。相手を欺く・欺かれる場面で現れる
+ * 8. 悪魔的機能 (Demon): 劣等機能の態度反転
+ *    - 最も無意識的で、極度のストレス下でのみ破壊的に現れる
+ * 
+ * 重みの設計:
+ * - 上位4位置は JUNG_FUNCTION_WEIGHTS と同一 (4:2:1:0.5)
+ * - 影の4位置は負の重み: 影機能のスコアが「低い」ことがそのタイプの証拠になる
+ *   (4機能モデルでは影機能のスコアは判定に一切使われず捨てられていた)
+ * - 絶対値は意識から遠いほど小さくする (1.0 → 0.5 → 0.25 → 0.25)
+ *   対立機能は主機能と直接競合するため最も情報量が大きい
+ *   トリックスターと悪魔的機能は自己報告で捉えにくいため同値とする
+ */
+const BEEBE_FUNCTION_WEIGHTS = {
+    ...JUNG_FUNCTION_WEIGHTS,
+    OPPOSING: -1.0,         // 対立機能 - 主機能の影
+    CRITICAL_PARENT: -0.5,  // 批判的親 - 補助機能の影
+    TRICKSTER: -0.25,       // トリックスター - 第三機能の影
+    DEMON: -0.25            // 悪魔的機能 - 劣等機能の影
+};
+
+/**
+ * Likert尺度の定義 (回答尺度は質問セットの属性)
+ * 
+ * 5段階評価 (既定):
  * - 範囲: 1(全くそう思わない) ～ 5(とてもそう思う)
  * - 中央値: 3(どちらともいえない)
  * - この値を基準に、肯定/否定の方向性を判定する
+ * 
+ * 各尺度から導出される値 (defineLikertScale):
+ * - midpoint: 中央値 (points + 1) / 2
+ *   奇数段階では中立の選択肢、偶数段階では選択肢の間 (中立の選択肢がなく、どちらかに寄せる)
+ * - reverseBase: 逆転項目の変換定数 points + 1
+ *   反転値 = (最大値 + 最小値) - 元の値 (5段階: 5→1, 3→3 / 7段階: 7→1, 4→4 / 4段階: 4→1, 2→3)
+ *   逆転項目は回答者の一貫性のチェック (Acquiescence Bias対策) と、
+ *   同じ機能を多角的に測定することによる測定精度の向上のために用いる
+ * - hasNeutral: 中立の選択肢があるか
+ * - labelsEn: 選択肢の英語ラベル (labels と同じ並び)
+ * - deviationScale: 中央値からの偏差を5段階の ±2 に揃える係数 4 / (points - 1)
+ *   両端の回答が尺度によらず同じ強さになるため、7段階と5段階のスコア・正規化範囲を
+ *   そのまま比較できる
+ *   例: 7段階 ±1, ±2, ±3 → ±0.67, ±1.33, ±2 / 4段階 ±0.5, ±1.5 → ±0.67, ±2
+ */
+function defineLikertScale(labels, labelsEn) {
+    const points = labels.length;
+    return {
+        points,
+        labels,
+        labelsEn,
+        midpoint: (points + 1) / 2,
+        reverseBase: points + 1,
+        hasNeutral: points % 2 === 1,
+        deviationScale: 4 / (points - 1)
+    };
+}
+
+export const LIKERT_SCALES = {
+    likert4: defineLikertScale([
+        '全くそう思わない', 'あまりそう思わない', 'ややそう思う', 'とてもそう思う'
+    ], [
+        'Strongly disagree', 'Somewhat disagree', 'Somewhat agree', 'Strongly agree'
+    ]),
+    likert5: defineLikertScale([
+        '全くそう思わない', 'あまりそう思わない', 'どちらともいえない', 'ややそう思う', 'とてもそう思う'
+    ], [
+        'Strongly disagree', 'Somewhat disagree', 'Neither agree nor disagree', 'Somewhat agree', 'Strongly agree'
+    ]),
+    likert6: defineLikertScale([
+        '全くそう思わない', 'そう思わない', 'あまりそう思わない', 'ややそう思う', 'そう思う', 'とてもそう思う'
+    ], [
+        'Strongly disagree', 'Disagree', 'Somewhat disagree', 'Somewhat agree', 'Agree', 'Strongly agree'
+    ]),
+    likert7: defineLikertScale([
+        '全くそう思わない', 'そう思わない', 'あまりそう思わない', 'どちらともいえない',
+        'ややそう思う', 'そう思う', 'とてもそう思う'
+    ], [
+        'Strongly disagree', 'Disagree', 'Somewhat disagree', 'Neither agree nor disagree',
+        'Somewhat agree', 'Agree', 'Strongly agree'
+    ])
+};
+
+const DEFAULT_LIKERT_SCALE = 'likert5';
+
+/**
+ * 強制選択 (イプサティブ) 項目の回答尺度
+ * 
+ * 異なる機能の2つの文 (A / B) を示し、どちらがより当てはまるかを選ばせる。
+ * 「どれにも そう思う」と答える回答者でも、2機能の相対的な強さしか動かせないため、
+ * 黙従傾向で全機能のスコアが一様に膨らむことを防げる。
+ * 
+ * - choice2: A か B かのみ
+ * - choice4: 強さ付き (A がよく当てはまる ～ B がよく当てはまる、中立なし)
+ * 
+ * 値は 1 (A 側) ～ points (B 側)。偏差の換算は Likert 尺度と同じ (defineLikertScale) で、
+ * 両端の回答は尺度によらず ±2 になる。採点は calculateForcedChoiceScore を参照。
+ */
+export const FORCED_CHOICE_SCALES = {
+    choice2: defineLikertScale([
+        'A の方が当てはまる', 'B の方が当てはまる'
+    ], [
+        'A describes me better', 'B describes me better'
+    ]),
+    choice4: defineLikertScale([
+        'A がよく当てはまる', 'どちらかといえば A', 'どちらかといえば B', 'B がよく当てはまる'
+    ], [
+        'A describes me well', 'Slightly more A', 'Slightly more B', 'B describes me well'
+    ])
+};
+
+/**
+ * 強制選択項目の採点設定
+ * 
+ * - STATEMENT_WEIGHT: 各機能への寄与の倍率
+ *   1回答で2機能 (選んだ側を +、選ばなかった側を -) を動かすため、
+ *   0.5 で1機能あたりの影響を Likert 1問の半分にし、回答1つの影響の合計を Likert 1問と揃える
+ */
+const FORCED_CHOICE_SETTINGS = {
+    STATEMENT_WEIGHT: 0.5
+};
+
+/**
+ * 場面想定項目 (状況判断) の採点設定
+ * 
+ * 場面想定項目は「締め切り前夜、チームが方針で揉めている。あなたは…」のような場面に対し、
+ * 3～5個の行動の選択肢から1つを選ぶ。選択肢はそれぞれ8機能への重み (-1 ～ 1) を持ち、
+ * 1つの回答で複数の機能を動かす。自己評価ではなく行動を選ばせるため、望ましく見せる回答をしにくい。
+ * 
+ * - OPTION_SCORE: 重み 1 の機能の偏差 (重み × OPTION_SCORE が Likert の中央からの偏差にあたる)
+ *   Likert の「とてもそう思う」の偏差 (+2) と揃え、同じ非線形強調 (SCORE_EMPHASIS_EXPONENT) をかける
+ *   (重み 1 なら約 +2.30 で Likert の両端と同じ強さ、重み 0.5 なら +1 で「ややそう思う」と同じ)
  */
-const LIKERT_SCALE_MIDPOINT = 3;
+const SCENARIO_SETTINGS = {
+    OPTION_SCORE: 2
+};
 
 /**
  * 非線形スコアリングのべき指数
@@ -82,7 +217,7 @@ const LIKERT_SCALE_MIDPOINT = 3;
  *    - 主観的強度は物理的強度の約1.1～1.3乗に比例
  *    - 感情的確信度も同様の非線形性を示す
  * 
- * 2. 実証的検証:
+ * 2. 参考値 (出典・算出条件が不明な未検証の数値。sweep.js の正答率は合成データでの値で、この数値の再現ではない):
  *    - 指数1.0 (線形): 診断精度68% (中間回答の過大評価)
  *    - 指数1.2 (採用): 診断精度78% (最適バランス)
  *    - 指数1.5 (強): 診断精度72% (極端回答の過大評価)
@@ -105,46 +240,33 @@ const LIKERT_SCALE_MIDPOINT = 3;
  */
 const SCORE_EMPHASIS_EXPONENT = 1.2;
 
-/**
- * 逆転項目の変換定数
- * 
- * 逆転項目の目的:
- * - 回答者の一貫性をチェック (Acquiescence Bias対策)
- * - 同じ機能を多角的に測定し、測定精度を向上
- * 
- * 変換式: 反転値 = (最大値 + 最小値) - 元の値
- * 5段階尺度の場合: 反転値 = 6 - 元の値
- * 例: 5→1, 4→2, 3→3, 2→4, 1→5
- */
-const LIKERT_SCALE_REVERSE_BASE = 6;
-
 /**
  * スコア正規化の範囲定数
  * 
  * 理論的スコア範囲の算出:
- * - 各機能: 8問 (簡易版) or 12問 (詳細版)
- * - 各問の理論的範囲: -2.0 ～ +2.0 (指数1.2適用後の最大値)
- *   実際の計算: 偏差±2 → ±2^1.2 ≒ ±2.30
+ * - 各問の理論的範囲: 偏差±2 → ±2^1.2 ≒ ±2.30 (SCORE_EMPHASIS_EXPONENT 適用後)
+ * - 機能ごとの理論的範囲 = 出題数 × (±2.30)
+ *   簡易版 (8問): ±18.4 / 詳細版 (12問): ±27.6
  * 
- * - 8問の場合の理論的範囲: 8 × (±2.30) = ±18.4
- * - 12問の場合の理論的範囲: 12 × (±2.30) = ±27.6
+ * 以前は簡易版を前提に ±20 で固定していたため、詳細版では100で頭打ちになり、
+ * 2つのモードのスコアが比較できなかった。
+ * 現在は出題される質問セットから機能ごとの範囲を算出する (createScoreNormalization)。
  * 
- * 実用的範囲の設定:
- * - 理論値通りに±2.30で8問全て回答することは極めて稀
- * - 実データの95%信頼区間: 約±15 (簡易版), ±22 (詳細版)
- * - 外れ値を考慮した安全マージン: ±20 (簡易版), ±30 (詳細版)
+ * 実測の分布が得られている場合は、経験的ノルム表で真のパーセンタイルに変換できる。
+ * ノルム表の形式:
+ *   { mode: 'simple', functions: { Ni: [[生スコア, パーセンタイル], ...], ... } }
+ *   (生スコア昇順。表の間は線形補間、範囲外は端の値)
  * 
- * 現在の設定 (簡易版8問ベース):
- * - SCORE_MIN = -20: 全問「全くそう思わない」を選択した場合をカバー
- * - SCORE_MAX = +20: 全問「とてもそう思う」を選択した場合をカバー
+ * 定数:
+ * - DEFAULT_ITEMS_PER_FUNCTION: 質問セットが与えられない場合の出題数 (簡易版 8問)
+ * - OUTPUT_MIN / OUTPUT_MAX: 正規化後の範囲
  * 
  * 正規化の目的:
  * - 0-100のパーセンタイル表示により、ユーザーにとって直感的
  * - 異なる質問数のモード(簡易/詳細)間での比較が容易
  */
 const SCORE_NORMALIZATION = {
-    MIN: -20,  // 理論的最小値 (全問強い否定)
-    MAX: 20,   // 理論的最大値 (全問強い肯定)
+    DEFAULT_ITEMS_PER_FUNCTION: 8,
     OUTPUT_MIN: 0,    // 正規化後の最小値
     OUTPUT_MAX: 100   // 正規化後の最大値
 };
@@ -180,6 +302,115 @@ const CONFIDENCE_BOUNDS = {
     MAX: 100
 };
 
+/**
+ * 回答妥当性指標の判定閾値
+ *
+ * 自己報告式検査では、内容を読まずに回答されたセッションが一定数混入する。
+ * 以下の4指標で「解釈可能なプロファイルかどうか」を判定する:
+ *
+ * 1. 黙従傾向 (Acquiescence Bias):
+ *    - 通常項目と逆転項目の「生の回答値」の中央値からの偏差を、
+ *      両群で等しく重み付けして平均する (平衡型黙従指標)
+ *    - 一貫した回答者では通常項目と逆転項目が打ち消し合い、0付近になる
+ *    - ±1.0以上 = 内容に関係なく「そう思う」(または「そう思わない」)側に偏っている
+ *
+ * 2. ストレートライン (Straight-lining):
+ *    - 出題順で同じ選択肢が連続した最長の長さ
+ *    - 5択で12問連続一致する確率は無作為回答でも 0.2^11 ≒ 2×10^-8
+ *
+ * 3. 極端回答傾向 (Extreme Response Style):
+ *    - 両端の選択肢 (1 or 5) の割合
+ *    - 単独では無効とせず、注意喚起に留める (確信の強い回答者も存在するため)
+ *
+ * 4. 逆転項目の不一致 (Reverse-item Inconsistency):
+ *    - 機能ごとに、通常項目と逆転項目の採点後偏差の平均の差を取る (範囲 0～4)
+ *    - 2.0以上 = 同じ機能について正反対の回答をしている
+ *    - 3機能以上で不一致の場合、プロファイル全体を解釈不能とする
+ *
+ * 回答数が MIN_ANSWERS 未満の場合、指標は計算するが判定は行わない
+ * (少数回答では偶然の偏りと区別できないため)
+ */
+const VALIDITY_THRESHOLDS = {
+    MIN_ANSWERS: 16,
+    ACQUIESCENCE_MAX: 1.0,
+    STRAIGHT_LINE_RUN_MAX: 12,
+    EXTREME_RESPONSE_RATIO_MAX: 0.85,
+    REVERSE_DISAGREEMENT_MAX: 2.0,
+    REVERSE_INCONSISTENT_FUNCTIONS_MAX: 2
+};
+
+/**
+ * タイプ確率分布 (16タイプ事後確率) の計算定数
+ *
+ * 従来の確信度は上位2タイプのスコア差しか見ておらず、
+ * スコアが負の場合に挙動が不安定で、3位以下の情報も失われていた。
+ * そこで全16タイプのスコアをソフトマックスで確率に変換する:
+ *
+ *   P(type) = exp(score_type / T) / Σ exp(score_k / T)
+ *
+ * 温度 T の決定 (項目分散への当てはめ):
+ * - 各項目スコアの誤差分散を σ² とすると、機能スコア (n問の合計) の分散は n·σ²
+ * - タイプスコア = Σ w_pos × 機能スコア なので、その標準偏差は
+ *   T = √(Σ w_pos² × n × σ²)
+ * - σ² は回答者自身の回答から、機能内プール分散として推定する
+ *   (同じ機能の項目間のばらつき = 測定誤差とみなす)
+ * - これにより「測定誤差1標準偏差分のスコア差」が確率比 e 倍に対応する
+ *
+ * 定数:
+ * - DEFAULT_ITEM_VARIANCE: 回答データがない場合の σ²
+ *   5段階の各選択肢が等確率で選ばれた場合の項目スコア分散 ((2·2^2.4 + 2·1) / 5 ≒ 2.51)
+ * - MIN_ITEM_VARIANCE: σ² の下限 (全問同じ回答でも T が0にならないように)
+ * - DEFAULT_ITEMS_PER_FUNCTION: 回答データがない場合の n (簡易版 8問)
+ * - BOOTSTRAP_SAMPLES: 信頼区間を求めるブートストラップ反復回数
+ * - CI_LEVEL: 信頼区間の水準
+ */
+const PROBABILITY_SETTINGS = {
+    DEFAULT_ITEM_VARIANCE: 2.51,
+    MIN_ITEM_VARIANCE: 0.25,
+    DEFAULT_ITEMS_PER_FUNCTION: 8,
+    BOOTSTRAP_SAMPLES: 200,
+    CI_LEVEL: 0.95
+};
+
+/**
+ * 適応型テスト (CAT: Computerized Adaptive Testing) の制御定数
+ *
+ * 固定順の全問回答ではなく、その時点で上位のタイプ候補を
+ * 最もよく識別する機能の項目を次に出題し、判定が安定したら終了する。
+ *
+ * - MIN_ITEMS_PER_FUNCTION: 全機能について最低限出題する項目数
+ *   (序盤の少数回答で候補が偏り、一部の機能が一度も測定されないのを防ぐ)
+ * - CANDIDATE_COUNT: 識別対象とする上位タイプ数
+ * - STABLE_ITEMS: 1位タイプが連続して変わらなかった項目数がこれに達したら収束とみなす
+ * - STOP_PROBABILITY: 収束判定に必要な1位タイプの確率
+ * - MAX_ITEMS: 最大出題数 (詳細版96問の半分)
+ */
+const ADAPTIVE_SETTINGS = {
+    MIN_ITEMS_PER_FUNCTION: 2,
+    CANDIDATE_COUNT: 4,
+    STABLE_ITEMS: 8,
+    STOP_PROBABILITY: 0.6,
+    MAX_ITEMS: 48
+};
+
+/**
+ * 僅差タイプ分析の定数
+ *
+ * 1位タイプとのスコア差が測定誤差の範囲に収まるタイプを「僅差」としてまとめる。
+ *
+ * タイプスコアの差の標準誤差 (確率モデルと同じ誤差の仮定):
+ * - 機能スコアの誤差分散は n·σ² (PROBABILITY_SETTINGS 参照)
+ * - 差 = Σ (w_1位(f) - w_比較(f)) × 機能スコア(f) なので
+ *   SE = √(Σ (Δw_f)² × n × σ²)
+ * - 機能スタックを多く共有するタイプほど Δw が小さく、SE も小さい
+ *
+ * - MARGIN_SE: 差が SE のこの倍数未満なら僅差とみなす (1SE ルール)
+ *   (1.0 は測定誤差1つ分の差。大きくするほど多くのタイプが僅差にまとめられる)
+ */
+const NEAR_TIE_SETTINGS = {
+    MARGIN_SE: 1.0
+};
+
 // ============================================
 // 認知機能の定義
 // ============================================
@@ -198,14 +429,14 @@ const CONFIDENCE_BOUNDS = {
  *   * 感情 (Feeling): 価値観、主観性、調和を重視
  */
 export const FUNCTIONS = {
-    Ni: { name: 'Ni', fullName: '内向的直観', description: '洞察と未来予測' },
-    Ne: { name: 'Ne', fullName: '外向的直観', description: '可能性の探求' },
-    Si: { name: 'Si', fullName: '内向的感覚', description: '経験と伝統' },
-    Se: { name: 'Se', fullName: '外向的感覚', description: '現在の体験' },
-    Ti: { name: 'Ti', fullName: '内向的思考', description: '論理的分析' },
-    Te: { name: 'Te', fullName: '外向的思考', description: '効率的実行' },
-    Fi: { name: 'Fi', fullName: '内向的感情', description: '個人的価値' },
-    Fe: { name: 'Fe', fullName: '外向的感情', description: '調和と共感' }
+    Ni: { name: 'Ni', fullName: '内向的直観', fullNameEn: 'Introverted Intuition', description: '洞察と未来予測', descriptionEn: 'Insight and foresight' },
+    Ne: { name: 'Ne', fullName: '外向的直観', fullNameEn: 'Extraverted Intuition', description: '可能性の探求', descriptionEn: 'Exploring possibilities' },
+    Si: { name: 'Si', fullName: '内向的感覚', fullNameEn: 'Introverted Sensing', description: '経験と伝統', descriptionEn: 'Experience and tradition' },
+    Se: { name: 'Se', fullName: '外向的感覚', fullNameEn: 'Extraverted Sensing', description: '現在の体験', descriptionEn: 'Present experience' },
+    Ti: { name: 'Ti', fullName: '内向的思考', fullNameEn: 'Introverted Thinking', description: '論理的分析', descriptionEn: 'Logical analysis' },
+    Te: { name: 'Te', fullName: '外向的思考', fullNameEn: 'Extraverted Thinking', description: '効率的実行', descriptionEn: 'Efficient execution' },
+    Fi: { name: 'Fi', fullName: '内向的感情', fullNameEn: 'Introverted Feeling', description: '個人的価値', descriptionEn: 'Personal values' },
+    Fe: { name: 'Fe', fullName: '外向的感情', fullNameEn: 'Extraverted Feeling', description: '調和と共感', descriptionEn: 'Harmony and empathy' }
 };
 
 /**
@@ -238,44 +469,187 @@ export const COGNITIVE_STACKS = {
     ESFP: ['Se', 'Fi', 'Te', 'Ni']
 };
 
+/**
+ * 機能スタックモデル
+ * 
+ * - jung4: 主機能～劣等機能の4位置 (既定)
+ * - beebe8: 4位置 + 態度を反転させた影の4位置 (BEEBE_FUNCTION_WEIGHTS 参照)
+ * 
+ * positions の順序は機能スタックの並び順と一致する。
+ * beebe8 の5～8位置は、1～4位置の機能の態度反転 (expandStack 参照)。
+ * weights は重みの出典となる設定のキー。設定を差し替えた場合は
+ * positions の weight ではなく設定側の値が使われる (resolveStackModel 参照)。
+ */
+export const STACK_MODELS = {
+    jung4: {
+        name: 'Jung 4機能モデル',
+        nameEn: 'Jung 4-function model',
+        weights: 'JUNG_FUNCTION_WEIGHTS',
+        positions: [
+            { key: 'DOMINANT', label: '主機能', labelEn: 'Primary', weight: JUNG_FUNCTION_WEIGHTS.DOMINANT },
+            { key: 'AUXILIARY', label: '補助機能', labelEn: 'Auxiliary', weight: JUNG_FUNCTION_WEIGHTS.AUXILIARY },
+            { key: 'TERTIARY', label: '第三機能', labelEn: 'Tertiary', weight: JUNG_FUNCTION_WEIGHTS.TERTIARY },
+            { key: 'INFERIOR', label: '劣等機能', labelEn: 'Inferior', weight: JUNG_FUNCTION_WEIGHTS.INFERIOR }
+        ]
+    },
+    beebe8: {
+        name: 'Beebe 8機能モデル',
+        nameEn: 'Beebe 8-function model',
+        weights: 'BEEBE_FUNCTION_WEIGHTS',
+        positions: [
+            { key: 'DOMINANT', label: '主機能', labelEn: 'Primary', weight: BEEBE_FUNCTION_WEIGHTS.DOMINANT },
+            { key: 'AUXILIARY', label: '補助機能', labelEn: 'Auxiliary', weight: BEEBE_FUNCTION_WEIGHTS.AUXILIARY },
+            { key: 'TERTIARY', label: '第三機能', labelEn: 'Tertiary', weight: BEEBE_FUNCTION_WEIGHTS.TERTIARY },
+            { key: 'INFERIOR', label: '劣等機能', labelEn: 'Inferior', weight: BEEBE_FUNCTION_WEIGHTS.INFERIOR },
+            { key: 'OPPOSING', label: '対立機能', labelEn: 'Opposing', weight: BEEBE_FUNCTION_WEIGHTS.OPPOSING },
+            { key: 'CRITICAL_PARENT', label: '批判的親', labelEn: 'Critical Parent', weight: BEEBE_FUNCTION_WEIGHTS.CRITICAL_PARENT },
+            { key: 'TRICKSTER', label: 'トリックスター', labelEn: 'Trickster', weight: BEEBE_FUNCTION_WEIGHTS.TRICKSTER },
+            { key: 'DEMON', label: '悪魔的機能', labelEn: 'Demon', weight: BEEBE_FUNCTION_WEIGHTS.DEMON }
+        ]
+    }
+};
+
+const DEFAULT_STACK_MODEL = 'jung4';
+
+/**
+ * 4つの二分指標 (E/I, S/N, T/F, J/P)
+ * 
+ * 機能スタックからの導出規則 (getTypeLetters 参照):
+ * - E/I: 主機能の態度 (外向なら E)
+ * - S/N: 上位2機能のうち知覚機能 (Se/Si → S, Ne/Ni → N)
+ * - T/F: 上位2機能のうち判断機能 (Te/Ti → T, Fe/Fi → F)
+ * - J/P: 上位2機能のうち外向的な機能が判断機能なら J、知覚機能なら P
+ */
+const DICHOTOMIES = [
+    { key: 'EI', letters: ['E', 'I'], label: '外向 / 内向', labelEn: 'Extraversion / Introversion' },
+    { key: 'SN', letters: ['S', 'N'], label: '感覚 / 直観', labelEn: 'Sensing / Intuition' },
+    { key: 'TF', letters: ['T', 'F'], label: '思考 / 感情', labelEn: 'Thinking / Feeling' },
+    { key: 'JP', letters: ['J', 'P'], label: '判断 / 知覚', labelEn: 'Judging / Perceiving' }
+];
+
+/**
+ * 機能の態度を反転 (Ni ⇔ Ne, Ti ⇔ Te ...)
+ * 
+ * @param {string} funcName - 認知機能名
+ * @returns {string} 態度を反転した認知機能名
+ */
+function flipAttitude(funcName) {
+    const attitude = funcName[1] === 'i' ? 'e' : 'i';
+    return funcName[0] + attitude;
+}
+
+/**
+ * 4機能スタックをモデルの位置数まで展開
+ * 
+ * @param {Array} stack - [主機能, 補助機能, 第三機能, 劣等機能]
+ * @param {Object} model - STACK_MODELS の値
+ * @returns {Array} モデルの positions と同じ長さの機能配列
+ */
+function expandStack(stack, model) {
+    if (model.positions.length <= stack.length) {
+        return stack.slice(0, model.positions.length);
+    }
+    return [...stack, ...stack.map(flipAttitude)];
+}
+
+/**
+ * 機能スタックから4文字のタイプ表記を導出
+ * 
+ * @param {Array} stack - [主機能, 補助機能, 第三機能, 劣等機能]
+ * @returns {string} 例: ['Ni', 'Te', 'Fi', 'Se'] → "INTJ"
+ */
+function getTypeLetters(stack) {
+    const [dominant, auxiliary] = stack;
+    const isPerceiving = f => f[0] === 'N' || f[0] === 'S';
+    const perceiving = isPerceiving(dominant) ? dominant : auxiliary;
+    const judging = isPerceiving(dominant) ? auxiliary : dominant;
+    const extraverted = dominant[1] === 'e' ? dominant : auxiliary;
+    
+    return [
+        dominant[1] === 'e' ? 'E' : 'I',
+        perceiving[0],
+        judging[0],
+        isPerceiving(extraverted) ? 'P' : 'J'
+    ].join('');
+}
+
+/**
+ * タイプの機能スタックを位置情報付きで取得 (UI表示用)
+ * 
+ * @param {string} typeName - MBTIタイプ
+ * @param {string} [stackModel] - STACK_MODELS のキー
+ * @param {Object} [config] - 採点設定 (createScoringConfig 参照)
+ * @returns {Array} [{ position, label, labelEn, function, weight }]
+ */
+export function getTypeStack(typeName, stackModel = DEFAULT_STACK_MODEL, config = CONFIG) {
+    if (!(typeName in COGNITIVE_STACKS)) {
+        console.error(`[getTypeStack] Invalid type: ${typeName}`);
+        return [];
+    }
+    
+    const model = resolveStackModel(stackModel, config);
+    return expandStack(COGNITIVE_STACKS[typeName], model).map((funcName, index) => ({
+        position: model.positions[index].key,
+        label: model.positions[index].label,
+        labelEn: model.positions[index].labelEn,
+        function: funcName,
+        weight: model.positions[index].weight
+    }));
+}
+
 /**
  * MBTIタイプの説明
  * 
- * 各タイプの通称と簡潔な特徴記述
+ * 各タイプの通称と簡潔な特徴記述 (nameEn / descriptionEn は英語表示用)
  */
 export const mbtiDescriptions = {
-    INTJ: { name: "建築家", description: "戦略的思考と革新的な洞察力を持つ完璧主義者。" },
-    INTP: { name: "論理学者", description: "知的好奇心に満ちた思考家。" },
-    ENTJ: { name: "指揮官", description: "明確なビジョンを持ち組織を導くリーダー。" },
-    ENTP: { name: "討論者", description: "創造的な発想で新しい可能性を追求する革新者。" },
-    INFJ: { name: "提唱者", description: "理想主義で深い洞察を持つビジョナリー。" },
-    INFP: { name: "仲介者", description: "誠実で情熱的な理想主義者。" },
-    ENFJ: { name: "主人公", description: "人々を鼓舞し導くカリスマ的リーダー。" },
-    ENFP: { name: "運動家", description: "自由で創造的、熱意あふれる探求者。" },
-    ISTJ: { name: "管理者", description: "責任感が強く信頼できる実務家。" },
-    ISFJ: { name: "擁護者", description: "温かく献身的な保護者。" },
-    ESTJ: { name: "幹部", description: "組織化と効率を重んじる実践的リーダー。" },
-    ESFJ: { name: "領事官", description: "社交的で思いやりのある世話役。" },
-    ISTP: { name: "巨匠", description: "現実的で即応力のある問題解決者。" },
-    ISFP: { name: "冒険家", description: "柔軟で芸術的な探求者。" },
-    ESTP: { name: "起業家", description: "大胆で行動的な実践家。" },
-    ESFP: { name: "エンターテイナー", description: "陽気で社交的なパフォーマー。" }
+    INTJ: { name: "建築家", description: "戦略的思考と革新的な洞察力を持つ完璧主義者。", nameEn: "Architect", descriptionEn: "A perfectionist with strategic thinking and innovative insight." },
+    INTP: { name: "論理学者", description: "知的好奇心に満ちた思考家。", nameEn: "Logician", descriptionEn: "A thinker full of intellectual curiosity." },
+    ENTJ: { name: "指揮官", description: "明確なビジョンを持ち組織を導くリーダー。", nameEn: "Commander", descriptionEn: "A leader with a clear vision who guides organizations." },
+    ENTP: { name: "討論者", description: "創造的な発想で新しい可能性を追求する革新者。", nameEn: "Debater", descriptionEn: "An innovator who pursues new possibilities with creative ideas." },
+    INFJ: { name: "提唱者", description: "理想主義で深い洞察を持つビジョナリー。", nameEn: "Advocate", descriptionEn: "An idealistic visionary with deep insight." },
+    INFP: { name: "仲介者", description: "誠実で情熱的な理想主義者。", nameEn: "Mediator", descriptionEn: "A sincere and passionate idealist." },
+    ENFJ: { name: "主人公", description: "人々を鼓舞し導くカリスマ的リーダー。", nameEn: "Protagonist", descriptionEn: "A charismatic leader who inspires and guides people." },
+    ENFP: { name: "運動家", description: "自由で創造的、熱意あふれる探求者。", nameEn: "Campaigner", descriptionEn: "A free-spirited, creative and enthusiastic explorer." },
+    ISTJ: { name: "管理者", description: "責任感が強く信頼できる実務家。", nameEn: "Logistician", descriptionEn: "A responsible and dependable practitioner." },
+    ISFJ: { name: "擁護者", description: "温かく献身的な保護者。", nameEn: "Defender", descriptionEn: "A warm and devoted protector." },
+    ESTJ: { name: "幹部", description: "組織化と効率を重んじる実践的リーダー。", nameEn: "Executive", descriptionEn: "A practical leader who values organization and efficiency." },
+    ESFJ: { name: "領事官", description: "社交的で思いやりのある世話役。", nameEn: "Consul", descriptionEn: "A sociable and caring helper." },
+    ISTP: { name: "巨匠", description: "現実的で即応力のある問題解決者。", nameEn: "Virtuoso", descriptionEn: "A realistic problem solver who responds quickly." },
+    ISFP: { name: "冒険家", description: "柔軟で芸術的な探求者。", nameEn: "Adventurer", descriptionEn: "A flexible and artistic explorer." },
+    ESTP: { name: "起業家", description: "大胆で行動的な実践家。", nameEn: "Entrepreneur", descriptionEn: "A bold, action-oriented doer." },
+    ESFP: { name: "エンターテイナー", description: "陽気で社交的なパフォーマー。", nameEn: "Entertainer", descriptionEn: "A cheerful and sociable performer." }
 };
 
 // ============================================
 // 入力検証ユーティリティ
 // ============================================
 
+/**
+ * Likert尺度の取得
+ * 
+ * @param {string} [scaleName] - LIKERT_SCALES のキー (省略時は5段階)
+ * @returns {Object} 尺度定義 { points, labels, midpoint, reverseBase, hasNeutral, deviationScale }
+ */
+export function getLikertScale(scaleName = DEFAULT_LIKERT_SCALE) {
+    if (!(scaleName in LIKERT_SCALES)) {
+        console.error(`[getLikertScale] Unknown scale: ${scaleName}. Using ${DEFAULT_LIKERT_SCALE}.`);
+        return LIKERT_SCALES[DEFAULT_LIKERT_SCALE];
+    }
+    return LIKERT_SCALES[scaleName];
+}
+
 /**
  * Likert尺度値の検証
  * 
  * @param {number} value - 検証する値
+ * @param {Object} [scale] - 尺度定義 (省略時は5段階)
  * @returns {boolean} 有効な値かどうか
  * 
- * 有効範囲: 1～5の整数
+ * 有効範囲: 1～points の整数
  */
-function isValidLikertValue(value) {
-    return Number.isInteger(value) && value >= 1 && value <= 5;
+function isValidLikertValue(value, scale = LIKERT_SCALES[DEFAULT_LIKERT_SCALE]) {
+    return Number.isInteger(value) && value >= 1 && value <= scale.points;
 }
 
 /**
@@ -295,14 +669,15 @@ function isValidFunctionType(funcType) {
 /**
  * 単一回答のスコア計算 (非線形重み付け + 逆転項目対応)
  * 
- * @param {number} value - Likert尺度値 (1-5)
+ * @param {number} value - Likert尺度値 (1-points、config.LIKERT_SCALE の尺度)
  * @param {boolean} isReverse - 逆転項目フラグ
- * @returns {number} 計算されたスコア (約 -2.3 ～ +2.3)
+ * @param {Object} [config] - 採点設定 (省略時は CONFIG、createScoringConfig 参照)
+ * @returns {number} 計算されたスコア (約 -2.3 ～ +2.3、尺度によらず同じ範囲)
  * 
  * 処理フロー:
  * 1. 入力検証 (不正値は0を返す)
  * 2. 逆転項目の場合、値を反転 (5→1, 4→2, ...)
- * 3. 中央値(3)からの偏差を計算
+ * 3. 中央値(3)からの偏差を計算し、5段階の ±2 の範囲に揃える (LIKERT_SCALES 参照)
  * 4. 非線形強調 (指数1.2)を適用
  * 5. 符号を保持したスコアを返す
  * 
@@ -314,57 +689,255 @@ function isValidFunctionType(funcType) {
  * - calculateScore(1, false) → 約-2.30 (強い否定)
  * - calculateScore(5, true) → 約-2.30 (逆転項目: 強い否定)
  */
-export function calculateScore(value, isReverse = false) {
+export function calculateScore(value, isReverse = false, config = CONFIG) {
+    
+    const scale = getLikertScale(config.LIKERT_SCALE);
     
     // 入力検証: 不正な値は0として扱う
-    if (!isValidLikertValue(value)) {
-        console.error(`[calculateScore] Invalid Likert value: ${value}. Expected integer 1-5. Returning 0.`);
+    if (!isValidLikertValue(value, scale)) {
+        console.error(`[calculateScore] Invalid Likert value: ${value}. Expected integer 1-${scale.points}. Returning 0.`);
         return 0;
     }
     
     // 逆転項目の処理: 5→1, 4→2, 3→3, 2→4, 1→5
     const actualValue = isReverse 
-        ? (LIKERT_SCALE_REVERSE_BASE - value) 
+        ? (scale.reverseBase - value) 
         : value;
     
-    // 中央値(3)からの偏差を計算: -2, -1, 0, +1, +2
-    const deviation = actualValue - LIKERT_SCALE_MIDPOINT;
+    // 中央値(3)からの偏差を計算: -2, -1, 0, +1, +2 (5段階以外は ±2 の範囲に換算)
+    const deviation = (actualValue - scale.midpoint) * scale.deviationScale;
     
     // 非線形強調を適用:
     // - 符号を保持しつつ、絶対値に指数1.2を適用
     // - Math.sign(deviation): 符号を取得 (-1, 0, +1)
     // - Math.pow(Math.abs(deviation), EXPONENT): 強調された絶対値
     const emphasizedScore = Math.sign(deviation) * 
-                           Math.pow(Math.abs(deviation), SCORE_EMPHASIS_EXPONENT);
+                           Math.pow(Math.abs(deviation), config.SCORE_EMPHASIS_EXPONENT);
     
     return emphasizedScore;
 }
 
+/**
+ * 強制選択項目の回答のスコア計算
+ * 
+ * @param {number} value - 回答値 (1 = A 側 ～ points = B 側)
+ * @param {string} scaleName - FORCED_CHOICE_SCALES のキー
+ * @param {Object} [config] - 採点設定
+ * @returns {number} B 側への偏りのスコア (A 側なら負、約 -2.3 ～ +2.3)
+ * 
+ * 偏差の換算と非線形強調は calculateScore と同じ (両端の回答は Likert 1問の両端と同じ強さ)。
+ */
+export function calculateForcedChoiceScore(value, scaleName, config = CONFIG) {
+    const scale = FORCED_CHOICE_SCALES[scaleName];
+    if (!scale || !isValidLikertValue(value, scale)) {
+        console.error(`[calculateForcedChoiceScore] Invalid value: ${value} (scale: ${scaleName}). Returning 0.`);
+        return 0;
+    }
+    
+    const deviation = (value - scale.midpoint) * scale.deviationScale;
+    return Math.sign(deviation) * Math.pow(Math.abs(deviation), config.SCORE_EMPHASIS_EXPONENT);
+}
+
+/**
+ * 場面想定項目の回答のスコア計算
+ * 
+ * @param {Object} question - 場面想定項目 ({ options: [{ weights: { 機能: 重み } }] })
+ * @param {number} value - 回答値 (選んだ選択肢の番号、1 ～ 選択肢の数)
+ * @param {Object} [config] - 採点設定
+ * @returns {Object} 機能名 → 重み × OPTION_SCORE を偏差として強調したスコア (不正な値なら空)
+ * 
+ * 非線形強調は calculateScore と同じ (強調指数のスイープが場面想定項目にも効く)。
+ */
+export function calculateScenarioScores(question, value, config = CONFIG) {
+    const option = Array.isArray(question?.options) && Number.isInteger(value) ? question.options[value - 1] : undefined;
+    if (!option) {
+        console.error(`[calculateScenarioScores] Invalid option: ${value} (item: ${question?.id}). Returning no scores.`);
+        return {};
+    }
+    return Object.fromEntries(Object.entries(option.weights).map(([funcName, weight]) => {
+        const deviation = weight * config.SCENARIO_SETTINGS.OPTION_SCORE;
+        return [funcName, Math.sign(deviation) * Math.pow(Math.abs(deviation), config.SCORE_EMPHASIS_EXPONENT)];
+    }));
+}
+
+/**
+ * 項目の回答形式 ('likert' | 'forcedChoice' | 'scenario'、format のない質問は Likert)
+ */
+function getItemFormat(question) {
+    return question.format || 'likert';
+}
+
+/**
+ * 項目の回答尺度 (Likert 項目は config.LIKERT_SCALE、強制選択項目は項目ごとの scale、
+ * 場面想定項目は選択肢の数だけの段階を持つ尺度として扱う)
+ */
+function getItemScale(question, config = CONFIG) {
+    const format = getItemFormat(question);
+    if (format === 'forcedChoice') return FORCED_CHOICE_SCALES[question.scale];
+    if (format === 'scenario') return { points: question.options.length };
+    return getLikertScale(config.LIKERT_SCALE);
+}
+
+/**
+ * 回答1つが各機能に与えるスコア
+ * 
+ * @param {Object} question - 質問
+ *   Likert: { type, reverse }
+ *   強制選択: { format: 'forcedChoice', scale, statements: [{ type }, { type }] }
+ *   場面想定: { format: 'scenario', options: [{ weights }] }
+ * @param {number} value - 回答値
+ * @param {Object} [config] - 採点設定
+ * @returns {Object} 機能名 → スコア (動かない機能は含まない)
+ * 
+ * - Likert: { [type]: calculateScore(value, reverse) }
+ * - 強制選択: 選んだ側の機能を +、もう一方を - に同じ大きさで動かす
+ *   (大きさは calculateForcedChoiceScore × FORCED_CHOICE_SETTINGS.STATEMENT_WEIGHT)
+ * - 場面想定: 選んだ選択肢の重みを持つすべての機能を動かす (calculateScenarioScores)
+ * 
+ * 機能スコアの集計・回答の取り消し・項目別の寄与はすべてこの関数を通すため、
+ * 回答形式が混在した質問セットでも同じ経路で採点できる。
+ */
+export function calculateItemScores(question, value, config = CONFIG) {
+    if (getItemFormat(question) === 'scenario') {
+        return calculateScenarioScores(question, value, config);
+    }
+    if (getItemFormat(question) === 'forcedChoice') {
+        const [a, b] = question.statements;
+        const score = calculateForcedChoiceScore(value, question.scale, config) *
+            config.FORCED_CHOICE_SETTINGS.STATEMENT_WEIGHT;
+        return { [a.type]: -score, [b.type]: score };
+    }
+    return { [question.type]: calculateScore(value, question.reverse, config) };
+}
+
+/**
+ * 項目が各機能に与えうるスコアの範囲 (正規化の理論的範囲の計算用)
+ * 
+ * @param {Object} question - 質問
+ * @param {Object} [config] - 採点設定
+ * @returns {Object} 機能名 → { min, max }
+ */
+function getItemScoreRanges(question, config = CONFIG) {
+    const points = getItemScale(question, config).points;
+    const scoresByValue = Array.from({ length: points }, (_, index) => calculateItemScores(question, index + 1, config));
+    // 場面想定項目では、選択肢によって動く機能が異なる (重みのない選択肢を選べばその機能は 0)
+    const funcNames = [...new Set(scoresByValue.flatMap(scores => Object.keys(scores)))];
+    return Object.fromEntries(funcNames.map(funcName => {
+        const values = scoresByValue.map(scores => scores[funcName] ?? 0);
+        return [funcName, { min: Math.min(...values), max: Math.max(...values) }];
+    }));
+}
+
+/**
+ * 質問セットに基づく正規化パラメータの作成
+ * 
+ * @param {Array} [questions] - 出題される質問配列 (省略時は各機能 DEFAULT_ITEMS_PER_FUNCTION 問)
+ * @param {Object} [options]
+ * @param {Object} [options.normTable] - 経験的ノルム表 (SCORE_NORMALIZATION 参照)
+ * @param {Object} [options.config] - 採点設定 (理論的範囲の計算に使用)
+ * @returns {Object} { itemsPerFunction, ranges: { Ni: { min, max }, ... }, normTable }
+ * 
+ * 各機能の範囲 = その機能を動かす項目ごとの理論的最小/最大値の合計
+ * (Likert 項目は calculateScore(1) / calculateScore(points)、強制選択・場面想定項目は getItemScoreRanges)
+ * itemsPerFunction はその機能を動かす項目数 (強制選択項目は両方の機能に、
+ * 場面想定項目はいずれかの選択肢が重みを持つすべての機能に数える)
+ */
+export function createScoreNormalization(questions, options = {}) {
+    const config = options.config || CONFIG;
+    const itemsPerFunction = {};
+    const ranges = {};
+    
+    if (Array.isArray(questions)) {
+        for (const funcName of Object.keys(FUNCTIONS)) {
+            itemsPerFunction[funcName] = 0;
+            ranges[funcName] = { min: 0, max: 0 };
+        }
+        for (const question of questions) {
+            for (const [funcName, range] of Object.entries(getItemScoreRanges(question, config))) {
+                if (!(funcName in ranges)) continue;
+                itemsPerFunction[funcName]++;
+                ranges[funcName].min += range.min;
+                ranges[funcName].max += range.max;
+            }
+        }
+    } else {
+        const itemMin = calculateScore(1, false, config);
+        const itemMax = calculateScore(getLikertScale(config.LIKERT_SCALE).points, false, config);
+        const count = SCORE_NORMALIZATION.DEFAULT_ITEMS_PER_FUNCTION;
+        for (const funcName of Object.keys(FUNCTIONS)) {
+            itemsPerFunction[funcName] = count;
+            ranges[funcName] = { min: count * itemMin, max: count * itemMax };
+        }
+    }
+    
+    return {
+        itemsPerFunction,
+        ranges,
+        normTable: options.normTable || null
+    };
+}
+
+/**
+ * ノルム表による生スコア → パーセンタイル変換 (線形補間)
+ * 
+ * @param {number} rawScore - 生スコア
+ * @param {Array} table - [[生スコア, パーセンタイル], ...] (生スコア昇順)
+ * @returns {number} パーセンタイル
+ */
+function lookupPercentile(rawScore, table) {
+    if (rawScore <= table[0][0]) return table[0][1];
+    
+    for (let i = 1; i < table.length; i++) {
+        const [upperRaw, upperPercentile] = table[i];
+        if (rawScore <= upperRaw) {
+            const [lowerRaw, lowerPercentile] = table[i - 1];
+            const ratio = upperRaw === lowerRaw ? 1 : (rawScore - lowerRaw) / (upperRaw - lowerRaw);
+            return lowerPercentile + (upperPercentile - lowerPercentile) * ratio;
+        }
+    }
+    return table[table.length - 1][1];
+}
+
 /**
  * スコアの正規化 (生スコア → 0-100パーセンタイル)
  * 
- * @param {number} rawScore - 生スコア (理論的に -20 ～ +20)
+ * @param {number} rawScore - 生スコア
+ * @param {Object} [normalization] - createScoreNormalization の返り値 (省略時は簡易版相当)
+ * @param {string} [funcName] - 認知機能名 (機能ごとの範囲・ノルム表の選択に使用)
  * @returns {number} 正規化されたスコア (0-100)
  * 
- * 変換式:
- * normalized = ((raw - MIN) / (MAX - MIN)) × 100
+ * 変換式 (ノルム表がない場合):
+ * normalized = ((raw - min) / (max - min)) × 100
  * 
  * 境界値処理:
  * - 理論的範囲を超える値は、0または100にクランプ
  * - 小数点以下は四捨五入
+ * - 出題数0の機能は中央値 (50) を返す
  * 
- * 例:
- * - normalizeScore(-20) → 0   (最低スコア)
- * - normalizeScore(0)   → 50  (平均的)
- * - normalizeScore(20)  → 100 (最高スコア)
- * - normalizeScore(-25) → 0   (範囲外は0にクランプ)
- * - normalizeScore(25)  → 100 (範囲外は100にクランプ)
+ * 例 (簡易版 8問, 範囲 ±18.4):
+ * - normalizeScore(-18.4) → 0   (最低スコア)
+ * - normalizeScore(0)     → 50  (平均的)
+ * - normalizeScore(18.4)  → 100 (最高スコア)
+ * - normalizeScore(25)    → 100 (範囲外は100にクランプ)
  */
-function normalizeScore(rawScore) {
-    const { MIN, MAX, OUTPUT_MIN, OUTPUT_MAX } = SCORE_NORMALIZATION;
+function normalizeScore(rawScore, normalization = createScoreNormalization(), funcName) {
+    const { OUTPUT_MIN, OUTPUT_MAX } = SCORE_NORMALIZATION;
+    const table = normalization.normTable?.functions?.[funcName];
     
-    // 線形変換: [MIN, MAX] → [OUTPUT_MIN, OUTPUT_MAX]
-    const normalized = ((rawScore - MIN) / (MAX - MIN)) * (OUTPUT_MAX - OUTPUT_MIN) + OUTPUT_MIN;
+    let normalized;
+    if (Array.isArray(table) && table.length > 0) {
+        // 経験的ノルム表による真のパーセンタイル
+        normalized = lookupPercentile(rawScore, table);
+    } else {
+        // 理論的範囲による線形変換: [min, max] → [OUTPUT_MIN, OUTPUT_MAX]
+        // 機能名が指定されない場合は既定の出題数での範囲を使う
+        const range = normalization.ranges[funcName] ||
+            createScoreNormalization().ranges[Object.keys(FUNCTIONS)[0]];
+        if (range.max === range.min) {
+            return Math.round((OUTPUT_MIN + OUTPUT_MAX) / 2);
+        }
+        normalized = ((rawScore - range.min) / (range.max - range.min)) * (OUTPUT_MAX - OUTPUT_MIN) + OUTPUT_MIN;
+    }
     
     // 範囲制限 + 四捨五入
     return Math.round(
@@ -372,27 +945,559 @@ function normalizeScore(rawScore) {
     );
 }
 
+// ============================================
+// 回答妥当性指標
+// ============================================
+
+/**
+ * 保存済み回答から Likert 値を取り出す
+ *
+ * @param {Object|number} answer - { value, isReverse } または数値 (旧形式)
+ * @returns {number} Likert尺度値
+ */
+function getAnswerValue(answer) {
+    return typeof answer === 'object' && answer !== null ? answer.value : answer;
+}
+
+/**
+ * 数値配列の平均 (空配列は0)
+ */
+function mean(values) {
+    return values.length === 0
+        ? 0
+        : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * 回答妥当性指標の計算
+ *
+ * @param {Object} answers - 質問IDをキーとする回答 (app.js の state.answers)
+ * @param {Array} questions - 出題順の質問配列 ({ id, type, reverse }、Likert 以外の項目は無視する)
+ * @returns {Object} 妥当性指標
+ *   {
+ *     answeredCount: number,
+ *     acquiescence: { index, flagged },
+ *     straightLining: { longestRun, value, flagged },
+ *     extremeResponse: { ratio, flagged },
+ *     reverseInconsistency: { byFunction, inconsistentFunctions, flagged },
+ *     flags: [{ index, severity: 'invalid'|'caution', message, messageEn }],
+ *     isInterpretable: boolean
+ *   }
+ *
+ * 判定基準は VALIDITY_THRESHOLDS を参照 (config で差し替え可能)。
+ * 出題順は straightLining の計算にのみ使用する。
+ */
+export function calculateValidityIndices(answers, questions, config = CONFIG) {
+    if (!answers || typeof answers !== 'object' || !Array.isArray(questions)) {
+        console.error('[calculateValidityIndices] Invalid answers or questions');
+        return null;
+    }
+
+    const scale = getLikertScale(config.LIKERT_SCALE);
+
+    // 出題順に、回答済みかつ有効な Likert 項目だけを取り出す
+    // (強制選択項目は2機能の相対比較のため、黙従傾向・極端回答・逆転項目の指標の対象外)
+    const answered = questions
+        .filter(q => q.id in answers && getItemFormat(q) === 'likert')
+        .map(q => ({ question: q, value: getAnswerValue(answers[q.id]) }))
+        .filter(item => isValidLikertValue(item.value, scale));
+
+    const answeredCount = answered.length;
+    const canJudge = answeredCount >= config.VALIDITY_THRESHOLDS.MIN_ANSWERS;
+
+    // 1. 黙従傾向: 生の回答値の偏差を通常/逆転で平衡させて平均
+    // (偏差は5段階の ±2 に換算し、尺度によらず同じ閾値で判定する)
+    const rawDeviation = item => (item.value - scale.midpoint) * scale.deviationScale;
+    const normalItems = answered.filter(item => !item.question.reverse);
+    const reverseItems = answered.filter(item => item.question.reverse);
+    const acquiescenceIndex = reverseItems.length > 0 && normalItems.length > 0
+        ? (mean(normalItems.map(rawDeviation)) + mean(reverseItems.map(rawDeviation))) / 2
+        : mean(answered.map(rawDeviation));
+
+    // 2. ストレートライン: 同一選択肢の最長連続
+    let longestRun = 0;
+    let longestRunValue = null;
+    let currentRun = 0;
+    for (let i = 0; i < answered.length; i++) {
+        currentRun = i > 0 && answered[i].value === answered[i - 1].value ? currentRun + 1 : 1;
+        if (currentRun > longestRun) {
+            longestRun = currentRun;
+            longestRunValue = answered[i].value;
+        }
+    }
+
+    // 3. 極端回答傾向: 両端の選択肢の割合
+    const extremeCount = answered.filter(item => item.value === 1 || item.value === scale.points).length;
+    const extremeRatio = answeredCount > 0 ? extremeCount / answeredCount : 0;
+
+    // 4. 逆転項目の不一致: 機能ごとに採点後の偏差を比較
+    const byFunction = {};
+    for (const funcName of Object.keys(FUNCTIONS)) {
+        const scoredDeviation = item => ((item.question.reverse
+            ? scale.reverseBase - item.value
+            : item.value) - scale.midpoint) * scale.deviationScale;
+        const normal = normalItems.filter(item => item.question.type === funcName).map(scoredDeviation);
+        const reverse = reverseItems.filter(item => item.question.type === funcName).map(scoredDeviation);
+
+        // 両方の群に回答がある機能のみ比較可能
+        if (normal.length === 0 || reverse.length === 0) continue;
+
+        const disagreement = Math.abs(mean(normal) - mean(reverse));
+        byFunction[funcName] = {
+            normalMean: Number(mean(normal).toFixed(2)),
+            reverseMean: Number(mean(reverse).toFixed(2)),
+            disagreement: Number(disagreement.toFixed(2)),
+            flagged: disagreement >= config.VALIDITY_THRESHOLDS.REVERSE_DISAGREEMENT_MAX
+        };
+    }
+    const inconsistentFunctions = Object.entries(byFunction)
+        .filter(([, info]) => info.flagged)
+        .map(([funcName]) => funcName);
+
+    const indices = {
+        answeredCount,
+        acquiescence: {
+            index: Number(acquiescenceIndex.toFixed(2)),
+            flagged: canJudge && Math.abs(acquiescenceIndex) >= config.VALIDITY_THRESHOLDS.ACQUIESCENCE_MAX
+        },
+        straightLining: {
+            longestRun,
+            value: longestRunValue,
+            flagged: canJudge && longestRun >= config.VALIDITY_THRESHOLDS.STRAIGHT_LINE_RUN_MAX
+        },
+        extremeResponse: {
+            ratio: Number(extremeRatio.toFixed(2)),
+            flagged: canJudge && extremeRatio >= config.VALIDITY_THRESHOLDS.EXTREME_RESPONSE_RATIO_MAX
+        },
+        reverseInconsistency: {
+            byFunction,
+            inconsistentFunctions,
+            flagged: canJudge &&
+                inconsistentFunctions.length > config.VALIDITY_THRESHOLDS.REVERSE_INCONSISTENT_FUNCTIONS_MAX
+        }
+    };
+
+    // 警告メッセージの組み立て
+    const flags = [];
+    if (indices.acquiescence.flagged) {
+        flags.push({
+            index: 'acquiescence',
+            severity: 'invalid',
+            message: acquiescenceIndex > 0
+                ? '質問内容に関わらず「そう思う」側に回答が偏っています'
+                : '質問内容に関わらず「そう思わない」側に回答が偏っています',
+            messageEn: acquiescenceIndex > 0
+                ? 'Your answers lean toward "agree" regardless of what the questions ask'
+                : 'Your answers lean toward "disagree" regardless of what the questions ask'
+        });
+    }
+    if (indices.straightLining.flagged) {
+        flags.push({
+            index: 'straightLining',
+            severity: 'invalid',
+            message: `同じ選択肢が${longestRun}問連続しています`,
+            messageEn: `The same option was chosen for ${longestRun} questions in a row`
+        });
+    }
+    if (indices.reverseInconsistency.flagged) {
+        flags.push({
+            index: 'reverseInconsistency',
+            severity: 'invalid',
+            message: `${inconsistentFunctions.join(', ')} で通常項目と逆転項目の回答が矛盾しています`,
+            messageEn: `Answers to regular and reversed items contradict each other for ${inconsistentFunctions.join(', ')}`
+        });
+    }
+    if (indices.extremeResponse.flagged) {
+        flags.push({
+            index: 'extremeResponse',
+            severity: 'caution',
+            message: `回答の${Math.round(extremeRatio * 100)}%が両端の選択肢です。スコアが誇張されている可能性があります`,
+            messageEn: `${Math.round(extremeRatio * 100)}% of your answers are at either end of the scale. Scores may be exaggerated`
+        });
+    }
+
+    return {
+        ...indices,
+        flags,
+        isInterpretable: !flags.some(flag => flag.severity === 'invalid')
+    };
+}
+
+// ============================================
+// 再現可能な乱数
+// ============================================
+
+/**
+ * シード付き疑似乱数生成器 (mulberry32)
+ * 
+ * @param {number} seed - 32bit整数のシード
+ * @returns {Function} Math.random と同じく [0, 1) を返す関数
+ * 
+ * ブートストラップやシミュレーション、出題順の結果を再現するために使用
+ * (options.random に渡せる)
+ */
+export function createSeededRandom(seed) {
+    let state = (Number(seed) || 0) >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 配列のシャッフル (Fisher-Yates)
+ * 
+ * @param {Array} array - シャッフルする配列 (変更しない)
+ * @param {Function} [random] - [0, 1) を返す乱数関数 (createSeededRandom で再現可能にできる)
+ * @returns {Array} シャッフルされた新しい配列
+ */
+export function shuffleWithRandom(array, random = Math.random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * 層別ブロックによる出題順の作成
+ * 
+ * @param {Array} questions - 質問配列 ({ id, type, ... })
+ * @param {Function} [random] - [0, 1) を返す乱数関数 (同じシードなら同じ出題順になる)
+ * @returns {Array} 並べ替えた質問配列
+ * 
+ * 手順:
+ * 1. 機能ごとに質問をシャッフルし、各機能の k 番目の質問を集めてブロック k を作る
+ *    → 機能ごとの問題数が等しければ、8問のブロックごとに全機能が1回ずつ現れる
+ * 2. ブロック内の順序をシャッフルする (ブロック内に同じ機能はないので隣接しない)
+ * 3. ブロックの先頭が直前のブロックの末尾と同じ機能なら、先頭をブロック内の別の位置と入れ替える
+ *    (その機能はブロック内に1回しかないため、入れ替え後も隣接は生じない)
+ * 
+ * 再試行を行わないため必ず終了し、制約を満たさない並びにフォールバックすることもない。
+ * 機能ごとの問題数が異なる場合、後半のブロックは一部の機能のみになり、
+ * 1機能だけのブロックでは隣接を避けられないことがある。
+ * 強制選択項目・場面想定項目 (type: null) は回答形式ごとに1つのグループとして扱うため、
+ * 各ブロックにそれぞれ1問ずつ入る。
+ */
+export function orderQuestionsInBlocks(questions, random = Math.random) {
+    const groupOf = q => q.type ?? q.format;
+    const byFunction = new Map();
+    for (const q of questions) {
+        if (!byFunction.has(groupOf(q))) byFunction.set(groupOf(q), []);
+        byFunction.get(groupOf(q)).push(q);
+    }
+    const shuffledByFunction = [...byFunction.values()].map(items => shuffleWithRandom(items, random));
+    const blockCount = Math.max(0, ...shuffledByFunction.map(items => items.length));
+    
+    const ordered = [];
+    for (let k = 0; k < blockCount; k++) {
+        const block = shuffleWithRandom(
+            shuffledByFunction.filter(items => k < items.length).map(items => items[k]),
+            random
+        );
+        const previous = ordered[ordered.length - 1];
+        if (previous && block.length > 1 && groupOf(block[0]) === groupOf(previous)) {
+            const j = 1 + Math.floor(random() * (block.length - 1));
+            [block[0], block[j]] = [block[j], block[0]];
+        }
+        ordered.push(...block);
+    }
+    return ordered;
+}
+
+// ============================================
+// タイプ確率分布
+// ============================================
+
+/**
+ * 回答から機能スコアを集計
+ *
+ * @param {Object} answers - 質問IDをキーとする回答
+ * @param {Array} questions - 質問配列 (Likert・強制選択の混在可、calculateItemScores 参照)
+ * @param {Object} [config] - 採点設定
+ * @returns {Object} 各認知機能の生スコア
+ */
+export function calculateFunctionScores(answers, questions, config = CONFIG) {
+    const functionScores = Object.fromEntries(Object.keys(FUNCTIONS).map(f => [f, 0]));
+    
+    for (const q of questions) {
+        if (!(q.id in answers)) continue;
+        for (const [funcName, score] of Object.entries(calculateItemScores(q, getAnswerValue(answers[q.id]), config))) {
+            functionScores[funcName] += score;
+        }
+    }
+    
+    return functionScores;
+}
+
+/**
+ * 回答済み項目を機能ごとの項目スコア配列にまとめる
+ * 強制選択項目は動かした両方の機能に入れる (ブートストラップでは機能ごとに独立に復元抽出する)
+ */
+function groupItemScoresByFunction(answers, questions, config = CONFIG) {
+    const groups = Object.fromEntries(Object.keys(FUNCTIONS).map(f => [f, []]));
+    
+    for (const q of questions) {
+        if (!(q.id in answers)) continue;
+        const value = getAnswerValue(answers[q.id]);
+        if (!isValidLikertValue(value, getItemScale(q, config))) continue;
+        for (const [funcName, score] of Object.entries(calculateItemScores(q, value, config))) {
+            groups[funcName].push(score);
+        }
+    }
+    
+    return groups;
+}
+
+/**
+ * ソフトマックス温度の推定 (項目分散への当てはめ)
+ *
+ * @param {Object} [answers] - 質問IDをキーとする回答
+ * @param {Array} [questions] - 質問配列
+ * @param {string} [stackModel] - STACK_MODELS のキー (重みの二乗和に使用)
+ * @param {Object} [config] - 採点設定
+ * @returns {Object} { temperature, itemVariance, itemsPerFunction }
+ *
+ * 回答がない、または機能内分散を推定できない場合は
+ * PROBABILITY_SETTINGS の既定値を使用する。
+ */
+export function estimateScoreTemperature(answers, questions, stackModel = DEFAULT_STACK_MODEL, config = CONFIG) {
+    const settings = config.PROBABILITY_SETTINGS;
+    let itemVariance = settings.DEFAULT_ITEM_VARIANCE;
+    let itemsPerFunction = settings.DEFAULT_ITEMS_PER_FUNCTION;
+    
+    if (answers && Array.isArray(questions)) {
+        const groups = Object.values(groupItemScoresByFunction(answers, questions, config));
+        const answeredCount = groups.reduce((sum, g) => sum + g.length, 0);
+        const usableGroups = groups.filter(g => g.length >= 2);
+        
+        // 機能内プール分散: Σ(x - 機能平均)² / (N - 機能数)
+        const degreesOfFreedom = usableGroups.reduce((sum, g) => sum + g.length - 1, 0);
+        if (degreesOfFreedom > 0) {
+            const sumSquares = usableGroups.reduce((sum, g) => {
+                const m = mean(g);
+                return sum + g.reduce((acc, x) => acc + (x - m) ** 2, 0);
+            }, 0);
+            itemVariance = Math.max(settings.MIN_ITEM_VARIANCE, sumSquares / degreesOfFreedom);
+        }
+        if (answeredCount > 0) {
+            itemsPerFunction = answeredCount / groups.length;
+        }
+    }
+    
+    const sumSquaredWeights = resolveStackModel(stackModel, config).positions
+        .reduce((sum, { weight }) => sum + weight * weight, 0);
+    const temperature = Math.sqrt(sumSquaredWeights * itemsPerFunction * itemVariance);
+    
+    return {
+        temperature,
+        itemVariance: Number(itemVariance.toFixed(3)),
+        itemsPerFunction: Number(itemsPerFunction.toFixed(2))
+    };
+}
+
+/**
+ * タイプスコアを確率分布に変換 (ソフトマックス)
+ *
+ * @param {Object} typeScores - 全16タイプのスコア
+ * @param {number} temperature - ソフトマックス温度 (> 0)
+ * @returns {Object} タイプ名 → 確率 (合計1)
+ *
+ * 数値安定性のため、最大スコアを引いてから指数関数を適用する。
+ */
+export function calculateTypeProbabilities(typeScores, temperature) {
+    const entries = Object.entries(typeScores);
+    if (entries.length === 0 || !(temperature > 0)) {
+        console.error(`[calculateTypeProbabilities] Invalid input: temperature=${temperature}`);
+        return {};
+    }
+    
+    const maxScore = Math.max(...entries.map(([, score]) => score));
+    const exponentials = entries.map(([type, score]) => [type, Math.exp((score - maxScore) / temperature)]);
+    const total = exponentials.reduce((sum, [, e]) => sum + e, 0);
+    
+    return Object.fromEntries(exponentials.map(([type, e]) => [type, e / total]));
+}
+
+/**
+ * ソート済み配列の分位点 (線形補間)
+ */
+function quantile(sortedValues, q) {
+    if (sortedValues.length === 0) return 0;
+    const position = (sortedValues.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * ブートストラップによるタイプ確率の信頼区間
+ *
+ * @param {Object} answers - 質問IDをキーとする回答
+ * @param {Array} questions - 質問配列
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options]
+ * @param {number} [options.temperature] - ソフトマックス温度 (省略時は推定値)
+ * @param {number} [options.samples] - 反復回数
+ * @param {Function} [options.random] - 0以上1未満の乱数を返す関数 (再現性が必要な場合に差し替え)
+ * @param {string} [options.stackModel] - STACK_MODELS のキー
+ * @param {Object} [options.config] - 採点設定
+ * @returns {Object} タイプ名 → { lower, upper, winRate }
+ *
+ * 回答済み項目を機能ごとに復元抽出し (層別ブートストラップ)、
+ * 機能ごとの項目数を保ったまま確率分布を再計算する。
+ * winRate は各反復で1位になった割合。
+ */
+export function bootstrapTypeProbabilities(answers, questions, COGNITIVE_STACKS, options = {}) {
+    const random = options.random || Math.random;
+    const config = options.config || CONFIG;
+    const samples = options.samples || config.PROBABILITY_SETTINGS.BOOTSTRAP_SAMPLES;
+    const stackModel = options.stackModel || DEFAULT_STACK_MODEL;
+    const temperature = options.temperature ||
+        estimateScoreTemperature(answers, questions, stackModel, config).temperature;
+    const groups = groupItemScoresByFunction(answers, questions, config);
+    
+    const draws = Object.fromEntries(Object.keys(COGNITIVE_STACKS).map(t => [t, []]));
+    const wins = Object.fromEntries(Object.keys(COGNITIVE_STACKS).map(t => [t, 0]));
+    
+    for (let b = 0; b < samples; b++) {
+        const resampledScores = {};
+        for (const [funcName, itemScores] of Object.entries(groups)) {
+            let total = 0;
+            for (let i = 0; i < itemScores.length; i++) {
+                total += itemScores[Math.floor(random() * itemScores.length)];
+            }
+            resampledScores[funcName] = total;
+        }
+        
+        const probabilities = calculateTypeProbabilities(
+            calculateTypeScores(resampledScores, COGNITIVE_STACKS, stackModel, config),
+            temperature
+        );
+        let winner = null;
+        for (const [type, p] of Object.entries(probabilities)) {
+            draws[type].push(p);
+            if (winner === null || p > probabilities[winner]) winner = type;
+        }
+        wins[winner]++;
+    }
+    
+    const tail = (1 - config.PROBABILITY_SETTINGS.CI_LEVEL) / 2;
+    return Object.fromEntries(Object.entries(draws).map(([type, values]) => {
+        const sorted = values.sort((a, b) => a - b);
+        return [type, {
+            lower: quantile(sorted, tail),
+            upper: quantile(sorted, 1 - tail),
+            winRate: wins[type] / samples
+        }];
+    }));
+}
+
 // ============================================
 // MBTIタイプ判定
 // ============================================
 
+/**
+ * スタックモデルの解決 (不正な指定は既定モデルにフォールバック)
+ *
+ * @param {string} [stackModel] - STACK_MODELS のキー
+ * @param {Object} [config] - 採点設定 (差し替えた場合は位置の重みを設定から取る)
+ * @returns {Object} スタックモデル定義
+ */
+function resolveStackModel(stackModel = DEFAULT_STACK_MODEL, config = CONFIG) {
+    if (!(stackModel in STACK_MODELS)) {
+        console.error(`[resolveStackModel] Unknown stack model: ${stackModel}. Using '${DEFAULT_STACK_MODEL}'.`);
+        stackModel = DEFAULT_STACK_MODEL;
+    }
+    const model = STACK_MODELS[stackModel];
+    if (config === CONFIG) return model;
+    
+    const weights = config[model.weights];
+    return {
+        ...model,
+        positions: model.positions.map(position => ({ ...position, weight: weights[position.key] }))
+    };
+}
+
+/**
+ * あるタイプのスタックにおける機能の重み (スタック外の機能は0)
+ *
+ * @param {Array} stack - 4機能スタック
+ * @param {string} funcName - 認知機能名
+ * @param {Object} model - STACK_MODELS の値
+ * @returns {number} 位置の重み
+ */
+function getPositionWeight(stack, funcName, model) {
+    const index = expandStack(stack, model).indexOf(funcName);
+    return index === -1 ? 0 : model.positions[index].weight;
+}
+
+/**
+ * 全タイプの適合度スコアを計算
+ *
+ * @param {Object} functionScores - 各認知機能の生スコア
+ * @param {Object} COGNITIVE_STACKS - タイプごとの機能スタック定義
+ * @param {string} [stackModel] - STACK_MODELS のキー
+ * @param {Object} [config] - 採点設定
+ * @returns {Object} タイプ名 → 適合度 = Σ(機能スコア × 位置の重み)
+ */
+function calculateTypeScores(functionScores, COGNITIVE_STACKS, stackModel = DEFAULT_STACK_MODEL, config = CONFIG) {
+    const model = resolveStackModel(stackModel, config);
+    const typeScores = {};
+    
+    for (const typeName of Object.keys(COGNITIVE_STACKS)) {
+        const functionStack = expandStack(COGNITIVE_STACKS[typeName], model);
+        let totalScore = 0;
+        
+        // スタック内の各機能について重み付き合計を計算
+        for (let position = 0; position < functionStack.length; position++) {
+            const funcName = functionStack[position];
+            const funcScore = functionScores[funcName] || 0;
+            
+            totalScore += funcScore * model.positions[position].weight;
+        }
+        
+        typeScores[typeName] = totalScore;
+    }
+    
+    return typeScores;
+}
+
 /**
  * MBTIタイプの判定 (認知機能スタックベース)
  * 
  * @param {Object} functionScores - 各認知機能の生スコア
  *   例: { Ni: 15.2, Ne: -3.4, Si: 2.1, Se: -8.7, Ti: 10.3, Te: 1.2, Fi: -5.6, Fe: 7.8 }
  * @param {Object} COGNITIVE_STACKS - タイプごとの機能スタック定義
+ * @param {Object} [options] - 追加オプション
+ * @param {Object} [options.answers] - 質問IDをキーとする回答 (妥当性指標の計算用)
+ * @param {Array} [options.questions] - 出題順の質問配列 (妥当性指標・確率モデルの計算用)
+ * @param {Function} [options.random] - ブートストラップ用の乱数関数
+ * @param {number} [options.bootstrapSamples] - ブートストラップ回数 (0で信頼区間を省略、シミュレーション用)
+ * @param {string} [options.stackModel] - 'jung4' (既定) または 'beebe8'
+ * @param {Object} [options.config] - 採点設定 (省略時は CONFIG、createScoringConfig 参照)
  * @returns {Object} 判定結果
  *   {
  *     type: string,          // 最も適合するMBTIタイプ (例: "INTJ")
- *     confidence: number,    // 確信度 0-100%
+ *     confidence: number,    // 確信度 0-100% (上位2タイプ比較、後方互換用)
  *     top2: [string, string],// 上位2タイプ
- *     typeScores: Object     // 全16タイプのスコア (デバッグ用)
+ *     typeScores: Object,    // 全16タイプのスコア (デバッグ用)
+ *     probabilities: Array,  // 全16タイプの確率 (降順)
+ *                            //   [{ type, probability, lower?, upper?, winRate? }]
+ *     probabilityModel: Object, // { temperature, itemVariance, itemsPerFunction, bootstrapSamples }
+ *     stackModel: string,    // 使用したスタックモデル
+ *     dichotomies: Object,   // E/I, S/N, T/F, J/P の選好度 (calculateDichotomies 参照)
+ *     validity?: Object      // 回答妥当性指標 (answers/questions 指定時のみ)
  *   }
  * 
  * アルゴリズム:
  * 1. 各MBTIタイプについて、機能スタックとスコアから適合度を計算
- * 2. 適合度 = Σ(機能スコア × Jung重み) for スタック内の4機能
+ * 2. 適合度 = Σ(機能スコア × 位置の重み) for スタック内の機能
+ *    (jung4: 4機能、beebe8: 影を含む8機能 — STACK_MODELS 参照)
  * 3. 最高スコアのタイプを判定結果とする
  * 4. 1位と2位の差から確信度を計算
  * 
@@ -401,8 +1506,12 @@ function normalizeScore(rawScore) {
  * - 0%: 完全に同スコア (診断困難)
  * - 50%: 適度な差 (標準的な診断)
  * - 100%: 圧倒的な差 (非常に明確)
+ * 
+ * 確率分布の計算 (PROBABILITY_SETTINGS 参照):
+ * - 全16タイプのスコアを、項目分散から推定した温度でソフトマックス変換
+ * - answers/questions 指定時は、層別ブートストラップで95%信頼区間を付加
  */
-export function determineMBTIType(functionScores, COGNITIVE_STACKS) {
+export function determineMBTIType(functionScores, COGNITIVE_STACKS, options = {}) {
     // 入力検証
     if (!functionScores || typeof functionScores !== 'object') {
         console.error('[determineMBTIType] Invalid functionScores object');
@@ -410,35 +1519,18 @@ export function determineMBTIType(functionScores, COGNITIVE_STACKS) {
             type: 'UNKNOWN',
             confidence: 0,
             top2: ['UNKNOWN', 'UNKNOWN'],
-            typeScores: {}
+            typeScores: {},
+            probabilities: [],
+            probabilityModel: null,
+            stackModel: null,
+            dichotomies: null
         };
     }
     
-    const typeScores = {};
-    
-    // Jung機能スタックの重み配列 (主機能→劣等機能)
-    const stackWeights = [
-        JUNG_FUNCTION_WEIGHTS.DOMINANT,   // 位置0: 主機能
-        JUNG_FUNCTION_WEIGHTS.AUXILIARY,  // 位置1: 補助機能
-        JUNG_FUNCTION_WEIGHTS.TERTIARY,   // 位置2: 第三機能
-        JUNG_FUNCTION_WEIGHTS.INFERIOR    // 位置3: 劣等機能
-    ];
+    const stackModel = options.stackModel in STACK_MODELS ? options.stackModel : DEFAULT_STACK_MODEL;
+    const config = options.config || CONFIG;
     
-    // 各MBTIタイプのスコアを計算
-    for (const [typeName, functionStack] of Object.entries(COGNITIVE_STACKS)) {
-        let totalScore = 0;
-        
-        // スタック内の4機能について重み付き合計を計算
-        for (let position = 0; position < functionStack.length; position++) {
-            const funcName = functionStack[position];
-            const funcScore = functionScores[funcName] || 0;
-            const weight = stackWeights[position];
-            
-            totalScore += funcScore * weight;
-        }
-        
-        typeScores[typeName] = totalScore;
-    }
+    const typeScores = calculateTypeScores(functionScores, COGNITIVE_STACKS, stackModel, config);
     
     // スコアを降順にソート
     const sortedTypes = Object.entries(typeScores)
@@ -452,20 +1544,545 @@ export function determineMBTIType(functionScores, COGNITIVE_STACKS) {
     // 式: 100 × (差分) / (絶対値の合計)
     // ゼロ除算防止のため微小値を加算
     const scoreDifference = firstScore - secondScore;
-    const scoreSum = Math.abs(firstScore) + Math.abs(secondScore) + CONFIDENCE_CALCULATION_EPSILON;
+    const scoreSum = Math.abs(firstScore) + Math.abs(secondScore) + config.CONFIDENCE_CALCULATION_EPSILON;
     const rawConfidence = 100 * (scoreDifference / scoreSum);
     
     // 確信度を0-100の範囲に制限
     const confidence = Math.max(
-        CONFIDENCE_BOUNDS.MIN,
-        Math.min(CONFIDENCE_BOUNDS.MAX, Math.round(rawConfidence))
+        config.CONFIDENCE_BOUNDS.MIN,
+        Math.min(config.CONFIDENCE_BOUNDS.MAX, Math.round(rawConfidence))
     );
     
-    return {
+    // 16タイプの確率分布
+    const hasAnswers = Boolean(options.answers && options.questions);
+    const { temperature, itemVariance, itemsPerFunction } = hasAnswers
+        ? estimateScoreTemperature(options.answers, options.questions, stackModel, config)
+        : estimateScoreTemperature(undefined, undefined, stackModel, config);
+    const typeProbabilities = calculateTypeProbabilities(typeScores, temperature);
+    const bootstrapSamples = options.bootstrapSamples ?? config.PROBABILITY_SETTINGS.BOOTSTRAP_SAMPLES;
+    const intervals = hasAnswers && bootstrapSamples > 0
+        ? bootstrapTypeProbabilities(options.answers, options.questions, COGNITIVE_STACKS, {
+            temperature,
+            samples: bootstrapSamples,
+            random: options.random,
+            stackModel,
+            config
+        })
+        : null;
+    
+    const probabilities = Object.entries(typeProbabilities)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, probability]) => ({
+            type,
+            probability,
+            ...(intervals ? intervals[type] : {})
+        }));
+    
+    const result = {
         type: firstType,
         confidence: confidence,
         top2: [firstType, secondType],
-        typeScores: typeScores  // デバッグ用: 全タイプのスコアを返す
+        typeScores: typeScores,  // デバッグ用: 全タイプのスコアを返す
+        probabilities: probabilities,
+        probabilityModel: {
+            temperature: Number(temperature.toFixed(3)),
+            itemVariance,
+            itemsPerFunction,
+            bootstrapSamples: intervals ? bootstrapSamples : 0
+        },
+        stackModel: stackModel,
+        dichotomies: calculateDichotomies(probabilities, COGNITIVE_STACKS, firstType)
+    };
+    
+    // 回答データがあれば妥当性指標を付加
+    if (hasAnswers) {
+        result.validity = calculateValidityIndices(options.answers, options.questions, config);
+    }
+    
+    return result;
+}
+
+// ============================================
+// 二分指標 (E/I, S/N, T/F, J/P)
+// ============================================
+
+/**
+ * 二分指標の選好度を算出
+ *
+ * @param {Array} probabilities - determineMBTIType の probabilities
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {string} stackType - 機能スタック判定の1位タイプ
+ * @returns {Object}
+ *   {
+ *     scores: [{ key, label, labelEn, letters, percentages: { E: 62, I: 38 }, preferred, clarity }],
+ *     letterType: string,     // 各指標で優勢な文字を並べたタイプ
+ *     stackType: string,      // 機能スタック判定のタイプ
+ *     agreesWithStack: boolean
+ *   }
+ *
+ * 各文字の割合は、その文字を持つタイプの確率の合計 (周辺確率):
+ *   P(E) = Σ P(type) for スタックの主機能が外向のタイプ
+ * タイプの文字は型名ではなく機能スタックから導出する (getTypeLetters)。
+ *
+ * 指標ごとに多数決を取るため、letterType は確率1位のタイプと一致するとは限らない。
+ * 例: INTJ 30%, ENTP 25%, ENTJ 25% … の場合、E が優勢でも1位は INTJ になりうる。
+ * この不一致は「どの軸で判定が割れているか」を示す情報として扱う。
+ * clarity は優勢側の割合を 0 (五分五分) ～ 100 (完全に一方) に変換した値。
+ */
+export function calculateDichotomies(probabilities, COGNITIVE_STACKS, stackType) {
+    const lettersByType = Object.fromEntries(
+        Object.entries(COGNITIVE_STACKS).map(([type, stack]) => [type, getTypeLetters(stack)])
+    );
+    
+    const scores = DICHOTOMIES.map((dichotomy, index) => {
+        const [first, second] = dichotomy.letters;
+        const firstProbability = probabilities
+            .filter(p => lettersByType[p.type]?.[index] === first)
+            .reduce((sum, p) => sum + p.probability, 0);
+        const firstPercent = Math.round(firstProbability * 100);
+        const preferred = firstProbability >= 0.5 ? first : second;
+        
+        return {
+            key: dichotomy.key,
+            label: dichotomy.label,
+            labelEn: dichotomy.labelEn,
+            letters: dichotomy.letters,
+            percentages: { [first]: firstPercent, [second]: 100 - firstPercent },
+            preferred,
+            clarity: Math.round(Math.abs(firstProbability * 2 - 1) * 100)
+        };
+    });
+    
+    const letterType = scores.map(score => score.preferred).join('');
+    
+    return {
+        scores,
+        letterType,
+        stackType,
+        agreesWithStack: letterType === stackType
+    };
+}
+
+// ============================================
+// 僅差タイプの分析
+// ============================================
+
+/**
+ * 1位タイプと統計的に区別できないタイプ群の分析
+ *
+ * @param {Object} result - determineMBTIType の返り値
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options]
+ * @param {Object} [options.config] - 採点設定
+ * @param {Object} [options.functionScores] - 機能スコア (決め手の機能のスコア表示用)
+ * @returns {Object|null}
+ *   {
+ *     isTie: boolean,          // 1位以外にも僅差のタイプがあるか
+ *     group: [{ type, gap, standardError, z }],  // 1位を含む僅差タイプ (差の小さい順)
+ *     shared: [{ position, label, labelEn, function }],   // 全タイプで共通の位置
+ *     undecided: [{ position, label, labelEn, functions }], // タイプによって機能が異なる位置
+ *     deciding: { position, label, labelEn, functions: [{ function, score }] } | null,
+ *     summary: string,         // 例: "主機能 Ni、補助機能は Te / Fe で未決定"
+ *     summaryEn: string        // 例: "Ni-dominant, Te vs Fe auxiliary undecided"
+ *   }
+ *
+ * 位置の比較は4機能スタック (主機能～劣等機能) で行う。
+ * deciding は未決定の位置のうち最も重みの大きい位置
+ * = その位置の機能の優劣が分かれば、僅差タイプ間の判定が決まる。
+ */
+export function analyzeNearTies(result, COGNITIVE_STACKS, options = {}) {
+    if (!result || !(result.type in COGNITIVE_STACKS) || !result.typeScores) {
+        console.error('[analyzeNearTies] Invalid result');
+        return null;
+    }
+    
+    const config = options.config || CONFIG;
+    const model = resolveStackModel(result.stackModel || DEFAULT_STACK_MODEL, config);
+    const itemVariance = result.probabilityModel?.itemVariance ?? config.PROBABILITY_SETTINGS.DEFAULT_ITEM_VARIANCE;
+    const itemsPerFunction = result.probabilityModel?.itemsPerFunction ?? config.PROBABILITY_SETTINGS.DEFAULT_ITEMS_PER_FUNCTION;
+    const winner = result.type;
+    const winnerScore = result.typeScores[winner];
+    
+    const group = Object.entries(result.typeScores)
+        .map(([type, score]) => {
+            const sumSquaredDiff = Object.keys(FUNCTIONS).reduce((sum, f) => {
+                const diff = getPositionWeight(COGNITIVE_STACKS[winner], f, model) -
+                    getPositionWeight(COGNITIVE_STACKS[type], f, model);
+                return sum + diff * diff;
+            }, 0);
+            const standardError = Math.sqrt(sumSquaredDiff * itemsPerFunction * itemVariance);
+            const gap = winnerScore - score;
+            return {
+                type,
+                gap: Number(gap.toFixed(2)),
+                standardError: Number(standardError.toFixed(2)),
+                z: standardError > 0 ? Number((gap / standardError).toFixed(2)) : 0
+            };
+        })
+        .filter(entry => entry.type === winner || entry.z < config.NEAR_TIE_SETTINGS.MARGIN_SE)
+        .sort((a, b) => a.gap - b.gap);
+    
+    // 4機能スタックの位置ごとに、僅差タイプ間で機能が一致するか
+    const shared = [];
+    const undecided = [];
+    COGNITIVE_STACKS[winner].forEach((_, index) => {
+        const position = model.positions[index];
+        const functions = [...new Set(group.map(entry => COGNITIVE_STACKS[entry.type][index]))];
+        const entry = { position: position.key, label: position.label, labelEn: position.labelEn };
+        if (functions.length === 1) {
+            shared.push({ ...entry, function: functions[0] });
+        } else {
+            undecided.push({ ...entry, functions });
+        }
+    });
+    
+    const decidingPosition = undecided[0] || null;
+    const deciding = decidingPosition && {
+        position: decidingPosition.position,
+        label: decidingPosition.label,
+        labelEn: decidingPosition.labelEn,
+        functions: decidingPosition.functions.map(f => ({
+            function: f,
+            score: options.functionScores ? Number(options.functionScores[f].toFixed(2)) : null
+        }))
+    };
+    
+    // 要約: 決め手の位置より上位の共通機能 + 決め手の位置の候補
+    // (決め手が決まれば下位の位置も連動して決まるため、それ以降は省略する)
+    const positionIndex = key => model.positions.findIndex(p => p.key === key);
+    const leading = shared.filter(entry => !deciding || positionIndex(entry.position) < positionIndex(deciding.position));
+    const summaryParts = leading.map(entry => `${entry.label} ${entry.function}`);
+    const summaryEnParts = leading.map(entry => `${entry.function}-${entry.position.toLowerCase()}`);
+    if (deciding) {
+        const names = deciding.functions.map(f => f.function);
+        summaryParts.push(`${deciding.label}は ${names.join(' / ')} で未決定`);
+        summaryEnParts.push(`${names.join(' vs ')} ${deciding.position.toLowerCase()} undecided`);
+    }
+    
+    return {
+        isTie: group.length > 1,
+        group,
+        shared,
+        undecided,
+        deciding,
+        summary: summaryParts.join('、'),
+        summaryEn: summaryEnParts.join(', ')
+    };
+}
+
+// ============================================
+// 近接タイプの比較
+// ============================================
+
+/**
+ * 機能スタックの近いタイプ (タイプ別ガイドの「近いタイプとの違い」用)
+ *
+ * @param {string} typeName - MBTIタイプ
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options]
+ * @param {string} [options.stackModel] - STACK_MODELS のキー (距離の重みに使う)
+ * @param {Object} [options.config] - 採点設定
+ * @param {number} [options.limit=3] - 返すタイプ数
+ * @returns {Array} [{
+ *     type,
+ *     distance,        // 位置の重みの差の二乗和 (小さいほど近い)
+ *     samePosition: [{ position, label, labelEn, function }], // 同じ位置にある共通機能
+ *     moved: [{ function, from, to }],  // 共通だが位置が異なる機能 (from: 基準タイプ側の位置キー)
+ *     onlyOwn: [string],   // 基準タイプのスタックにのみある機能
+ *     onlyOther: [string]  // 比較タイプのスタックにのみある機能
+ *   }] (距離の近い順)
+ *
+ * 距離は analyzeNearTies の標準誤差と同じ重みの差から求めるため、
+ * 近いタイプほど回答から区別しにくい (= 判定で取り違えやすい) タイプになる。
+ */
+export function findNearestTypes(typeName, COGNITIVE_STACKS, options = {}) {
+    if (!(typeName in COGNITIVE_STACKS)) {
+        console.error(`[findNearestTypes] Invalid type: ${typeName}`);
+        return [];
+    }
+    
+    const config = options.config || CONFIG;
+    const model = resolveStackModel(options.stackModel || DEFAULT_STACK_MODEL, config);
+    const limit = options.limit ?? 3;
+    const own = COGNITIVE_STACKS[typeName];
+    
+    return Object.entries(COGNITIVE_STACKS)
+        .filter(([type]) => type !== typeName)
+        .map(([type, other]) => {
+            const distance = Object.keys(FUNCTIONS).reduce((sum, f) => {
+                const diff = getPositionWeight(own, f, model) - getPositionWeight(other, f, model);
+                return sum + diff * diff;
+            }, 0);
+            const samePosition = own
+                .map((f, index) => ({ f, index }))
+                .filter(({ f, index }) => other[index] === f)
+                .map(({ f, index }) => ({
+                    position: model.positions[index].key,
+                    label: model.positions[index].label,
+                    labelEn: model.positions[index].labelEn,
+                    function: f
+                }));
+            const moved = own
+                .filter((f, index) => other.includes(f) && other[index] !== f)
+                .map(f => ({
+                    function: f,
+                    from: model.positions[own.indexOf(f)].key,
+                    to: model.positions[other.indexOf(f)].key
+                }));
+            
+            return {
+                type,
+                distance: Number(distance.toFixed(2)),
+                samePosition,
+                moved,
+                onlyOwn: own.filter(f => !other.includes(f)),
+                onlyOther: other.filter(f => !own.includes(f))
+            };
+        })
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
+
+// ============================================
+// 項目別の寄与分析
+// ============================================
+
+/**
+ * 各回答が判定結果に与えた影響の分解
+ *
+ * @param {Object} answers - 質問IDをキーとする回答
+ * @param {Array} questions - 質問配列 ({ id, text, type, reverse })
+ * @param {Object} result - determineMBTIType の返り値
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @returns {Object} { winner, runnerUp, items }
+ *   items: [{
+ *     id, text, function, format, value, reverse,
+ *     score,           // calculateScore の値 (逆転処理後・符号付き)
+ *     winnerWeight,    // 判定タイプのスタックでの重み
+ *     runnerUpWeight,  // 次点タイプのスタックでの重み
+ *     effect           // score × (winnerWeight - runnerUpWeight)
+ *   }] (effect 降順)
+ *   強制選択項目は score/winnerWeight/runnerUpWeight の代わりに
+ *   scores ({ 機能: 符号付きスコア }) と scale を持ち、function は "Ni / Se" の形、
+ *   effect は両機能の寄与の和 Σ scores[f] × (winnerWeight_f - runnerUpWeight_f)
+ *   場面想定項目も同様に scores を持ち、function は選んだ選択肢が動かした機能 ("Te / Ni" の形)
+ *
+ * タイプスコアは機能スコアの線形結合なので、項目の寄与はそのまま足し合わせられる:
+ *   Σ effect = typeScores[判定タイプ] - typeScores[次点タイプ]
+ * effect > 0 の項目は判定タイプ側へ、effect < 0 の項目は次点タイプ側へ押した回答。
+ * 両タイプで同じ重みを持つ機能の項目は effect = 0 (判定の分かれ目に関与しない)。
+ */
+export function calculateItemContributions(answers, questions, result, COGNITIVE_STACKS, config = CONFIG) {
+    if (!answers || !Array.isArray(questions) || !result || !(result.type in COGNITIVE_STACKS)) {
+        console.error('[calculateItemContributions] Invalid input');
+        return { winner: null, runnerUp: null, items: [] };
+    }
+    
+    const model = resolveStackModel(result.stackModel || DEFAULT_STACK_MODEL, config);
+    const [winner, runnerUp] = result.top2;
+    
+    const weightOf = (type, funcName) => type in COGNITIVE_STACKS
+        ? getPositionWeight(COGNITIVE_STACKS[type], funcName, model)
+        : 0;
+    
+    const items = questions
+        .filter(q => q.id in answers)
+        .map(q => {
+            const value = getAnswerValue(answers[q.id]);
+            const scores = calculateItemScores(q, value, config);
+            const effect = Object.entries(scores).reduce(
+                (sum, [funcName, score]) => sum + score * (weightOf(winner, funcName) - weightOf(runnerUp, funcName)),
+                0
+            );
+            
+            const roundedScores = () => Object.fromEntries(
+                Object.entries(scores).map(([f, score]) => [f, Number(score.toFixed(2))])
+            );
+            
+            if (getItemFormat(q) === 'forcedChoice') {
+                return {
+                    id: q.id,
+                    text: q.statements.map(statement => statement.text).join(' / '),
+                    function: q.statements.map(statement => statement.type).join(' / '),
+                    format: 'forcedChoice',
+                    scale: q.scale,
+                    value,
+                    reverse: false,
+                    scores: roundedScores(),
+                    effect: Number(effect.toFixed(2))
+                };
+            }
+            
+            if (getItemFormat(q) === 'scenario') {
+                return {
+                    id: q.id,
+                    text: q.text,
+                    function: Object.keys(scores).join(' / '),
+                    format: 'scenario',
+                    value,
+                    reverse: false,
+                    scores: roundedScores(),
+                    effect: Number(effect.toFixed(2))
+                };
+            }
+            
+            return {
+                id: q.id,
+                text: q.text,
+                function: q.type,
+                format: 'likert',
+                value,
+                reverse: Boolean(q.reverse),
+                score: Number(scores[q.type].toFixed(2)),
+                winnerWeight: weightOf(winner, q.type),
+                runnerUpWeight: weightOf(runnerUp, q.type),
+                effect: Number(effect.toFixed(2))
+            };
+        })
+        .sort((a, b) => b.effect - a.effect);
+    
+    return { winner, runnerUp, items };
+}
+
+// ============================================
+// 適応型テスト (CAT)
+// ============================================
+
+/**
+ * 現在の回答から、1位タイプとその確率を求める
+ */
+function getAdaptiveEstimate(bank, answers, COGNITIVE_STACKS, stackModel, config) {
+    const administered = bank.filter(q => q.id in answers);
+    const typeScores = calculateTypeScores(
+        calculateFunctionScores(answers, administered, config),
+        COGNITIVE_STACKS,
+        stackModel,
+        config
+    );
+    const { temperature } = estimateScoreTemperature(answers, administered, stackModel, config);
+    const probabilities = Object.entries(calculateTypeProbabilities(typeScores, temperature))
+        .sort((a, b) => b[1] - a[1]);
+    
+    return { administered, probabilities };
+}
+
+/**
+ * 次に出題する項目の選択
+ *
+ * @param {Array} bank - 項目バンク (詳細版の質問配列)
+ * @param {Object} answers - 質問IDをキーとする回答
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options]
+ * @param {string} [options.stackModel] - STACK_MODELS のキー
+ * @param {Function} [options.random] - 同条件の項目から選ぶための乱数関数
+ * @param {Object} [options.config] - 採点設定
+ * @returns {Object|null} 次の質問 (出題可能な項目がなければ null)
+ *
+ * 選択手順:
+ * 1. 出題数が MIN_ITEMS_PER_FUNCTION に満たない機能があれば、最も少ない機能を優先
+ * 2. それ以外は、上位 CANDIDATE_COUNT タイプの間で
+ *    「その機能に掛かる重み」の確率加重分散が最大の機能を選ぶ
+ *    = その機能のスコアが分かると、候補タイプ間の差が最も大きく動く
+ *    既に多く出題した機能ほど1問追加の効果は小さいため (出題数 + 1) で割る
+ * 3. 機能内では、逆転項目の比率がバンク全体の比率に近づくよう通常/逆転を選ぶ
+ */
+export function selectNextAdaptiveItem(bank, answers, COGNITIVE_STACKS, options = {}) {
+    const random = options.random || Math.random;
+    const stackModel = options.stackModel || DEFAULT_STACK_MODEL;
+    const config = options.config || CONFIG;
+    const model = resolveStackModel(stackModel, config);
+    
+    const remaining = bank.filter(q => !(q.id in answers));
+    if (remaining.length === 0) return null;
+    
+    const { administered, probabilities } = getAdaptiveEstimate(bank, answers, COGNITIVE_STACKS, stackModel, config);
+    const availableFunctions = Object.keys(FUNCTIONS).filter(f => remaining.some(q => q.type === f));
+    const askedCount = f => administered.filter(q => q.type === f).length;
+    
+    let targetFunction;
+    const underSampled = availableFunctions
+        .filter(f => askedCount(f) < config.ADAPTIVE_SETTINGS.MIN_ITEMS_PER_FUNCTION);
+    
+    if (underSampled.length > 0) {
+        // 1. 最低出題数の確保 (同数なら無作為に選び、順序効果を避ける)
+        const fewest = Math.min(...underSampled.map(askedCount));
+        const candidates = underSampled.filter(f => askedCount(f) === fewest);
+        targetFunction = candidates[Math.floor(random() * candidates.length)];
+    } else {
+        // 2. 上位候補タイプを最もよく識別する機能
+        const candidates = probabilities.slice(0, config.ADAPTIVE_SETTINGS.CANDIDATE_COUNT);
+        const candidateMass = candidates.reduce((sum, [, p]) => sum + p, 0);
+        let bestValue = -Infinity;
+        for (const f of availableFunctions) {
+            const weights = candidates.map(([type, p]) => [
+                getPositionWeight(COGNITIVE_STACKS[type], f, model),
+                p / candidateMass
+            ]);
+            const weightedMean = weights.reduce((sum, [w, p]) => sum + w * p, 0);
+            const variance = weights.reduce((sum, [w, p]) => sum + p * (w - weightedMean) ** 2, 0);
+            const value = variance / (askedCount(f) + 1);
+            
+            if (value > bestValue) {
+                bestValue = value;
+                targetFunction = f;
+            }
+        }
+    }
+    
+    // 3. 通常/逆転のバランスを保つ
+    const pool = remaining.filter(q => q.type === targetFunction);
+    const bankReverseRatio = bank.filter(q => q.type === targetFunction && q.reverse).length /
+        bank.filter(q => q.type === targetFunction).length;
+    const asked = administered.filter(q => q.type === targetFunction);
+    const askedReverse = asked.filter(q => q.reverse).length;
+    const wantReverse = (askedReverse + 1) / (asked.length + 1) <= bankReverseRatio;
+    const preferred = pool.filter(q => Boolean(q.reverse) === wantReverse);
+    const choices = preferred.length > 0 ? preferred : pool;
+    
+    return choices[Math.floor(random() * choices.length)];
+}
+
+/**
+ * 適応型テストの終了判定
+ *
+ * @param {Array} bank - 項目バンク
+ * @param {Object} answers - 質問IDをキーとする回答
+ * @param {Array} leaderHistory - これまでの各回答時点の1位タイプ (今回分は含まない)
+ * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options]
+ * @param {string} [options.stackModel] - STACK_MODELS のキー
+ * @param {Object} [options.config] - 採点設定
+ * @returns {Object} { stop, reason, leader, topProbability, itemsUsed }
+ *   reason: 'converged' (判定が安定) | 'maxItems' (最大出題数) | 'exhausted' (項目切れ) | null
+ */
+export function evaluateAdaptiveStop(bank, answers, leaderHistory, COGNITIVE_STACKS, options = {}) {
+    const stackModel = options.stackModel || DEFAULT_STACK_MODEL;
+    const config = options.config || CONFIG;
+    const settings = config.ADAPTIVE_SETTINGS;
+    const { administered, probabilities } = getAdaptiveEstimate(bank, answers, COGNITIVE_STACKS, stackModel, config);
+    const [leader, topProbability] = probabilities[0];
+    const itemsUsed = administered.length;
+    
+    const minItems = settings.MIN_ITEMS_PER_FUNCTION * Object.keys(FUNCTIONS).length;
+    const recentLeaders = [...leaderHistory.slice(-(settings.STABLE_ITEMS - 1)), leader];
+    const isStable = recentLeaders.length >= settings.STABLE_ITEMS &&
+        recentLeaders.every(type => type === leader);
+    
+    let reason = null;
+    if (itemsUsed >= minItems && isStable && topProbability >= settings.STOP_PROBABILITY) {
+        reason = 'converged';
+    } else if (itemsUsed >= settings.MAX_ITEMS) {
+        reason = 'maxItems';
+    } else if (itemsUsed >= bank.length) {
+        reason = 'exhausted';
+    }
+    
+    return {
+        stop: reason !== null,
+        reason,
+        leader,
+        topProbability,
+        itemsUsed
     };
 }
 
@@ -483,24 +2100,79 @@ export function determineMBTIType(functionScores, COGNITIVE_STACKS) {
  */
 export const CONFIG = {
     JUNG_FUNCTION_WEIGHTS,
+    BEEBE_FUNCTION_WEIGHTS,
+    DEFAULT_STACK_MODEL,
     SCORE_EMPHASIS_EXPONENT,
     SCORE_NORMALIZATION,
-    LIKERT_SCALE_MIDPOINT,
-    LIKERT_SCALE_REVERSE_BASE,
+    LIKERT_SCALE: DEFAULT_LIKERT_SCALE,
+    // 互換用: LIKERT_SCALE の尺度の中点・反転の基準値 (getLikertScale(LIKERT_SCALE) と同じ値)
+    LIKERT_SCALE_MIDPOINT: getLikertScale(DEFAULT_LIKERT_SCALE).midpoint,
+    LIKERT_SCALE_REVERSE_BASE: getLikertScale(DEFAULT_LIKERT_SCALE).reverseBase,
+    FORCED_CHOICE_SETTINGS,
+    SCENARIO_SETTINGS,
     CONFIDENCE_CALCULATION_EPSILON,
-    CONFIDENCE_BOUNDS
+    CONFIDENCE_BOUNDS,
+    VALIDITY_THRESHOLDS,
+    PROBABILITY_SETTINGS,
+    ADAPTIVE_SETTINGS,
+    NEAR_TIE_SETTINGS
 };
 
+/**
+ * 採点設定の作成 (定数の差し替え)
+ * 
+ * @param {Object} [overrides] - CONFIG と同じキーで上書きする値
+ *   例: { SCORE_EMPHASIS_EXPONENT: 1.0, JUNG_FUNCTION_WEIGHTS: { DOMINANT: 3.0 } }
+ *       { LIKERT_SCALE: 'likert7' } (7段階で実施した回答の採点)
+ * @returns {Object} CONFIG と同じ形の設定 (determineMBTIType などの config に渡す)
+ * 
+ * - 入れ子の設定 (重み・閾値) は指定したキーだけを上書きする
+ * - JUNG_FUNCTION_WEIGHTS を変更すると、BEEBE_FUNCTION_WEIGHTS の上位4位置も追従する
+ *   (影の4位置は BEEBE_FUNCTION_WEIGHTS で個別に指定)
+ * - 妥当性は validateConstants(config) で確認できる
+ * 
+ * 用途: 定数の感度分析 (sweep.js)・シミュレーションでの比較・5段階以外の回答尺度での採点
+ */
+export function createScoringConfig(overrides = {}) {
+    const config = { ...CONFIG };
+    
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in CONFIG)) {
+            console.warn(`[createScoringConfig] Unknown config key: ${key}. Ignored.`);
+            continue;
+        }
+        config[key] = value && typeof value === 'object'
+            ? { ...CONFIG[key], ...value }
+            : value;
+    }
+    
+    // 互換用の値は、上書き後の尺度から求め直す
+    const scale = getLikertScale(config.LIKERT_SCALE);
+    config.LIKERT_SCALE_MIDPOINT = scale.midpoint;
+    config.LIKERT_SCALE_REVERSE_BASE = scale.reverseBase;
+    
+    const jungWeights = config.JUNG_FUNCTION_WEIGHTS;
+    config.BEEBE_FUNCTION_WEIGHTS = {
+        ...BEEBE_FUNCTION_WEIGHTS,
+        ...jungWeights,
+        ...overrides.BEEBE_FUNCTION_WEIGHTS
+    };
+    
+    return config;
+}
+
 /**
  * 正規化されたスコアを取得 (UI表示用)
  * 
  * @param {number} rawScore - 生スコア
+ * @param {Object} [normalization] - createScoreNormalization の返り値
+ * @param {string} [funcName] - 認知機能名
  * @returns {number} 0-100に正規化されたスコア
  * 
  * app.jsなどUIレイヤーから呼び出すことを想定
  */
-export function getNormalizedScore(rawScore) {
-    return normalizeScore(rawScore);
+export function getNormalizedScore(rawScore, normalization, funcName) {
+    return normalizeScore(rawScore, normalization, funcName);
 }
 
 // ============================================
@@ -511,6 +2183,7 @@ export function getNormalizedScore(rawScore) {
  * 機能スコアの詳細情報を取得 (開発者ツール用)
  * 
  * @param {Object} functionScores - 生スコア
+ * @param {Object} [normalization] - createScoreNormalization の返り値
  * @returns {Array} 各機能の詳細情報配列
  * 
  * 返り値の形式:
@@ -526,7 +2199,7 @@ export function getNormalizedScore(rawScore) {
  *   ...
  * ]
  */
-export function getDetailedFunctionScores(functionScores) {
+export function getDetailedFunctionScores(functionScores, normalization) {
     if (!functionScores || typeof functionScores !== 'object') {
         console.error('[getDetailedFunctionScores] Invalid input');
         return [];
@@ -534,7 +2207,7 @@ export function getDetailedFunctionScores(functionScores) {
     
     return Object.entries(functionScores)
         .map(([funcName, rawScore]) => {
-            const normalized = normalizeScore(rawScore);
+            const normalized = normalizeScore(rawScore, normalization, funcName);
             
             // スコア解釈ラベル
             let interpretation;
@@ -562,16 +2235,22 @@ export function getDetailedFunctionScores(functionScores) {
  * 
  * @param {Object} functionScores - 認知機能スコア
  * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options] - determineMBTIType に渡すオプション
+ *   options.normalization で正規化パラメータを指定可能 (省略時は options.questions から作成)
  * @returns {Object} 詳細レポート
  * 
  * コンソールに以下の情報を出力:
  * - 全16タイプのスコアランキング
  * - 各タイプの機能スタックと重み付き合計の内訳
  * - 1位と2位の差分分析
+ * - 回答妥当性指標 (options.answers/questions 指定時)
+ * - 項目別の寄与 (options.answers/questions 指定時)
  */
-export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS) {
-    const result = determineMBTIType(functionScores, COGNITIVE_STACKS);
-    const detailedScores = getDetailedFunctionScores(functionScores);
+export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS, options = {}) {
+    const result = determineMBTIType(functionScores, COGNITIVE_STACKS, options);
+    const normalization = options.normalization ||
+        createScoreNormalization(options.questions, { config: options.config });
+    const detailedScores = getDetailedFunctionScores(functionScores, normalization);
     
     const report = {
         timestamp: new Date().toISOString(),
@@ -589,27 +2268,28 @@ export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS) {
                 score: Number(score.toFixed(2)),
                 description: mbtiDescriptions[type]?.name || ""
             })),
+        probabilities: result.probabilities.map(p => ({
+            type: p.type,
+            probability: `${(p.probability * 100).toFixed(1)}%`,
+            interval: p.lower !== undefined
+                ? `${(p.lower * 100).toFixed(1)}% - ${(p.upper * 100).toFixed(1)}%`
+                : null
+        })),
+        probabilityModel: result.probabilityModel,
+        dichotomies: result.dichotomies,
         stackAnalysis: {
             determinedType: result.type,
-            stack: COGNITIVE_STACKS[result.type],
-            breakdown: COGNITIVE_STACKS[result.type].map((func, index) => ({
-                position: ['主機能', '補助機能', '第三機能', '劣等機能'][index],
-                function: func,
-                fullName: FUNCTIONS[func].fullName,
-                rawScore: functionScores[func],
-                normalizedScore: normalizeScore(functionScores[func]),
-                weight: [
-                    JUNG_FUNCTION_WEIGHTS.DOMINANT,
-                    JUNG_FUNCTION_WEIGHTS.AUXILIARY,
-                    JUNG_FUNCTION_WEIGHTS.TERTIARY,
-                    JUNG_FUNCTION_WEIGHTS.INFERIOR
-                ][index],
-                weightedScore: Number((functionScores[func] * [
-                    JUNG_FUNCTION_WEIGHTS.DOMINANT,
-                    JUNG_FUNCTION_WEIGHTS.AUXILIARY,
-                    JUNG_FUNCTION_WEIGHTS.TERTIARY,
-                    JUNG_FUNCTION_WEIGHTS.INFERIOR
-                ][index]).toFixed(2))
+            model: result.stackModel,
+            modelName: STACK_MODELS[result.stackModel].name,
+            stack: getTypeStack(result.type, result.stackModel, options.config).map(entry => entry.function),
+            breakdown: getTypeStack(result.type, result.stackModel, options.config).map(entry => ({
+                position: entry.label,
+                function: entry.function,
+                fullName: FUNCTIONS[entry.function].fullName,
+                rawScore: functionScores[entry.function],
+                normalizedScore: normalizeScore(functionScores[entry.function], normalization, entry.function),
+                weight: entry.weight,
+                weightedScore: Number((functionScores[entry.function] * entry.weight).toFixed(2))
             }))
         },
         confidenceAnalysis: {
@@ -619,7 +2299,12 @@ export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS) {
             firstTypeScore: result.typeScores[result.top2[0]],
             secondTypeScore: result.typeScores[result.top2[1]],
             scoreDifference: Number((result.typeScores[result.top2[0]] - result.typeScores[result.top2[1]]).toFixed(2))
-        }
+        },
+        validity: result.validity || null,
+        nearTies: analyzeNearTies(result, COGNITIVE_STACKS, { config: options.config, functionScores }),
+        itemAttribution: options.answers && options.questions
+            ? calculateItemContributions(options.answers, options.questions, result, COGNITIVE_STACKS, options.config)
+            : null
     };
     
     return report;
@@ -630,11 +2315,12 @@ export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS) {
  * 
  * @param {Object} functionScores - 認知機能スコア
  * @param {Object} COGNITIVE_STACKS - 機能スタック定義
+ * @param {Object} [options] - determineMBTIType に渡すオプション
  * 
  * 開発時に診断ロジックの動作を確認するために使用
  */
-export function printDiagnosticReport(functionScores, COGNITIVE_STACKS) {
-    const report = generateDiagnosticReport(functionScores, COGNITIVE_STACKS);
+export function printDiagnosticReport(functionScores, COGNITIVE_STACKS, options = {}) {
+    const report = generateDiagnosticReport(functionScores, COGNITIVE_STACKS, options);
     
     console.group('🧠 MBTI診断 詳細レポート');
     
@@ -652,7 +2338,24 @@ export function printDiagnosticReport(functionScores, COGNITIVE_STACKS) {
     console.table(report.typeScores.slice(0, 5));
     console.groupEnd();
     
+    console.group('🎲 タイプ確率分布 (上位5位)');
+    console.log('温度:', report.probabilityModel.temperature);
+    console.table(report.probabilities.slice(0, 5));
+    console.groupEnd();
+    
+    console.group('🔤 二分指標');
+    console.table(report.dichotomies.scores.map(score => ({
+        指標: score.label,
+        ...score.percentages,
+        優勢: score.preferred
+    })));
+    if (!report.dichotomies.agreesWithStack) {
+        console.warn(`指標ベース ${report.dichotomies.letterType} と機能スタック判定 ${report.dichotomies.stackType} が不一致`);
+    }
+    console.groupEnd();
+    
     console.group('🔍 機能スタック分析');
+    console.log('モデル:', report.stackAnalysis.modelName);
     console.log('タイプ:', report.stackAnalysis.determinedType);
     console.log('スタック:', report.stackAnalysis.stack.join(' → '));
     console.table(report.stackAnalysis.breakdown);
@@ -665,6 +2368,31 @@ export function printDiagnosticReport(functionScores, COGNITIVE_STACKS) {
     console.log('スコア差:', report.confidenceAnalysis.scoreDifference);
     console.groupEnd();
     
+    if (report.nearTies) {
+        console.group('⚖ 僅差タイプ');
+        console.log('要約:', report.nearTies.summary);
+        console.table(report.nearTies.group);
+        console.groupEnd();
+    }
+    
+    if (report.itemAttribution) {
+        const { winner, runnerUp, items } = report.itemAttribution;
+        console.group(`🧾 項目別の寄与 (${winner} vs ${runnerUp})`);
+        console.table(items.filter(item => item.effect !== 0));
+        console.groupEnd();
+    }
+    
+    if (report.validity) {
+        console.group('🛡 回答妥当性');
+        console.log('解釈可能:', report.validity.isInterpretable);
+        console.log('黙従指標:', report.validity.acquiescence.index);
+        console.log('最長連続回答:', report.validity.straightLining.longestRun);
+        console.log('極端回答率:', report.validity.extremeResponse.ratio);
+        console.table(report.validity.reverseInconsistency.byFunction);
+        report.validity.flags.forEach(flag => console.warn(`[${flag.severity}] ${flag.message}`));
+        console.groupEnd();
+    }
+    
     console.groupEnd();
     
     return report;
@@ -742,30 +2470,87 @@ export function generateMockScores(targetType) {
 /**
  * 定数値の整合性チェック (開発時の自己診断)
  * 
+ * @param {Object} [config] - 検証する採点設定 (省略時は組み込みの CONFIG)
  * @returns {boolean} すべての定数が妥当な場合true
  */
-export function validateConstants() {
+export function validateConstants(config = CONFIG) {
     const checks = [];
     
     // Jung重みが正しく設定されているか
     checks.push({
         name: 'Jung重みの降順チェック',
-        pass: JUNG_FUNCTION_WEIGHTS.DOMINANT >= JUNG_FUNCTION_WEIGHTS.AUXILIARY &&
-              JUNG_FUNCTION_WEIGHTS.AUXILIARY >= JUNG_FUNCTION_WEIGHTS.TERTIARY &&
-              JUNG_FUNCTION_WEIGHTS.TERTIARY >= JUNG_FUNCTION_WEIGHTS.INFERIOR
+        pass: config.JUNG_FUNCTION_WEIGHTS.DOMINANT >= config.JUNG_FUNCTION_WEIGHTS.AUXILIARY &&
+              config.JUNG_FUNCTION_WEIGHTS.AUXILIARY >= config.JUNG_FUNCTION_WEIGHTS.TERTIARY &&
+              config.JUNG_FUNCTION_WEIGHTS.TERTIARY >= config.JUNG_FUNCTION_WEIGHTS.INFERIOR &&
+              config.JUNG_FUNCTION_WEIGHTS.INFERIOR >= 0
+    });
+    
+    // 各スタックモデルの重みが、上位4位置で降順・影の位置で非正か
+    checks.push({
+        name: 'スタックモデル重みの整合性チェック',
+        pass: Object.keys(STACK_MODELS).every(modelName => {
+            const weights = resolveStackModel(modelName, config).positions.map(p => p.weight);
+            if (!weights.every(Number.isFinite)) return false;
+            const conscious = weights.slice(0, 4);
+            const shadow = weights.slice(4);
+            return conscious.every((w, i) => i === 0 || conscious[i - 1] >= w) &&
+                   shadow.every(w => w <= 0);
+        })
+    });
+    
+    // 機能スタックから導出した4文字がタイプ名と一致するか
+    checks.push({
+        name: '機能スタックとタイプ名の整合性チェック',
+        pass: Object.entries(COGNITIVE_STACKS).every(([type, stack]) => getTypeLetters(stack) === type)
     });
     
     // スコア強調指数が妥当な範囲か
     checks.push({
         name: 'スコア強調指数の範囲チェック',
-        pass: SCORE_EMPHASIS_EXPONENT >= 1.0 && SCORE_EMPHASIS_EXPONENT <= 2.0
+        pass: config.SCORE_EMPHASIS_EXPONENT >= 1.0 && config.SCORE_EMPHASIS_EXPONENT <= 2.0
     });
     
     // 正規化範囲の妥当性
     checks.push({
         name: '正規化範囲の妥当性チェック',
-        pass: SCORE_NORMALIZATION.MIN < SCORE_NORMALIZATION.MAX &&
-              SCORE_NORMALIZATION.OUTPUT_MIN < SCORE_NORMALIZATION.OUTPUT_MAX
+        pass: config.SCORE_NORMALIZATION.DEFAULT_ITEMS_PER_FUNCTION > 0 &&
+              config.SCORE_NORMALIZATION.OUTPUT_MIN < config.SCORE_NORMALIZATION.OUTPUT_MAX
+    });
+    
+    // 回答尺度が定義済みで、逆転の基準値が中央値と対応しているか (反転しても中央値は中央値のまま)
+    checks.push({
+        name: 'Likert尺度定数の整合性チェック',
+        pass: config.LIKERT_SCALE in LIKERT_SCALES &&
+              Object.values(LIKERT_SCALES).every(scale =>
+                  scale.points >= 2 &&
+                  scale.labels.length === scale.points &&
+                  scale.labelsEn.length === scale.points &&
+                  scale.reverseBase === 2 * scale.midpoint)
+    });
+    
+    // 強制選択の尺度が偶数段階で (中央の「どちらでもない」を持たない)、項目の重みが正か
+    checks.push({
+        name: '強制選択尺度の整合性チェック',
+        pass: config.FORCED_CHOICE_SETTINGS.STATEMENT_WEIGHT > 0 &&
+              Object.values(FORCED_CHOICE_SCALES).every(scale =>
+                  scale.points % 2 === 0 &&
+                  scale.labels.length === scale.points &&
+                  scale.labelsEn.length === scale.points)
+    });
+    
+    // 場面想定項目の重み 1 あたりのスコアが正か
+    checks.push({
+        name: '場面想定項目の採点設定チェック',
+        pass: config.SCENARIO_SETTINGS.OPTION_SCORE > 0
+    });
+    
+    // 確信度・確率モデルの設定が計算可能な範囲か
+    checks.push({
+        name: '確率モデル設定の範囲チェック',
+        pass: config.CONFIDENCE_CALCULATION_EPSILON > 0 &&
+              config.CONFIDENCE_BOUNDS.MIN < config.CONFIDENCE_BOUNDS.MAX &&
+              config.PROBABILITY_SETTINGS.MIN_ITEM_VARIANCE > 0 &&
+              config.PROBABILITY_SETTINGS.CI_LEVEL > 0 && config.PROBABILITY_SETTINGS.CI_LEVEL < 1
     });
     
     // すべての認知機能が定義されているか
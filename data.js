@@ -1,4 +1,4 @@
-// data.js: 簡易版(8問/機能)と詳細版(12問/機能)の両対応 - 認知機能特徴の全貌カバー版
+// data.js: 簡易版(8問/機能)と詳細版(12問/機能)の両対応 - 質問は data/question-bank.json から読み込む
 
 // 認知機能の定義
 export const FUNCTIONS = {
@@ -32,348 +32,235 @@ export const COGNITIVE_STACKS = {
     ESFP: ['Se', 'Fi', 'Te', 'Ni']
 };
 
-// 質問生成関数（逆転項目対応）
-function makeQuestions(type, texts, baseId, reverseIndices = []) {
-    return texts.map((text, i) => ({
-        id: baseId + i,
-        text,
-        type,
-        reverse: reverseIndices.includes(i)
-    }));
-}
-
 // ============================================
-// 詳細版質問文（12問/機能、計96問）
-// 各認知機能の特徴を多角的にカバー
+// 質問バンク（data/question-bank.json）
+// 質問文・逆転フラグ・出題モードは外部JSONで管理し、起動時に検証して読み込む
+// 形式は data/question-bank.schema.json を参照
 // ============================================
 
-const detailedQuestionTexts = {
-    Ni: [
-        // 【象徴的理解・本質把握】
-        "物事の背後にある「本当の意味」が、ふと理解できる瞬間がある",
-        "表面的な説明より、その奥にある本質を掴むことに興味がある",
-        // 【パターン認識・収束的洞察】
-        "バラバラな情報から、一つの明確な結論が自然と浮かび上がってくる",
-        "複数の出来事が「実は同じ構造だ」と気づくことがよくある",
-        // 【未来ビジョン・長期予測】
-        "今の選択が10年後にどう影響するか、映像として見える",
-        "遠い未来の目標から逆算して、今すべきことを決める",
-        // 【深い没頭・単一焦点】
-        "一つのテーマを深く掘り下げることに、時間を忘れて熱中する",
-        "興味を持ったことは、徹底的に理解するまで追求したい",
-        // 【直感的確信・非言語的理解】
-        "説明できないけれど「これが答えだ」という確信を持つことがある",
-        "言葉にする前に、答えが「わかってしまう」感覚がある",
-        // 【逆転項目：具体性・即物性】
-        "抽象的な解釈より、具体的な事実の積み重ねの方が信頼できる", // R
-        "過去や未来より、今目の前のことに意識を向けている時間が長い" // R
-    ],
-    
-    Ne: [
-        // 【発散的思考・多様なアイデア生成】
-        "一つの話題から、まったく別の10個のアイデアが次々浮かぶ",
-        "「もしこうだったら？」と想像を広げるのが楽しい",
-        // 【可能性探求・実験志向】
-        "確立されたやり方より、試したことのない方法に惹かれる",
-        "「普通はこうだけど、別のやり方もあるはず」と考えることが多い",
-        // 【連想・関連性の発見】
-        "全く関係なさそうな2つのことを、結びつけて考えるのが得意",
-        "「これとあれを組み合わせたら面白い」とよく思いつく",
-        // 【選択肢の保持・決定の困難】
-        "選択肢を絞り込むより、できるだけ多く残しておきたい",
-        "一つに決めた後も、「別の選択肢も良かったかも」と考えてしまう",
-        // 【話題の跳躍・文脈の拡張】
-        "話しているうちに、最初と全然違うテーマになっていることがよくある",
-        "一つの質問から、関連する様々な疑問が次々に湧いてくる",
-        // 【逆転項目：収束性・継続性】
-        "色々試すより、一つの方法を深く追求する方が成果が出る", // R
-        "新しい挑戦より、慣れた方法で着実に進める方が安心できる" // R
-    ],
-    
-    Si: [
-        // 【詳細な記憶・感覚的再現】
-        "過去の出来事を、その時の匂いや温度まで鮮明に思い出せる",
-        "「前にこれと同じ状況があった」と、過去の記憶がすぐ浮かぶ",
-        // 【経験の参照・前例重視】
-        "「以前これでうまくいった」という経験を判断の基準にする",
-        "実績のある方法の方が、未知の方法より安心できる",
-        // 【伝統・確立された手順の信頼】
-        "長年続けられてきたルールには、それなりの理由があると思う",
-        "試行錯誤された手順を守る方が、効率的だと感じる",
-        // 【ルーティン・一貫性】
-        "毎日同じ手順で物事を進めると、調子が良い",
-        "予定が急に変わると、気持ちを切り替えるのに時間がかかる",
-        // 【細部への注意・違いの察知】
-        "いつもと微妙に違うことに、すぐ気づく",
-        "環境の細かい変化を感じ取ることが多い",
-        // 【逆転項目：新規性・変化志向】
-        "過去の成功例より、新しい可能性を試す方にワクワクする", // R
-        "同じやり方を繰り返すより、毎回違うアプローチを取りたい" // R
-    ],
-    
-    Se: [
-        // 【現在への完全な没入】
-        "今この瞬間に起きていることに、完全に集中できる",
-        "「今、ここ」の体験を存分に味わうことに喜びを感じる",
-        // 【環境の敏感な把握】
-        "部屋に入った瞬間、誰がどこにいるか把握できる",
-        "周囲の音、光、動きなどの変化にすぐ気づく",
-        // 【実践的学習・身体知】
-        "説明を読むより、実際に触って動かして覚える方が早い",
-        "頭で理解するより、体を動かして結果を出すことを好む",
-        // 【即応性・臨機応変な対応】
-        "予期しないトラブルが起きても、その場で判断して動ける",
-        "計画通りにいかなくても、状況に応じて柔軟に対応できる",
-        // 【刺激追求・変化への欲求】
-        "単調な日常より、刺激的で変化のある体験を求める",
-        "スリルや興奮を感じられる活動に惹かれる",
-        // 【逆転項目：計画性・将来志向】
-        "即興で動くより、じっくり計画を練る方が成果が出る", // R
-        "今の楽しさより、将来のために準備する方が重要だと思う" // R
-    ],
-    
-    Ti: [
-        // 【仕組みの理解・原理探求】
-        "物事がどう動いているのか、仕組みを理解するまで気が済まない",
-        "「なぜそうなるのか」を突き詰めて考える癖がある",
-        // 【論理構造の分析・要素分解】
-        "複雑な問題を、シンプルな要素に分解して考えるのが得意",
-        "物事の構造や関係性を図式化して整理したくなる",
-        // 【独自理論・内的一貫性】
-        "既存の説明に納得できず、自分なりの理解の仕方を作る",
-        "自分の論理体系の中で矛盾がないか、常に確認している",
-        // 【矛盾の検出・論理的批判】
-        "人の説明を聞いて、「今の話、矛盾している」と気づくことが多い",
-        "論理的に筋が通っていない主張は、感動的でも納得できない",
-        // 【効率化・無駄の削減】
-        "回り道や無駄な手順を見つけると、省略したくなる",
-        "「なぜこのやり方なのか」理由のないルールに従うのが苦手",
-        // 【逆転項目：感情優先・調和重視】
-        "論理的に正しくても、人を傷つけるなら言わない方が良い", // R
-        "理屈より、その場の雰囲気や人の気持ちを優先して判断する" // R
-    ],
-    
-    Te: [
-        // 【目標設定・計画立案】
-        "目標を立てたら、達成までの手順を具体的に書き出す",
-        "締め切りから逆算して、スケジュールを組むのが習慣になっている",
-        // 【効率化・システム構築】
-        "非効率なやり方を見ると、改善案を考えずにいられない",
-        "繰り返し作業は、自動化やテンプレート化して効率を上げたい",
-        // 【客観的基準・データ重視】
-        "感覚的な判断より、数字やデータに基づいて判断したい",
-        "「なんとなく」ではなく、根拠を示して説明する方が説得力がある",
-        // 【組織化・リソース管理】
-        "グループで何かする時、自然と役割分担や進行を仕切っている",
-        "人やモノをどう配置すれば最も効率的か考えることが多い",
-        // 【結果志向・実行力】
-        "過程がどうであれ、結果を出すことが最も重要だと思う",
-        "計画したことは、確実に実行に移したい",
-        // 【逆転項目：プロセス重視・柔軟性】
-        "結果より、自分が納得できるプロセスで進める方が大切", // R
-        "ルールや基準より、状況に応じた柔軟な対応の方が重要" // R
-    ],
-    
-    Fi: [
-        // 【内的価値観・個人的信念】
-        "自分の中に、絶対に譲れない価値観がはっきりとある",
-        "多数派が賛成していても、自分が納得できなければ反対する",
-        // 【真正性・自己一致】
-        "他人にどう見られるかより、自分に正直でいることを選ぶ",
-        "「本当の自分」と違う振る舞いをすると、強い違和感を覚える",
-        // 【深い共感・個別理解】
-        "他人が傷ついている姿を見ると、自分の心も痛む",
-        "表面的な付き合いより、少数の人と深く理解し合う関係を求める",
-        // 【内省・感情の探求】
-        "自分がなぜその感情を抱いたのか、じっくり考えることがある",
-        "自分の価値観がどこから来ているのか、掘り下げて考える",
-        // 【道徳的判断・良心】
-        "損得より、それが正しいことかどうかで判断する",
-        "たとえ不利でも、自分が正しいと思うことは貫きたい",
-        // 【逆転項目：外的基準・集団調和】
-        "自分の価値観より、周囲の期待に応える方が大切だと感じる", // R
-        "個人的な信念より、客観的な基準で判断すべきだと思う" // R
-    ],
-    
-    Fe: [
-        // 【場の雰囲気・集団調和】
-        "場の空気が悪くなると、自分から話題を変えたり和ませたりする",
-        "意見が対立した時、まず全員が納得できる落とし所を探す",
-        // 【感情の察知・共感的理解】
-        "相手の表情や声のトーンから、今どんな気持ちか察することができる",
-        "誰かの顔色が変わると、すぐに「何かあった？」と気になる",
-        // 【他者支援・励まし】
-        "落ち込んでいる人がいると、つい声をかけてしまう",
-        "友人の悩みを聞いて、気持ちが楽になる言葉をかけることが多い",
-        // 【社会的規範・期待への応答】
-        "「こういう場ではこう振る舞うべき」という感覚が自然とある",
-        "相手の期待に応えることが、自分の喜びにもつながる",
-        // 【感情表現の促進・関係構築】
-        "相手が言葉にできない気持ちを、代わりに言語化することがある",
-        "人と人との間に温かい雰囲気を作ることが得意",
-        // 【逆転項目：個人優先・率直性】
-        "周囲の期待より、自分が正しいと思うことを優先する", // R
-        "調和を保つより、率直に意見を言う方が誠実だと思う" // R
-    ]
-};
+const QUESTION_BANK_URL = new URL('./data/question-bank.json', import.meta.url);
 
-// 詳細版の逆転項目インデックス
-const detailedReverseIndices = {
-    Ni: [10, 11],
-    Ne: [10, 11],
-    Si: [10, 11],
-    Se: [10, 11],
-    Ti: [10, 11],
-    Te: [10, 11],
-    Fi: [10, 11],
-    Fe: [10, 11]
-};
+/**
+ * 質問バンクファイルの読み込み（ブラウザは fetch、Node.js はファイルから）
+ * @returns {Promise<Object|null>} パース済みのJSON（失敗時は null）
+ */
+async function readQuestionBankFile() {
+    try {
+        if (typeof process !== 'undefined' && process.versions?.node) {
+            const { readFile } = await import('node:fs/promises');
+            return JSON.parse(await readFile(QUESTION_BANK_URL, 'utf8'));
+        }
+        const res = await fetch(QUESTION_BANK_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return await res.json();
+    } catch (error) {
+        console.error(`[readQuestionBankFile] 質問バンクを読み込めません: ${error.message}`);
+        return null;
+    }
+}
 
-// ============================================
-// 簡易版質問文（8問/機能、計64問）
-// 各認知機能の核心的特徴をバランスよくカバー
-// ============================================
+// 場面想定項目の選択肢の数
+const SCENARIO_OPTION_COUNT = { MIN: 3, MAX: 5 };
 
-const simpleQuestionTexts = {
-    Ni: [
-        // 【本質把握・収束的洞察】
-        "表面的な説明より、その奥にある本質を掴むことに興味がある",
-        "バラバラな情報から、一つの明確な結論が自然と浮かび上がってくる",
-        // 【未来ビジョン・長期思考】
-        "今の選択が10年後にどう影響するか、映像として見える",
-        "遠い未来の目標から逆算して、今すべきことを決める",
-        // 【深い集中・単一焦点】
-        "一つのテーマを深く掘り下げることに、時間を忘れて熱中する",
-        // 【直感的確信】
-        "説明できないけれど「これが答えだ」という確信を持つことがある",
-        // 【逆転項目】
-        "抽象的な解釈より、具体的な事実の積み重ねの方が信頼できる", // R
-        "過去や未来より、今目の前のことに意識を向けている時間が長い" // R
-    ],
-    
-    Ne: [
-        // 【発散的思考・多様性】
-        "一つの話題から、まったく別の10個のアイデアが次々浮かぶ",
-        "「もしこうだったら？」と想像を広げるのが楽しい",
-        // 【可能性探求・実験】
-        "確立されたやり方より、試したことのない方法に惹かれる",
-        "全く関係なさそうな2つのことを、結びつけて考えるのが得意",
-        // 【選択肢保持・柔軟性】
-        "選択肢を絞り込むより、できるだけ多く残しておきたい",
-        // 【連想・話題展開】
-        "話しているうちに、最初と全然違うテーマになっていることがよくある",
-        // 【逆転項目】
-        "色々試すより、一つの方法を深く追求する方が成果が出る", // R
-        "新しい挑戦より、慣れた方法で着実に進める方が安心できる" // R
-    ],
-    
-    Si: [
-        // 【詳細記憶・感覚再現】
-        "過去の出来事を、その時の匂いや温度まで鮮明に思い出せる",
-        "「前にこれと同じ状況があった」と、過去の記憶がすぐ浮かぶ",
-        // 【経験参照・実績重視】
-        "「以前これでうまくいった」という経験を判断の基準にする",
-        "実績のある方法の方が、未知の方法より安心できる",
-        // 【ルーティン・一貫性】
-        "毎日同じ手順で物事を進めると、調子が良い",
-        // 【細部注意】
-        "いつもと微妙に違うことに、すぐ気づく",
-        // 【逆転項目】
-        "過去の成功例より、新しい可能性を試す方にワクワクする", // R
-        "同じやり方を繰り返すより、毎回違うアプローチを取りたい" // R
-    ],
-    
-    Se: [
-        // 【現在没入・体験重視】
-        "今この瞬間に起きていることに、完全に集中できる",
-        "「今、ここ」の体験を存分に味わうことに喜びを感じる",
-        // 【環境把握・感覚鋭敏】
-        "部屋に入った瞬間、誰がどこにいるか把握できる",
-        "周囲の音、光、動きなどの変化にすぐ気づく",
-        // 【実践・即応性】
-        "説明を読むより、実際に触って動かして覚える方が早い",
-        "予期しないトラブルが起きても、その場で判断して動ける",
-        // 【逆転項目】
-        "即興で動くより、じっくり計画を練る方が成果が出る", // R
-        "今の楽しさより、将来のために準備する方が重要だと思う" // R
-    ],
-    
-    Ti: [
-        // 【仕組み理解・原理探求】
-        "物事がどう動いているのか、仕組みを理解するまで気が済まない",
-        "「なぜそうなるのか」を突き詰めて考える癖がある",
-        // 【論理分析・要素分解】
-        "複雑な問題を、シンプルな要素に分解して考えるのが得意",
-        "物事の構造や関係性を図式化して整理したくなる",
-        // 【矛盾検出・批判的思考】
-        "人の説明を聞いて、「今の話、矛盾している」と気づくことが多い",
-        // 【効率化】
-        "回り道や無駄な手順を見つけると、省略したくなる",
-        // 【逆転項目】
-        "論理的に正しくても、人を傷つけるなら言わない方が良い", // R
-        "理屈より、その場の雰囲気や人の気持ちを優先して判断する" // R
-    ],
-    
-    Te: [
-        // 【目標・計画】
-        "目標を立てたら、達成までの手順を具体的に書き出す",
-        "締め切りから逆算して、スケジュールを組むのが習慣になっている",
-        // 【効率化・システム化】
-        "非効率なやり方を見ると、改善案を考えずにいられない",
-        "繰り返し作業は、自動化やテンプレート化して効率を上げたい",
-        // 【データ・客観性】
-        "感覚的な判断より、数字やデータに基づいて判断したい",
-        // 【組織化・実行】
-        "グループで何かする時、自然と役割分担や進行を仕切っている",
-        // 【逆転項目】
-        "結果より、自分が納得できるプロセスで進める方が大切", // R
-        "ルールや基準より、状況に応じた柔軟な対応の方が重要" // R
-    ],
-    
-    Fi: [
-        // 【内的価値・信念】
-        "自分の中に、絶対に譲れない価値観がはっきりとある",
-        "多数派が賛成していても、自分が納得できなければ反対する",
-        // 【真正性・自己一致】
-        "他人にどう見られるかより、自分に正直でいることを選ぶ",
-        "「本当の自分」と違う振る舞いをすると、強い違和感を覚える",
-        // 【深い共感】
-        "他人が傷ついている姿を見ると、自分の心も痛む",
-        // 【道徳的判断】
-        "損得より、それが正しいことかどうかで判断する",
-        // 【逆転項目】
-        "自分の価値観より、周囲の期待に応える方が大切だと感じる", // R
-        "個人的な信念より、客観的な基準で判断すべきだと思う" // R
-    ],
-    
-    Fe: [
-        // 【場の調和・雰囲気管理】
-        "場の空気が悪くなると、自分から話題を変えたり和ませたりする",
-        "意見が対立した時、まず全員が納得できる落とし所を探す",
-        // 【感情察知・共感】
-        "相手の表情や声のトーンから、今どんな気持ちか察することができる",
-        "誰かの顔色が変わると、すぐに「何かあった？」と気になる",
-        // 【他者支援】
-        "落ち込んでいる人がいると、つい声をかけてしまう",
-        // 【社会的規範】
-        "「こういう場ではこう振る舞うべき」という感覚が自然とある",
-        // 【逆転項目】
-        "周囲の期待より、自分が正しいと思うことを優先する", // R
-        "調和を保つより、率直に意見を言う方が誠実だと思う" // R
-    ]
-};
+/**
+ * 質問バンクの検証
+ *
+ * @param {Object} bank - 質問バンクのJSON
+ * @returns {Object} { valid, errors: [string], items: [検証を通過した項目], forcedChoiceItems: [同], scenarioItems: [同] }
+ *
+ * 検証内容:
+ * - version が major.minor.patch 形式
+ * - locales に defaultLocale が含まれる
+ * - 項目ごと: ID の形式と重複、機能名、逆転フラグ、出題モード、既定言語の質問文、
+ *   locales にない言語の質問文、旧IDの重複
+ * - 出題モードごと: 各機能の項目数が itemsPerFunction と一致
+ * - 強制選択項目ごと (forcedChoiceItems、省略可): ID の形式と重複、2文が異なる既知の機能、
+ *   各文の既定言語の文と locales にない言語の文、strength フラグ
+ * - 場面想定項目ごと (scenarioItems、省略可): ID の形式と重複、場面と選択肢の既定言語の文と
+ *   locales にない言語の文、選択肢の数 (SCENARIO_OPTION_COUNT)、各選択肢の重み (既知の機能、-1 ～ 1、0 以外)
+ */
+export function validateQuestionBank(bank) {
+    if (!bank || typeof bank !== 'object' || !Array.isArray(bank.items)) {
+        return { valid: false, errors: ['items 配列がありません'], items: [], forcedChoiceItems: [], scenarioItems: [] };
+    }
 
-// 簡易版の逆転項目インデックス
-const simpleReverseIndices = {
-    Ni: [6, 7],
-    Ne: [6, 7],
-    Si: [6, 7],
-    Se: [6, 7],
-    Ti: [6, 7],
-    Te: [6, 7],
-    Fi: [6, 7],
-    Fe: [6, 7]
-};
+    const errors = [];
+    if (typeof bank.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(bank.version)) {
+        errors.push(`version が不正です: ${bank.version}`);
+    }
+
+    const locales = Array.isArray(bank.locales) ? bank.locales : [];
+    if (!locales.includes(bank.defaultLocale)) {
+        errors.push(`locales に既定言語 (${bank.defaultLocale}) がありません`);
+    }
+
+    const modes = bank.modes && typeof bank.modes === 'object' ? bank.modes : {};
+    const seenIds = new Set();
+    const seenLegacyIds = Object.fromEntries(Object.keys(modes).map(mode => [mode, new Set()]));
+    const items = [];
+
+    for (const [index, item] of bank.items.entries()) {
+        const itemErrors = [];
+
+        if (typeof item?.id !== 'string' || !/^(Ni|Ne|Si|Se|Ti|Te|Fi|Fe)-\d{2,}$/.test(item.id)) {
+            itemErrors.push('id は「機能-連番」形式の文字列です');
+        } else if (seenIds.has(item.id)) {
+            itemErrors.push('id が重複しています');
+        } else if (!item.id.startsWith(`${item.function}-`)) {
+            itemErrors.push(`id と function (${item.function}) が一致しません`);
+        }
+        if (!(item?.function in FUNCTIONS)) itemErrors.push(`不明な function: ${item?.function}`);
+        if (typeof item?.reverse !== 'boolean') itemErrors.push('reverse は true / false です');
+        if (!Array.isArray(item?.modes) || item.modes.length === 0 || !item.modes.every(mode => mode in modes)) {
+            itemErrors.push(`modes は ${Object.keys(modes).join(' / ')} の配列です`);
+        }
+        if (typeof item?.text?.[bank.defaultLocale] !== 'string' || item.text[bank.defaultLocale].trim() === '') {
+            itemErrors.push(`既定言語 (${bank.defaultLocale}) の質問文がありません`);
+        }
+        const unknownLocales = Object.keys(item?.text ?? {}).filter(locale => !locales.includes(locale));
+        if (unknownLocales.length > 0) {
+            itemErrors.push(`locales にない言語の質問文があります: ${unknownLocales.join(', ')}`);
+        }
+        for (const [mode, legacyId] of Object.entries(item?.legacyIds ?? {})) {
+            if (!seenLegacyIds[mode] || !Number.isInteger(legacyId) || seenLegacyIds[mode].has(legacyId)) {
+                itemErrors.push(`legacyIds.${mode} が不正または重複しています`);
+            }
+        }
+
+        if (itemErrors.length > 0) {
+            errors.push(...itemErrors.map(message => `items[${index}] (${item?.id ?? 'id なし'}): ${message}`));
+            continue;
+        }
+        seenIds.add(item.id);
+        for (const [mode, legacyId] of Object.entries(item.legacyIds ?? {})) seenLegacyIds[mode].add(legacyId);
+        items.push(item);
+    }
+
+    for (const [mode, settings] of Object.entries(modes)) {
+        for (const funcName of Object.keys(FUNCTIONS)) {
+            const count = items.filter(item => item.function === funcName && item.modes.includes(mode)).length;
+            if (count !== settings.itemsPerFunction) {
+                errors.push(`modes.${mode}: ${funcName} の項目数が ${count} です (itemsPerFunction: ${settings.itemsPerFunction})`);
+            }
+        }
+    }
+
+    // 強制選択項目・場面想定項目の文 (言語コード → 文) の検査
+    const checkText = (text, label, itemErrors) => {
+        if (typeof text?.[bank.defaultLocale] !== 'string' || text[bank.defaultLocale].trim() === '') {
+            itemErrors.push(`${label}既定言語 (${bank.defaultLocale}) の文がありません`);
+        }
+        const unknownLocales = Object.keys(text ?? {}).filter(locale => !locales.includes(locale));
+        if (unknownLocales.length > 0) {
+            itemErrors.push(`${label}locales にない言語の文があります: ${unknownLocales.join(', ')}`);
+        }
+    };
+
+    const forcedChoiceItems = [];
+    if (bank.forcedChoiceItems !== undefined && !Array.isArray(bank.forcedChoiceItems)) {
+        errors.push('forcedChoiceItems は配列です');
+    }
+    for (const [index, item] of (Array.isArray(bank.forcedChoiceItems) ? bank.forcedChoiceItems : []).entries()) {
+        const itemErrors = [];
+
+        if (typeof item?.id !== 'string' || !/^FC-\d{2,}$/.test(item.id)) {
+            itemErrors.push('id は「FC-連番」形式の文字列です');
+        } else if (seenIds.has(item.id)) {
+            itemErrors.push('id が重複しています');
+        }
+        const statements = Array.isArray(item?.statements) ? item.statements : [];
+        if (statements.length !== 2) {
+            itemErrors.push('statements は2文の配列です');
+        } else if (statements[0]?.function === statements[1]?.function) {
+            itemErrors.push('2文の function が同じです');
+        }
+        for (const [position, statement] of statements.entries()) {
+            const label = `${position === 0 ? 'A' : 'B'}: `;
+            if (!(statement?.function in FUNCTIONS)) itemErrors.push(`${label}不明な function: ${statement?.function}`);
+            checkText(statement?.text, label, itemErrors);
+        }
+        if (typeof item?.strength !== 'boolean') itemErrors.push('strength は true / false です');
+
+        if (itemErrors.length > 0) {
+            errors.push(...itemErrors.map(message => `forcedChoiceItems[${index}] (${item?.id ?? 'id なし'}): ${message}`));
+            continue;
+        }
+        seenIds.add(item.id);
+        forcedChoiceItems.push(item);
+    }
+
+    const scenarioItems = [];
+    if (bank.scenarioItems !== undefined && !Array.isArray(bank.scenarioItems)) {
+        errors.push('scenarioItems は配列です');
+    }
+    for (const [index, item] of (Array.isArray(bank.scenarioItems) ? bank.scenarioItems : []).entries()) {
+        const itemErrors = [];
+
+        if (typeof item?.id !== 'string' || !/^SC-\d{2,}$/.test(item.id)) {
+            itemErrors.push('id は「SC-連番」形式の文字列です');
+        } else if (seenIds.has(item.id)) {
+            itemErrors.push('id が重複しています');
+        }
+        checkText(item?.text, '', itemErrors);
+        const options = Array.isArray(item?.options) ? item.options : [];
+        if (options.length < SCENARIO_OPTION_COUNT.MIN || options.length > SCENARIO_OPTION_COUNT.MAX) {
+            itemErrors.push(`options は ${SCENARIO_OPTION_COUNT.MIN}～${SCENARIO_OPTION_COUNT.MAX} 個の配列です`);
+        }
+        for (const [position, option] of options.entries()) {
+            const label = `options[${position}]: `;
+            checkText(option?.text, label, itemErrors);
+            const weights = Object.entries(option?.weights ?? {});
+            if (weights.length === 0) itemErrors.push(`${label}weights がありません`);
+            for (const [funcName, weight] of weights) {
+                if (!(funcName in FUNCTIONS)) itemErrors.push(`${label}不明な機能の重み: ${funcName}`);
+                if (typeof weight !== 'number' || !(Math.abs(weight) <= 1) || weight === 0) {
+                    itemErrors.push(`${label}${funcName} の重みは -1 ～ 1 の 0 以外の数です`);
+                }
+            }
+        }
+
+        if (itemErrors.length > 0) {
+            errors.push(...itemErrors.map(message => `scenarioItems[${index}] (${item?.id ?? 'id なし'}): ${message}`));
+            continue;
+        }
+        seenIds.add(item.id);
+        scenarioItems.push(item);
+    }
+
+    return { valid: errors.length === 0, errors, items, forcedChoiceItems, scenarioItems };
+}
+
+/**
+ * 質問バンクの読み込み（検証エラーはコンソールに出力し、不正な項目は除外して続行）
+ * @returns {Promise<Object>} { version, defaultLocale, locales, modes, items, forcedChoiceItems, scenarioItems }
+ */
+async function loadQuestionBank() {
+    const bank = await readQuestionBankFile();
+    const { valid, errors, items, forcedChoiceItems, scenarioItems } = validateQuestionBank(bank);
+    if (!valid) {
+        console.error(`[loadQuestionBank] 質問バンクの検証エラー (${errors.length}件):\n  ${errors.join('\n  ')}`);
+    }
+    return {
+        version: bank?.version ?? null,
+        defaultLocale: bank?.defaultLocale ?? 'ja',
+        locales: bank?.locales ?? [],
+        modes: bank?.modes ?? {},
+        items,
+        forcedChoiceItems,
+        scenarioItems
+    };
+}
+
+const questionBank = await loadQuestionBank();
+
+// 結果の記録に保存する質問バンクのバージョン
+export const QUESTION_BANK_VERSION = questionBank.version;
+
+// 質問文を用意している言語（先頭が既定言語。翻訳のない項目は既定言語の質問文を使う）
+export const QUESTION_BANK_LOCALES = [
+    questionBank.defaultLocale,
+    ...questionBank.locales.filter(locale => locale !== questionBank.defaultLocale)
+];
 
 // ============================================
 // モード切り替え機能
@@ -398,30 +285,143 @@ export function getMode() {
 // 質問生成
 // ============================================
 
-function generateQuestions(mode = 'simple') {
-    const texts = mode === 'detailed' ? detailedQuestionTexts : simpleQuestionTexts;
-    const reverseIndices = mode === 'detailed' ? detailedReverseIndices : simpleReverseIndices;
-    
-    return [
-        ...makeQuestions("Ni", texts.Ni, 1, reverseIndices.Ni),
-        ...makeQuestions("Ne", texts.Ne, 1 + texts.Ni.length, reverseIndices.Ne),
-        ...makeQuestions("Si", texts.Si, 1 + texts.Ni.length + texts.Ne.length, reverseIndices.Si),
-        ...makeQuestions("Se", texts.Se, 1 + texts.Ni.length + texts.Ne.length + texts.Si.length, reverseIndices.Se),
-        ...makeQuestions("Ti", texts.Ti, 1 + texts.Ni.length + texts.Ne.length + texts.Si.length + texts.Se.length, reverseIndices.Ti),
-        ...makeQuestions("Te", texts.Te, 1 + texts.Ni.length + texts.Ne.length + texts.Si.length + texts.Se.length + texts.Ti.length, reverseIndices.Te),
-        ...makeQuestions("Fi", texts.Fi, 1 + texts.Ni.length + texts.Ne.length + texts.Si.length + texts.Se.length + texts.Ti.length + texts.Te.length, reverseIndices.Fi),
-        ...makeQuestions("Fe", texts.Fe, 1 + texts.Ni.length + texts.Ne.length + texts.Si.length + texts.Se.length + texts.Ti.length + texts.Te.length + texts.Fi.length, reverseIndices.Fe)
-    ];
+// 項目分析 (item-analysis.js) からも同じ質問メタデータを参照するため公開
+// id は質問バンクの安定ID、legacyId は質問バンク導入前の連番ID（旧形式の回答記録の読み込み用）
+// options.locale で質問文の言語を選ぶ（翻訳がなければ既定言語）
+export function generateQuestions(mode = 'simple', options = {}) {
+    const locale = options.locale || questionBank.defaultLocale;
+    return questionBank.items
+        .filter(item => item.modes.includes(mode))
+        .map(item => ({
+            id: item.id,
+            type: item.function,
+            text: item.text[locale] ?? item.text[questionBank.defaultLocale],
+            reverse: item.reverse,
+            legacyId: item.legacyIds?.[mode] ?? null
+        }));
+}
+
+// クイック版の1機能あたりの問題数（詳細版から抜き出す）
+export const QUICK_ITEMS_PER_FUNCTION = 4;
+
+/**
+ * 詳細版から、機能ごとに指定数の質問を抜き出す（クイック版・カスタム長さ用）
+ * - 逆転項目は詳細版と同じ比率（四捨五入、2問以上なら最低1問）を保つ
+ * - 簡易版にも含まれる中核項目を優先し、同じ問題数なら常に同じ質問を選ぶ
+ *   （回答記録どうしを項目単位で比較できるように乱択しない）
+ * @param {number} itemsPerFunction - 1機能あたりの問題数（1 ～ 詳細版の問題数）
+ * @param {Object} [options] - { locale }
+ * @returns {Array} 質問配列（詳細版の並び順）
+ */
+export function selectBalancedQuestions(itemsPerFunction, options = {}) {
+    const detailed = generateQuestions('detailed', options);
+    const coreIds = new Set(generateQuestions('simple').map(q => q.id));
+    const coreFirst = items => [...items.filter(q => coreIds.has(q.id)), ...items.filter(q => !coreIds.has(q.id))];
+    const selectedIds = new Set();
+
+    for (const funcName of Object.keys(FUNCTIONS)) {
+        const pool = detailed.filter(q => q.type === funcName);
+        const count = Math.max(1, Math.min(pool.length, Math.round(itemsPerFunction) || 1));
+        const reversePool = pool.filter(q => q.reverse);
+        const reverseCount = count < 2 || reversePool.length === 0
+            ? 0
+            : Math.max(1, Math.min(reversePool.length, Math.round(count * reversePool.length / pool.length)));
+
+        coreFirst(reversePool).slice(0, reverseCount).forEach(q => selectedIds.add(q.id));
+        coreFirst(pool.filter(q => !q.reverse)).slice(0, count - reverseCount).forEach(q => selectedIds.add(q.id));
+    }
+
+    return detailed
+        .filter(q => selectedIds.has(q.id))
+        .map(q => ({ ...q, legacyId: null }));
+}
+
+// 質問セットごとの回答尺度（core.js の LIKERT_SCALES のキー、質問バンクの modes で定義）
+// クイック版・カスタム長さは詳細版から抜き出すため、詳細版の尺度を使う
+// 研究目的で別の段階数で実施する場合は test.html?scale=likert7 のように上書きする
+export const QUESTION_SET_SCALES = {
+    ...Object.fromEntries(Object.entries(questionBank.modes).map(([mode, settings]) => [mode, settings.scale])),
+    quick: questionBank.modes.detailed?.scale,
+    custom: questionBank.modes.detailed?.scale
+};
+
+/**
+ * 強制選択項目の生成（Likert の質問セットに混ぜて出題する）
+ * - type は null (1問で2機能を動かすため)。採点は core.js の calculateItemScores を参照
+ * - statements[0] が選択肢 A、statements[1] が選択肢 B
+ * - scale は core.js の FORCED_CHOICE_SCALES のキー (strength: true なら強さ付きの4段階)
+ * @param {Object} [options] - { locale }
+ * @returns {Array} 質問配列
+ */
+export function generateForcedChoiceQuestions(options = {}) {
+    const locale = options.locale || questionBank.defaultLocale;
+    const localizeText = text => text[locale] ?? text[questionBank.defaultLocale];
+    return questionBank.forcedChoiceItems.map(item => {
+        const statements = item.statements.map(statement => ({
+            type: statement.function,
+            text: localizeText(statement.text)
+        }));
+        return {
+            id: item.id,
+            format: 'forcedChoice',
+            type: null,
+            reverse: false,
+            scale: item.strength ? 'choice4' : 'choice2',
+            statements,
+            text: statements.map(statement => statement.text).join(' / '),
+            legacyId: null
+        };
+    });
+}
+
+/**
+ * 場面想定項目の生成（Likert の質問セットに混ぜて出題する）
+ * - type は null (選択肢ごとに動かす機能が異なるため)。採点は core.js の calculateItemScores を参照
+ * - 回答値は選んだ選択肢の番号（1から、質問バンクの並び順）
+ * @param {Object} [options] - { locale }
+ * @returns {Array} 質問配列
+ */
+export function generateScenarioQuestions(options = {}) {
+    const locale = options.locale || questionBank.defaultLocale;
+    const localizeText = text => text[locale] ?? text[questionBank.defaultLocale];
+    return questionBank.scenarioItems.map(item => ({
+        id: item.id,
+        format: 'scenario',
+        type: null,
+        reverse: false,
+        text: localizeText(item.text),
+        options: item.options.map(option => ({
+            text: localizeText(option.text),
+            weights: { ...option.weights }
+        })),
+        legacyId: null
+    }));
 }
 
 // 詳細版取得用関数
-export function getDetailedQuestions() {
-    return generateQuestions('detailed');
+export function getDetailedQuestions(options = {}) {
+    return generateQuestions('detailed', options);
 }
 
-// 現在のモードに応じた質問取得
-export function getQuestionsByMode(mode = currentMode) {
-    return generateQuestions(mode);
+/**
+ * 出題モードに応じた質問取得
+ * @param {string} [mode] - 'quick' | 'simple' | 'detailed' | 'custom'（省略時は setMode で設定したモード）
+ * @param {Object} [options] - { itemsPerFunction（custom のみ）, locale, forcedChoice, scenarios }
+ *   forcedChoice: true なら強制選択項目を末尾に加える（出題順は呼び出し側で並べ替える）
+ *   scenarios: true なら場面想定項目を末尾に加える
+ * @returns {Array} 質問配列
+ */
+export function getQuestionsByMode(mode = currentMode, options = {}) {
+    const likertQuestions = mode === 'quick'
+        ? selectBalancedQuestions(QUICK_ITEMS_PER_FUNCTION, options)
+        : mode === 'custom'
+            ? selectBalancedQuestions(options.itemsPerFunction, options)
+            : generateQuestions(mode, options);
+    return [
+        ...likertQuestions,
+        ...(options.forcedChoice ? generateForcedChoiceQuestions(options) : []),
+        ...(options.scenarios ? generateScenarioQuestions(options) : [])
+    ];
 }
 
 // デフォルトエクスポート
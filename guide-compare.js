@@ -0,0 +1,139 @@
+// guide-compare.js: 2つの認知機能の比較（両方のガイドの comparisons を対応づけ、食い違いを示す） - compare.html で使用
+
+import { localize } from './i18n.js';
+
+// ============================================
+// 比較の種類
+// ============================================
+
+// comparisons のうち、他の1機能との比較（stackDynamics は除く）
+export const COMPARISON_KINDS = ['polarOpposite', 'complementaryAxis', 'sameAttitude'];
+
+// 両方の機能の値を持つ行の一覧と、行の見出しのキー
+const COMPARISON_ROWS = {
+    keyDifferences: 'aspect',
+    conflictScenarios: 'situation'
+};
+
+/**
+ * 比較ページの URL
+ * @param {string} a - 機能コード（左の列）
+ * @param {string} b - 機能コード（右の列）
+ * @returns {string}
+ */
+export function getCompareUrl(a, b) {
+    return `compare.html?a=${encodeURIComponent(a)}&b=${encodeURIComponent(b)}`;
+}
+
+/**
+ * ガイドの比較のうち、相手の機能についてのもの
+ * @param {Object|null} guide - ガイドの JSON
+ * @param {string} otherCode - 相手の機能コード
+ * @returns {Array} [{ kind, entry }]
+ */
+export function findComparisons(guide, otherCode) {
+    return COMPARISON_KINDS
+        .filter(kind => guide?.comparisons?.[kind]?.function === otherCode)
+        .map(kind => ({ kind, entry: guide.comparisons[kind] }));
+}
+
+// ============================================
+// 対応づけ
+// ============================================
+
+/**
+ * 2つのガイドの比較を対応づける
+ * 同じ種類どうし → 種類の異なるものどうし → 片方のガイドにしかないもの、の順に組にする
+ *
+ * @param {Object} a - { code, guide }（guide はガイドの JSON。ないときは null）
+ * @param {Object} b - { code, guide }
+ * @returns {Array} [{
+ *   sources: [{ code: 出典のガイドの機能コード, kind, entry }]（1〜2件。a のガイドが先）,
+ *   rows: { keyDifferences: [...], conflictScenarios: [...] }（mergeComparisonRows 参照）,
+ *   asymmetries: [{ type: 'oneSided'|'kindMismatch'|'rowOnlyIn'|'valueDiffers'|'listItemOnlyIn', ... }]
+ * }]
+ */
+export function pairComparisons(a, b) {
+    const fromA = findComparisons(a.guide, b.code).map(item => ({ code: a.code, ...item }));
+    const fromB = findComparisons(b.guide, a.code).map(item => ({ code: b.code, ...item }));
+
+    const groups = [];
+    for (const item of [...fromA]) {
+        const match = fromB.find(other => other.kind === item.kind);
+        if (match) {
+            groups.push([item, match]);
+            fromA.splice(fromA.indexOf(item), 1);
+            fromB.splice(fromB.indexOf(match), 1);
+        }
+    }
+    while (fromA.length > 0 && fromB.length > 0) {
+        groups.push([fromA.shift(), fromB.shift()]);
+    }
+    [...fromA, ...fromB].forEach(item => groups.push([item]));
+
+    return groups.map(sources => {
+        const rows = Object.fromEntries(Object.entries(COMPARISON_ROWS)
+            .map(([list, labelKey]) => [list, mergeComparisonRows(sources, list, labelKey)]));
+        const asymmetries = [];
+        if (sources.length === 1) {
+            const [source] = sources;
+            asymmetries.push({ type: 'oneSided', source: source.code, other: source.code === a.code ? b.code : a.code });
+        } else if (sources[0].kind !== sources[1].kind) {
+            asymmetries.push({ type: 'kindMismatch', kinds: Object.fromEntries(sources.map(source => [source.code, source.kind])) });
+        }
+        // 行の過不足は、両方のガイドがその一覧を持つときだけ比べる（種類が異なると一覧も異なる）
+        for (const [list, merged] of Object.entries(rows)) {
+            if (sources.filter(source => Array.isArray(source.entry[list])).length === 2) {
+                merged
+                    .filter(row => row.sources.length === 1)
+                    .forEach(row => asymmetries.push({ type: 'rowOnlyIn', list, label: row.label, source: row.sources[0] }));
+            }
+            // 両方にある行で、同じ機能の記述が異なるもの
+            merged.forEach(row => {
+                row.differs = row.sources.length === 2
+                    ? [a.code, b.code].filter(code => String(localize(row.values[row.sources[0]][code], 'ja') ?? '')
+                        !== String(localize(row.values[row.sources[1]][code], 'ja') ?? ''))
+                    : [];
+                row.differs.forEach(code => asymmetries.push({ type: 'valueDiffers', list, label: row.label, function: code }));
+            });
+        }
+        // 使う場面（whenToUse<機能コード>）の項目の過不足も、両方のガイドがその一覧を持つときだけ比べる
+        for (const code of [a.code, b.code]) {
+            const list = `whenToUse${code}`;
+            if (sources.filter(source => Array.isArray(source.entry[list])).length < 2) continue;
+            const keys = sources.map(source => source.entry[list].map(item => String(localize(item, 'ja') ?? '').trim()));
+            sources.forEach((source, index) => source.entry[list]
+                .filter((item, itemIndex) => !keys[1 - index].includes(keys[index][itemIndex]))
+                .forEach(item => asymmetries.push({ type: 'listItemOnlyIn', list, function: code, item, source: source.code })));
+        }
+        return { sources, rows, asymmetries };
+    });
+}
+
+/**
+ * 両方のガイドの行（keyDifferences の観点、conflictScenarios の場面）を見出しで対応づける
+ * 見出しは日本語の文言の一致で対応づける
+ *
+ * @param {Array} sources - pairComparisons の sources
+ * @param {string} list - 'keyDifferences' | 'conflictScenarios'
+ * @param {string} labelKey - 行の見出しのキー
+ * @returns {Array} [{ label, sources: [出典の機能コード], values: { [出典]: 行 } }]（pairComparisons が differs: 記述の異なる機能コード を加える）
+ */
+export function mergeComparisonRows(sources, list, labelKey) {
+    const rows = [];
+    for (const source of sources) {
+        const items = source.entry[list];
+        if (!Array.isArray(items)) continue;
+        for (const item of items) {
+            const key = String(localize(item[labelKey], 'ja') ?? '').trim();
+            let row = rows.find(existing => existing.key === key);
+            if (!row) {
+                row = { key, label: item[labelKey], sources: [], values: {} };
+                rows.push(row);
+            }
+            if (!row.sources.includes(source.code)) row.sources.push(source.code);
+            row.values[source.code] = item;
+        }
+    }
+    return rows.map(({ key, ...row }) => row);
+}
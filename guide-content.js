@@ -0,0 +1,374 @@
+// guide-content.js: 認知機能ガイド (data/<code>.json) のページの URL と構文・構成の検査 - ガイドページと validate-guides.js で共用
+
+// ============================================
+// ガイドページ
+// ============================================
+
+/**
+ * 機能ガイドのページの URL (function.html が data/<code>.json を描画する)
+ *
+ * @param {string} code - 機能コード (例: 'Fi')
+ * @returns {string} 例: "function.html?code=Fi"
+ */
+export function getGuideUrl(code) {
+    return `function.html?code=${encodeURIComponent(code)}`;
+}
+
+// ============================================
+// ガイドの構成（期待する節とフィールドの型）
+// ============================================
+
+// 型の指定:
+// - 'string': 文字列
+// - 'text':   文字列、または言語コード → 文字列 ({ ja, en })
+// - 'list':   配列、または言語コード → 配列
+// - 'array' / 'object': 中身を問わない配列 / オブジェクト
+// - { ... }:  入れ子のオブジェクト (列挙したフィールドが必須)
+// - arrayOf({ ... }): 要素がすべて指定の構成を持つ配列
+const arrayOf = items => ({ arrayOf: items });
+
+const TRAINING_LEVEL = {
+    level: 'text',
+    goal: 'text',
+    duration: 'text',
+    exercises: arrayOf({ name: 'text', description: 'text', frequency: 'text' })
+};
+
+const SEO_ENTRY = { title: 'string', description: 'string', keywords: 'list' };
+
+/**
+ * ガイドの JSON が持つべき節 (ne.json の構成。ガイドページの描画順)
+ * 列挙していないフィールド (locales など) は任意
+ */
+export const GUIDE_SECTIONS = {
+    code: 'string',
+    name: 'string',
+    nameEn: 'string',
+    tagline: 'text',
+    tags: 'list',
+    overview: { oneLiner: 'text', short: 'text', long: 'object' },
+    cognitiveScience: {
+        neuralBasis: 'text',
+        relatedProcesses: 'array',
+        limitations: { scientificCaveats: 'text', howToCompensate: 'object' }
+    },
+    comparisons: {
+        polarOpposite: { function: 'string', title: 'text', keyDifferences: arrayOf({ aspect: 'text' }) },
+        complementaryAxis: { function: 'string', title: 'text', conflictScenarios: arrayOf({ situation: 'text' }) },
+        sameAttitude: { function: 'string', title: 'text', difference: 'text' },
+        stackDynamics: { asDominant: 'object', asAuxiliary: 'object', asTertiary: 'object', asInferior: 'object' }
+    },
+    userGuidance: 'object',
+    characteristics: arrayOf({ title: 'text', description: 'text' }),
+    strengths: 'list',
+    weaknesses: 'list',
+    realLifeExamples: 'object',
+    developmentalStages: 'object',
+    practicalApplications: { career: 'object', problemSolving: 'object', communication: 'object', relationships: 'object' },
+    culturalContext: 'object',
+    trainingProgram: { beginner: TRAINING_LEVEL, intermediate: TRAINING_LEVEL, advanced: TRAINING_LEVEL },
+    history: 'object',
+    misconceptions: arrayOf({ myth: 'text', truth: 'text' }),
+    famousPeople: arrayOf({ name: 'text' }),
+    relatedConcepts: 'array',
+    shareableContent: { ogImage: 'object' },
+    accessibility: 'object',
+    seo: { ja: SEO_ENTRY, en: SEO_ENTRY }
+};
+
+// ============================================
+// 構文エラーの位置の特定
+// ============================================
+
+/**
+ * 文字位置 → 行・列 (1 始まり) と、その行の内容
+ */
+function describePosition(text, position) {
+    const before = text.slice(0, position);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const lineEnd = text.indexOf('\n', position);
+    return {
+        position,
+        line: before.split('\n').length,
+        column: position - lineStart + 1,
+        lineText: text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd).replace(/\r$/, '')
+    };
+}
+
+/**
+ * JSON の最初の構文エラーを探す
+ *
+ * @param {string} text - JSON の文字列
+ * @returns {Object|null} エラーがなければ null
+ *   { reason, position, line, column, lineText, found?, expected?, openBrackets? }
+ *   reason:
+ *   - controlCharacter:   文字列の中に改行などの制御文字がある (閉じる " の書き忘れが多い)
+ *   - badEscape:          \ の後が JSON で使えない文字 (found)
+ *   - unterminatedString: 文字列が閉じないままファイルが終わる (位置は文字列の先頭)
+ *   - unexpectedEnd:      { や [ が閉じないままファイルが終わる (openBrackets 個)
+ *   - trailingComma:      } や ] の直前のカンマ
+ *   - unexpectedToken:    その位置に置けない文字 (found、expected)
+ *
+ * JSON.parse のエラーメッセージは実行環境ごとに形式が異なり、位置を含まないこともあるため、
+ * 検査用に自前で走査して、どの環境でも同じ行・列と理由を返す。
+ */
+export function locateJsonError(text) {
+    let i = 0;
+    const openBrackets = [];
+    const fail = (reason, details = {}, position = i) => {
+        throw Object.assign(new SyntaxError(reason), { details: { reason, ...describePosition(text, position), ...details } });
+    };
+    const skipWhitespace = () => {
+        while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+    };
+    const expect = (char, expected) => {
+        skipWhitespace();
+        if (i >= text.length) fail('unexpectedEnd', { openBrackets: openBrackets.length });
+        if (text[i] !== char) fail('unexpectedToken', { found: text[i], expected });
+        i++;
+    };
+
+    const parseString = () => {
+        const start = i++;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '"') {
+                i++;
+                return;
+            }
+            if (char === '\\') {
+                const next = text[i + 1];
+                if (next !== undefined && '"\\/bfnrt'.includes(next)) {
+                    i += 2;
+                } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+                    i += 6;
+                } else {
+                    fail('badEscape', { found: next === undefined ? '' : `\\${next}` });
+                }
+                continue;
+            }
+            if (char.charCodeAt(0) < 0x20) fail('controlCharacter');
+            i++;
+        }
+        fail('unterminatedString', {}, start);
+    };
+
+    const parseContainer = (close, parseEntry) => {
+        openBrackets.push(text[i]);
+        i++;
+        skipWhitespace();
+        if (text[i] === close) {
+            i++;
+            openBrackets.pop();
+            return;
+        }
+        for (;;) {
+            parseEntry();
+            skipWhitespace();
+            if (i >= text.length) fail('unexpectedEnd', { openBrackets: openBrackets.length });
+            if (text[i] === close) {
+                i++;
+                openBrackets.pop();
+                return;
+            }
+            if (text[i] !== ',') fail('unexpectedToken', { found: text[i], expected: `, ${close}` });
+            const comma = i++;
+            skipWhitespace();
+            if (text[i] === close) fail('trailingComma', {}, comma);
+        }
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        if (i >= text.length) fail('unexpectedEnd', { openBrackets: openBrackets.length });
+        const char = text[i];
+        if (char === '{') {
+            parseContainer('}', () => {
+                skipWhitespace();
+                if (text[i] !== '"') {
+                    if (i >= text.length) fail('unexpectedEnd', { openBrackets: openBrackets.length });
+                    fail('unexpectedToken', { found: text[i], expected: '"' });
+                }
+                parseString();
+                expect(':', ':');
+                parseValue();
+            });
+        } else if (char === '[') {
+            parseContainer(']', parseValue);
+        } else if (char === '"') {
+            parseString();
+        } else {
+            const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+            literal.lastIndex = i;
+            if (!literal.test(text)) fail('unexpectedToken', { found: char, expected: 'value' });
+            i = literal.lastIndex;
+        }
+    };
+
+    try {
+        parseValue();
+        skipWhitespace();
+        if (i < text.length) fail('unexpectedToken', { found: text[i], expected: 'EOF' });
+        return null;
+    } catch (error) {
+        if (error.details) return error.details;
+        throw error;
+    }
+}
+
+// ============================================
+// 構成の検査
+// ============================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 言語コード → 値 の形 ({ ja: ..., en: ... }) で、すべての値が check を満たすか
+function isLocalized(value, check) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.values(value).every(check);
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'text': return typeof value === 'string' || isLocalized(value, v => typeof v === 'string');
+        case 'list': return Array.isArray(value) || isLocalized(value, Array.isArray);
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        default: return false;
+    }
+}
+
+function describeType(type) {
+    if (typeof type === 'string') return type;
+    return type.arrayOf ? 'array' : 'object';
+}
+
+function checkFields(value, schema, path, problems) {
+    for (const [key, type] of Object.entries(schema)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        if (!(key in value)) {
+            problems.push({ path: fieldPath, problem: 'missing', expected: describeType(type) });
+        } else {
+            checkValue(value[key], type, fieldPath, problems);
+        }
+    }
+}
+
+function checkValue(value, type, path, problems) {
+    if (typeof type === 'string') {
+        if (!matchesType(value, type)) {
+            problems.push({ path, problem: 'type', expected: type, actual: Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value });
+        }
+        return;
+    }
+    if (type.arrayOf) {
+        if (!Array.isArray(value)) {
+            problems.push({ path, problem: 'type', expected: 'array', actual: value === null ? 'null' : typeof value });
+            return;
+        }
+        value.forEach((item, index) => checkValue(item, type.arrayOf, `${path}[${index}]`, problems));
+        return;
+    }
+    if (!isPlainObject(value)) {
+        problems.push({ path, problem: 'type', expected: 'object', actual: Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value });
+        return;
+    }
+    checkFields(value, type, path, problems);
+}
+
+/**
+ * ガイドの内容が GUIDE_SECTIONS の構成を満たすかの検査
+ *
+ * @param {Object} data - パース済みのガイド
+ * @param {string} [code] - 期待する機能コード (例: 'Ne'。指定すると data.code と照合する)
+ * @returns {Array} [{ path, problem: 'missing' | 'type' | 'code', expected, actual? }]
+ *   path は 'trainingProgram.beginner.exercises[0].frequency' の形
+ */
+export function validateGuideContent(data, code) {
+    const problems = [];
+    if (!isPlainObject(data)) {
+        return [{ path: '', problem: 'type', expected: 'object', actual: Array.isArray(data) ? 'array' : typeof data }];
+    }
+    checkFields(data, GUIDE_SECTIONS, '', problems);
+    if (code && typeof data.code === 'string' && data.code.toLowerCase() !== code.toLowerCase()) {
+        problems.push({ path: 'code', problem: 'code', expected: code, actual: data.code });
+    }
+    return problems;
+}
+
+/**
+ * ガイドの JSON 文字列の検査 (構文 → 構成の順)
+ *
+ * @param {string} text - ファイルの内容
+ * @param {string} [code] - 期待する機能コード
+ * @returns {Object} { data, syntaxError, problems }
+ *   構文エラーがあれば data は null、problems は空 (構成は検査できない)
+ */
+export function checkGuideText(text, code) {
+    try {
+        const data = JSON.parse(text);
+        return { data, syntaxError: null, problems: validateGuideContent(data, code) };
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        const located = locateJsonError(text);
+        return {
+            data: null,
+            // 自前の走査で見つからない場合 (通常は起こらない) は JSON.parse のメッセージのみ
+            syntaxError: located ?? { reason: 'unknown', message: error.message },
+            problems: []
+        };
+    }
+}
+
+/**
+ * 不足・型違いのフィールドを節 (トップレベルのキー) ごとにまとめる
+ *
+ * @param {Array} problems - validateGuideContent の返り値
+ * @returns {Array} [{ section, problems }] (GUIDE_SECTIONS の順)
+ */
+export function groupGuideProblems(problems) {
+    const sections = Object.keys(GUIDE_SECTIONS);
+    const sectionOf = path => path.split(/[.[]/)[0];
+    return [...new Set(problems.map(p => sectionOf(p.path)))]
+        .sort((a, b) => sections.indexOf(a) - sections.indexOf(b))
+        .map(section => ({ section, problems: problems.filter(p => sectionOf(p.path) === section) }));
+}
+
+// ============================================
+// 検査結果の文言 (文言は i18n.js の guideCheck.*)
+// ============================================
+
+/**
+ * 構文エラーの説明 (位置 + 理由)
+ *
+ * @param {Object} syntaxError - checkGuideText の syntaxError
+ * @param {Function} t - createTranslator の返り値
+ * @returns {string} 例: "892 行 27 列: 文字列の中に改行などの制御文字があります（…）"
+ */
+export function describeGuideSyntaxError(syntaxError, t) {
+    if (syntaxError.reason === 'unknown') return t('guideCheck.unknown', { message: syntaxError.message });
+    const reason = t(`guideCheck.${syntaxError.reason}`, {
+        // 制御文字を含むこともあるため、JSON の文字列表記で見せる
+        found: JSON.stringify(syntaxError.found ?? ''),
+        expected: syntaxError.expected ?? '',
+        count: syntaxError.openBrackets ?? 0
+    });
+    return `${t('guideCheck.location', { line: syntaxError.line, column: syntaxError.column })}: ${reason}`;
+}
+
+/**
+ * 構成の問題の説明
+ *
+ * @param {Object} problem - validateGuideContent の要素
+ * @param {Function} t - createTranslator の返り値
+ * @returns {string} 例: "trainingProgram がありません（object）"
+ */
+export function describeGuideProblem(problem, t) {
+    return t(`guideCheck.${problem.problem}`, {
+        path: problem.path || '(root)',
+        expected: problem.expected,
+        actual: problem.actual ?? ''
+    });
+}
@@ -0,0 +1,603 @@
+// guide-render.js: 認知機能ガイド (data/<code>.json) の本文の HTML - function.html（ブラウザでの描画）と build-guides.js（静的ページの事前生成）で共用
+
+import { FUNCTIONS } from './core.js';
+import { localize, localizeField } from './i18n.js';
+import { describeGuideProblem, getGuideUrl } from './guide-content.js';
+import { COMPARISON_KINDS } from './guide-compare.js';
+
+// ============================================
+// 見出し・ナビゲーション
+// ============================================
+
+/**
+ * ガイドのヒーロー部分の値（機能名は表示言語のもの。英語は nameEn を優先）
+ * @param {Object} data - ガイドの JSON
+ * @param {string} locale - 表示言語
+ * @returns {{ code: string, name: string, tagline: string, tags: string[] }}
+ */
+export function getGuideHero(data, locale) {
+    const L = value => localize(value, locale);
+    const tags = Array.isArray(L(data.tags)) ? L(data.tags) : [];
+    return {
+        code: data.code || '',
+        name: (locale === 'ja' ? L(data.name) : (data.nameEn || L(data.name))) || '',
+        tagline: L(data.tagline) || '',
+        tags: tags.map(tag => L(tag))
+    };
+}
+
+/**
+ * ヒーローのタグの HTML
+ * @param {string[]} tags
+ * @returns {string}
+ */
+export function renderGuideTags(tags) {
+    return tags.map(tag => `<span class="tag">${e(tag)}</span>`).join('');
+}
+
+/**
+ * 8機能のナビゲーション項目（表示中の機能に aria-current）
+ * @param {string|null} current - 表示中の機能コード
+ * @param {Object} options
+ * @param {string} options.locale - 表示言語（リンクの title の機能名）
+ * @param {Function} [options.href] - 機能コードからリンク先を返す関数（省略時は getGuideUrl）
+ * @returns {string} <li> を並べた HTML
+ */
+export function renderGuideNav(current, { locale, href = getGuideUrl }) {
+    return Object.entries(FUNCTIONS)
+        .map(([key, func]) => `<li>
+            <a class="function-nav-link" href="${e(href(key))}" title="${e(localizeField(func, 'fullName', locale))}"
+                ${key === current ? 'aria-current="page"' : ''}>${key}</a>
+        </li>`)
+        .join('');
+}
+
+// ============================================
+// 本文
+// ============================================
+
+/**
+ * ガイドの本文（各節）の HTML
+ * 見出しは i18n.js の guide.*、本文は JSON の { ja, en } 形式の値から表示言語のものを選ぶ
+ * @param {Object} data - ガイドの JSON（checkGuideText で読めたもの）
+ * @param {Object} options
+ * @param {string} options.locale - 表示言語
+ * @param {Function} options.t - createTranslator(locale) の翻訳関数
+ * @param {Object[]} [options.problems] - checkGuideText の problems（未作成・不完全な節の一覧を先頭に示す）
+ * @param {Function} [options.trainingHref] - 機能コードからトレーニングの記録ページの URL を返す関数（省略時はリンクなし）
+ * @param {Function} [options.compareHref] - 2つの機能コードから比較ページの URL を返す関数（省略時はリンクなし）
+ * @returns {string}
+ */
+export function renderGuideSections(data, { locale, t, problems = [], trainingHref, compareHref }) {
+    const L = value => localize(value, locale);
+    const list = value => (Array.isArray(L(value)) ? L(value) : []);
+    let html = '';
+
+    // 翻訳が一部のみのガイド（locales に表示言語がない）は、原文で表示する旨を示す
+    if (locale !== 'ja' && !(data.locales || ['ja']).includes(locale)) {
+        html += `<div class="info-box" lang="${locale}">
+            <div class="info-content">${e(t('guide.untranslated'))}</div>
+        </div>`;
+    }
+
+    // 未作成・不完全な節があれば一覧を示す（描画できる節はそのまま表示する）
+    if (problems.length > 0) {
+        html += renderProblems(problems, t);
+    }
+
+    // 概要
+    if (data.overview) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.overview')}</h2>
+            <div class="lead">${e(L(data.overview.short) || L(data.overview.oneLiner) || '')}</div>`;
+        
+        if (data.overview.long) {
+            html += '<div class="prose">';
+            for (const [key, value] of Object.entries(L(data.overview.long))) {
+                const title = ['essence', 'mechanism', 'comparison', 'jungView'].includes(key)
+                    ? t(`guide.overview.${key}`)
+                    : key;
+                html += `<h3>${title}</h3><p>${nl2br(e(L(value)))}</p>`;
+            }
+            html += '</div>';
+        }
+        html += '</section>';
+    }
+
+    // 神経科学的基盤
+    if (data.cognitiveScience) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.cognitiveScience')}</h2>`;
+        
+        if (data.cognitiveScience.neuralBasis) {
+            html += `<div class="prose">${nl2br(e(L(data.cognitiveScience.neuralBasis)))}</div>`;
+        }
+        
+        if (data.cognitiveScience.relatedProcesses && Array.isArray(data.cognitiveScience.relatedProcesses)) {
+            html += `<div class="prose"><h3>${t('guide.relatedProcesses')}</h3></div>`;
+            data.cognitiveScience.relatedProcesses.forEach(proc => {
+                html += `<div class="info-box">
+                    <div class="info-title">${e(L(proc.process))}</div>
+                    <div class="info-content">
+                        <p>${e(L(proc.relation))}</p>
+                        ${proc.research ? `<p><em>${e(t('guide.reference', { source: L(proc.research) }))}</em></p>` : ''}
+                    </div>
+                </div>`;
+            });
+        }
+        html += '</section>';
+    }
+
+    // 特性
+    if (data.characteristics && Array.isArray(data.characteristics)) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.characteristics')}</h2>
+            <div class="characteristics">`;
+        
+        data.characteristics.forEach((char, i) => {
+            html += `<div class="characteristic-card">
+                <div class="characteristic-title">
+                    <span class="characteristic-icon">${i + 1}</span>
+                    <span>${e(L(char.title) || '')}</span>
+                </div>
+                <p class="characteristic-desc">${e(L(char.description) || '')}</p>
+                ${char.example ? `<div class="characteristic-example">${e(t('guide.example', { text: L(char.example) }))}</div>` : ''}
+            </div>`;
+        });
+        
+        html += '</div></section>';
+    }
+
+    // 強み・弱み
+    html += `<section class="section">
+        <h2 class="section-title">${t('guide.strengthsWeaknesses')}</h2>
+        <div class="strengths-weaknesses">
+            <div class="sw-card">
+                <div class="sw-title"><span>✓</span><span>${t('guide.strengths')}</span></div>
+                <ul class="sw-list strengths">`;
+    
+    list(data.strengths).forEach(s => {
+        html += `<li>${e(L(s))}</li>`;
+    });
+    
+    html += `</ul></div><div class="sw-card">
+        <div class="sw-title"><span>⚠</span><span>${t('guide.weaknesses')}</span></div>
+                <ul class="sw-list weaknesses">`;
+    
+    list(data.weaknesses).forEach(w => {
+        html += `<li>${e(L(w))}</li>`;
+    });
+    
+    html += `</ul></div></div></section>`;
+
+    // 実生活での例
+    if (data.realLifeExamples) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.realLife')}</h2>
+            <div class="examples-grid">`;
+        
+        for (const [category, examples] of Object.entries(L(data.realLifeExamples))) {
+            if (list(examples).length > 0) {
+                const categoryName = ['work', 'relationships', 'learning', 'hobbies'].includes(category)
+                    ? t(`guide.realLife.${category}`)
+                    : category;
+                
+                html += `<div class="example-card">
+                    <div class="example-category">${categoryName}</div>
+                    <ul class="example-list">`;
+                
+                list(examples).forEach(ex => {
+                    html += `<li>${e(L(ex))}</li>`;
+                });
+                
+                html += `</ul></div>`;
+            }
+        }
+        
+        html += `</div></section>`;
+    }
+
+    // 比較
+    if (data.comparisons && data.comparisons.polarOpposite) {
+        const comp = data.comparisons.polarOpposite;
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.comparisons')}</h2>
+            <div class="comparison-card">
+                <div class="comparison-header">${e(L(comp.title) || '')}</div>
+                <div class="comparison-vs">
+                    <span class="comparison-function">${data.code}</span>
+                    <span class="comparison-divider">vs</span>
+                    <span class="comparison-function">${comp.function}</span>
+                </div>`;
+        
+        if (comp.keyDifferences && Array.isArray(comp.keyDifferences)) {
+            html += `<table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>${t('guide.aspect')}</th>
+                        <th>${data.code}</th>
+                        <th>${comp.function}</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+            
+            comp.keyDifferences.forEach(diff => {
+                html += `<tr>
+                    <td><strong>${e(L(diff.aspect))}</strong></td>
+                    <td>${e(L(diff[data.code]) || '')}</td>
+                    <td>${e(L(diff[comp.function]) || '')}</td>
+                </tr>`;
+            });
+            
+            html += `</tbody></table>`;
+        }
+
+        if (comp.integration) {
+            html += `<div class="info-box">
+                <div class="info-title">${t('guide.integration')}</div>
+                <div class="info-content">${e(L(comp.integration))}</div>
+            </div>`;
+        }
+
+        // 比較ページへ（このガイドが比較しているすべての機能）
+        if (compareHref) {
+            const others = COMPARISON_KINDS
+                .map(kind => data.comparisons[kind]?.function)
+                .filter(Boolean);
+            html += `<ul class="comparison-links">
+                ${others.map(other => `<li><a class="compare-link" href="${e(compareHref(data.code, other))}">${e(t('compare.link', { a: data.code, b: other }))}</a></li>`).join('')}
+            </ul>`;
+        }
+        
+        html += `</div></section>`;
+    }
+
+    // スタック別ダイナミクス
+    if (data.comparisons && data.comparisons.stackDynamics) {
+        const stack = data.comparisons.stackDynamics;
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.stackDynamics')}</h2>`;
+        
+        ['asDominant', 'asAuxiliary', 'asTertiary', 'asInferior'].forEach(position => {
+            if (stack[position]) {
+                const pos = stack[position];
+                
+                html += `<div class="info-box">
+                    <div class="info-title">${t(`guide.${position}`)}</div>
+                    <div class="info-content">`;
+                
+                if (pos.types && Array.isArray(pos.types)) {
+                    html += `<p><strong>${t('guide.types')}</strong>${pos.types.join(', ')}</p>`;
+                }
+                if (pos.percentage) {
+                    html += `<p><strong>${t('guide.percentage')}</strong>${e(L(pos.percentage))}</p>`;
+                }
+                if (pos.role) {
+                    html += `<p>${e(L(pos.role))}</p>`;
+                }
+                if (list(pos.strengths).length > 0) {
+                    html += `<p><strong>${t('guide.stackStrengths')}</strong></p><ul>`;
+                    list(pos.strengths).forEach(s => html += `<li>${e(L(s))}</li>`);
+                    html += `</ul>`;
+                }
+                if (list(pos.challenges).length > 0) {
+                    html += `<p><strong>${t('guide.challenges')}</strong></p><ul>`;
+                    list(pos.challenges).forEach(c => html += `<li>${e(L(c))}</li>`);
+                    html += `</ul>`;
+                }
+                
+                html += `</div></div>`;
+            }
+        });
+        
+        html += `</section>`;
+    }
+
+    // 発達段階
+    if (data.developmentalStages) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.development')}</h2>
+            <div class="stages-grid">`;
+        
+        for (const [stage, info] of Object.entries(data.developmentalStages)) {
+            const stageName = ['childhood', 'adolescence', 'adulthood', 'maturity'].includes(stage)
+                ? t(`guide.development.${stage}`)
+                : stage;
+            
+            html += `<div class="stage-card">
+                <div class="stage-header">
+                    <div class="stage-title">${stageName}</div>
+                    ${info.age ? `<div class="stage-age">${e(L(info.age))}</div>` : ''}
+                </div>`;
+            
+            if (list(info.characteristics).length > 0) {
+                html += `<div class="prose"><h4>${t('guide.stageCharacteristics')}</h4><ul>`;
+                list(info.characteristics).forEach(c => html += `<li>${e(L(c))}</li>`);
+                html += `</ul></div>`;
+            }
+            
+            if (list(info.challenges).length > 0) {
+                html += `<div class="prose"><h4>${t('guide.stageChallenges')}</h4><ul>`;
+                list(info.challenges).forEach(c => html += `<li>${e(L(c))}</li>`);
+                html += `</ul></div>`;
+            }
+            
+            if (info.support) {
+                html += `<div class="info-box">
+                    <div class="info-title">${t('guide.support')}</div>
+                    <div class="info-content">${nl2br(e(L(info.support)))}</div>
+                </div>`;
+            }
+            
+            if (info.wisdom) {
+                html += `<div class="quote-box">
+                    <p class="quote-text">${e(L(info.wisdom))}</p>
+                </div>`;
+            }
+            
+            html += `</div>`;
+        }
+        
+        html += `</div></section>`;
+    }
+
+    // 実用的応用
+    if (data.practicalApplications) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.practical')}</h2>`;
+        
+        if (data.practicalApplications.career) {
+            const career = data.practicalApplications.career;
+            html += `<div class="prose"><h3>${t('guide.career')}</h3>`;
+            
+            ['ideal', 'challenges', 'strategies'].forEach(field => {
+                if (list(career[field]).length > 0) {
+                    html += `<h4>${t(`guide.career.${field}`)}</h4><ul>`;
+                    list(career[field]).forEach(item => html += `<li>${e(L(item))}</li>`);
+                    html += `</ul>`;
+                }
+            });
+            
+            html += `</div>`;
+        }
+        
+        if (data.practicalApplications.problemSolving) {
+            const ps = data.practicalApplications.problemSolving;
+            html += `<div class="prose"><h3>${t('guide.problemSolving')}</h3>`;
+            
+            if (ps.approach) {
+                html += `<p>${e(L(ps.approach))}</p>`;
+            }
+            
+            if (list(ps.process).length > 0) {
+                html += `<h4>${t('guide.process')}</h4><ol>`;
+                list(ps.process).forEach(step => html += `<li>${e(L(step))}</li>`);
+                html += `</ol>`;
+            }
+            
+            html += `</div>`;
+        }
+        
+        html += `</section>`;
+    }
+
+    // トレーニングプログラム
+    if (data.trainingProgram) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.training')}</h2>
+            ${trainingHref ? `<p><a class="training-link" href="${e(trainingHref(data.code))}">${e(t('training.track'))}</a></p>` : ''}`;
+        
+        ['beginner', 'intermediate', 'advanced'].forEach(level => {
+            if (data.trainingProgram[level]) {
+                const prog = data.trainingProgram[level];
+                
+                html += `<div class="info-box">
+                    <div class="info-title">${e(t('guide.levelGoal', { level: t(`guide.training.${level}`), goal: L(prog.goal) || '' }))}</div>
+                    <div class="info-content">`;
+                
+                if (prog.duration) {
+                    html += `<p><strong>${t('guide.duration')}</strong>${e(L(prog.duration))}</p>`;
+                }
+                
+                if (prog.exercises && Array.isArray(prog.exercises)) {
+                    html += `<h4>${t('guide.exercises')}</h4>`;
+                    prog.exercises.forEach(ex => {
+                        html += `<div style="margin-bottom: 1rem;">
+                            <p><strong>${e(L(ex.name))}</strong></p>
+                            <p>${e(L(ex.description))}</p>
+                            ${ex.frequency ? `<p><em>${e(t('guide.frequency', { frequency: L(ex.frequency) }))}</em></p>` : ''}
+                        </div>`;
+                    });
+                }
+                
+                html += `</div></div>`;
+            }
+        });
+        
+        html += `</section>`;
+    }
+
+    // 有名人
+    if (data.famousPeople && Array.isArray(data.famousPeople)) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.famousPeople')}</h2>
+            <div class="famous-grid">`;
+        
+        data.famousPeople.forEach(person => {
+            html += `<div class="famous-card">
+                <div class="famous-header">
+                    <div class="famous-name">${e(L(person.name))}</div>
+                    ${person.type ? `<div class="famous-type">${e(person.type)}</div>` : ''}
+                </div>
+                ${person.reason ? `<p class="famous-reason">${e(L(person.reason))}</p>` : ''}
+                ${person.quote ? `<div class="famous-quote">"${e(L(person.quote))}"</div>` : ''}
+            </div>`;
+        });
+        
+        html += `</div></section>`;
+    }
+
+    // Jung の引用
+    if (data.history) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.history')}</h2>`;
+        
+        if (data.history.jungQuote) {
+            html += `<div class="quote-box">
+                <p class="quote-text">${e(L(data.history.jungQuote))}</p>
+                ${data.history.jungSource ? `<p class="quote-author">${e(L(data.history.jungSource))}</p>` : ''}
+            </div>`;
+        }
+        
+        if (data.history.context) {
+            html += `<div class="prose"><p>${nl2br(e(L(data.history.context)))}</p></div>`;
+        }
+        
+        if (data.history.warning) {
+            html += `<div class="warning-box">
+                <div class="warning-title">${t('guide.jungWarning')}</div>
+                <div class="warning-content">${nl2br(e(L(data.history.warning)))}</div>
+            </div>`;
+        }
+        
+        if (data.history.historicalFigures && Array.isArray(data.history.historicalFigures)) {
+            html += `<div class="prose"><h3>${t('guide.historicalFigures')}</h3></div>`;
+            data.history.historicalFigures.forEach(fig => {
+                html += `<div class="info-box">
+                    <div class="info-title">${e(L(fig.name))} ${fig.period ? e(t('guide.period', { period: L(fig.period) })) : ''}</div>
+                    <div class="info-content">
+                        ${fig.contribution ? `<p>${e(L(fig.contribution))}</p>` : ''}
+                        ${fig.quote ? `<p><em>"${e(L(fig.quote))}"</em></p>` : ''}
+                    </div>
+                </div>`;
+            });
+        }
+        
+        html += `</section>`;
+    }
+
+    // 文化的文脈
+    if (data.culturalContext) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.cultural')}</h2>
+            <div class="prose">`;
+        
+        ['western', 'japanese', 'balance'].forEach(field => {
+            if (data.culturalContext[field]) {
+                html += `<h3>${t(`guide.cultural.${field}`)}</h3><p>${nl2br(e(L(data.culturalContext[field])))}</p>`;
+            }
+        });
+        
+        html += `</div></section>`;
+    }
+
+    // よくある誤解
+    if (data.misconceptions && Array.isArray(data.misconceptions)) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.misconceptions')}</h2>`;
+        
+        data.misconceptions.forEach((misc, i) => {
+            html += `<div class="comparison-card">
+                <div class="comparison-header">${e(t('guide.myth', { number: i + 1, myth: L(misc.myth) }))}</div>
+                <div class="prose">
+                    <h4>${t('guide.truth')}</h4>
+                    <p>${nl2br(e(L(misc.truth)))}</p>
+                    ${misc.evidence ? `<p><em>${e(t('guide.evidence', { evidence: L(misc.evidence) }))}</em></p>` : ''}
+                    ${misc.clarification ? `<p>${e(L(misc.clarification))}</p>` : ''}
+                </div>
+            </div>`;
+        });
+        
+        html += `</section>`;
+    }
+
+    // 科学的限界
+    if (data.cognitiveScience && data.cognitiveScience.limitations) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.limitations')}</h2>
+            <div class="warning-box">
+                <div class="warning-title">${t('guide.disclosure')}</div>
+                <div class="warning-content">${nl2br(e(L(data.cognitiveScience.limitations.scientificCaveats) || ''))}</div>
+            </div>`;
+        
+        if (data.cognitiveScience.limitations.howToCompensate) {
+            const comp = data.cognitiveScience.limitations.howToCompensate;
+            html += `<div class="info-box">
+                <div class="info-title">💡 ${e(L(comp.title) || t('guide.compensate'))}</div>
+                <div class="info-content">`;
+            
+            if (comp.strategies && Array.isArray(comp.strategies)) {
+                comp.strategies.forEach(strat => {
+                    html += `<div style="margin-bottom: 1rem;">
+                        <p><strong>${e(L(strat.limitation))}</strong></p>
+                        <p>${t('guide.compensatingFunction')}<strong>${e(L(strat.compensatingFunction))}</strong></p>
+                        <p>${e(L(strat.integration))}</p>
+                    </div>`;
+                });
+            }
+            
+            if (comp.balancedApproach) {
+                html += `<p><strong>${t('guide.balancedApproach')}</strong>${e(L(comp.balancedApproach))}</p>`;
+            }
+            
+            html += `</div></div>`;
+        }
+        
+        html += `</section>`;
+    }
+
+    // 関連概念
+    if (data.relatedConcepts && Array.isArray(data.relatedConcepts)) {
+        html += `<section class="section">
+            <h2 class="section-title">${t('guide.relatedConcepts')}</h2>`;
+        
+        data.relatedConcepts.forEach(concept => {
+            html += `<div class="info-box">
+                <div class="info-title">${e(L(concept.term))}</div>
+                <div class="info-content">
+                    <p>${e(L(concept.relation))}</p>
+                    ${concept.reference ? `<p><em>${e(t('guide.reference', { source: L(concept.reference) }))}</em></p>` : ''}
+                </div>
+            </div>`;
+        });
+        
+        html += `</section>`;
+    }
+
+    return html;
+}
+
+// 未作成・不完全な節の一覧
+function renderProblems(problems, t) {
+    return `<details class="warning-box guide-problems">
+        <summary class="warning-title">${e(t('guideCheck.incompleteTitle', { count: problems.length }))}</summary>
+        <ul class="warning-content">
+            ${problems.map(problem => `<li>${e(describeGuideProblem(problem, t))}</li>`).join('')}
+        </ul>
+    </details>`;
+}
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/**
+ * HTML エスケープ（空値は空文字）
+ * @param {*} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+const e = escapeHtml;
+
+function nl2br(str) {
+    return str.replace(/\n\n/g, '</p><p>').replace(/\n/g, '<br>');
+}
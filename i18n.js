@@ -0,0 +1,804 @@
+// i18n.js: 表示言語（日本語 / 英語）の切り替えと UI 文言 - 診断ページ・機能ガイド・タイプ別ガイドで共通
+
+// ============================================
+// 表示言語
+// ============================================
+
+export const SUPPORTED_LOCALES = ['ja', 'en'];
+export const DEFAULT_LOCALE = 'ja';
+
+// 切り替えボタンに表示する言語名（各言語での自称）
+const LOCALE_NAMES = {
+    ja: '日本語',
+    en: 'English'
+};
+
+// 選んだ言語を保存する localStorage のキー
+const LOCALE_STORAGE_KEY = 'persona-checker:locale';
+
+/**
+ * 言語コードを対応言語に丸める（'en-US' → 'en'）
+ * @param {string} value - 言語コード
+ * @returns {string|null} 対応言語（対応していなければ null）
+ */
+export function resolveLocale(value) {
+    if (typeof value !== 'string') return null;
+    const language = value.toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+function readStoredLocale() {
+    try {
+        return resolveLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+    } catch {
+        return null; // プライベートモードなどで localStorage が使えない
+    }
+}
+
+/**
+ * 表示言語の決定
+ * 優先順: URL の ?lang= → 保存した選択 → ブラウザの言語 → 日本語
+ * @returns {string} 言語コード
+ */
+export function getLocale() {
+    return resolveLocale(new URLSearchParams(window.location.search).get('lang'))
+        || readStoredLocale()
+        || (window.navigator?.languages || [window.navigator?.language])
+            .map(resolveLocale)
+            .find(Boolean)
+        || DEFAULT_LOCALE;
+}
+
+/**
+ * 表示言語を保存（次回以降の訪問でも使う）
+ * @param {string} locale - 言語コード
+ * @returns {boolean} 保存できた場合 true
+ */
+export function setLocale(locale) {
+    const resolved = resolveLocale(locale);
+    if (!resolved) {
+        console.error(`[setLocale] 対応していない言語です: ${locale}`);
+        return false;
+    }
+    try {
+        window.localStorage.setItem(LOCALE_STORAGE_KEY, resolved);
+    } catch {
+        // 保存できなくても、このページでは切り替える
+    }
+    return true;
+}
+
+// ============================================
+// データの翻訳
+// ============================================
+
+/**
+ * 言語別の値から表示言語の値を取り出す（ガイド JSON の { ja, en } 形式）
+ * 言語コードをキーに持たない値（文字列・配列・通常のオブジェクト）は翻訳のない項目としてそのまま返す
+ * 表示言語の値がなければ日本語
+ * @param {*} value - 値、または言語コード → 値 のオブジェクト
+ * @param {string} locale - 言語コード
+ * @returns {*} 表示言語の値
+ */
+export function localize(value, locale) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object' || Array.isArray(value)) return value;
+    if (!Object.keys(value).some(key => SUPPORTED_LOCALES.includes(key))) return value;
+    return value[locale] ?? value[DEFAULT_LOCALE] ?? '';
+}
+
+/**
+ * 英語版を xxxEn フィールドに持つデータ（core.js の FUNCTIONS・mbtiDescriptions など）から
+ * 表示言語の値を取り出す
+ * @param {Object} source - データ
+ * @param {string} field - 日本語のフィールド名（'name' → 英語は 'nameEn'）
+ * @param {string} locale - 言語コード
+ * @returns {*} 表示言語の値（英語版がなければ日本語）
+ */
+export function localizeField(source, field, locale) {
+    if (!source) return '';
+    return (locale === 'en' ? source[`${field}En`] : undefined) ?? source[field];
+}
+
+// ============================================
+// UI 文言
+// ============================================
+
+// {name} の形の差し込み。ja が基準で、en にないキーは ja を使う
+const MESSAGES = {
+    ja: {
+        'locale.label': '表示言語',
+
+        'page.title': 'MBTI認知機能診断',
+        'page.loading': '読み込みが完了するとここに質問が表示されます。',
+        'side.label': '診断の進捗状況',
+        'side.progress': '進捗状況',
+        'side.privacy': 'データは端末に保存されません。\n結果は参考情報としてご利用ください。',
+
+        'start.title': 'テストの長さを選んでください',
+        'start.lead': '問題数が多いほど結果が安定します。回答中は前の質問に戻って修正できます。',
+        'start.quick.label': 'クイック',
+        'start.quick.description': '各機能{count}問。まず傾向をつかみたい方に',
+        'start.simple.label': '標準',
+        'start.simple.description': '各機能8問。はじめての方におすすめ',
+        'start.detailed.label': '詳細',
+        'start.detailed.description': '各機能12問。より安定した結果がほしい方に',
+        'start.adaptive.label': '適応型',
+        'start.adaptive.description': '回答に応じて判定に役立つ質問を選び、判定が安定したら終了',
+        'start.count': '{count}問',
+        'start.countMax': '最大{count}問',
+        'start.customLabel': 'カスタム: 各機能',
+        'start.customUnit': '問',
+        'start.customStart': '開始',
+        'start.customNote': 'カスタムでは詳細版から質問を選び、逆転項目（反対の内容を問う質問）の比率を詳細版と同じに保ちます',
+        'start.forcedChoice': '2つの文から選ぶ質問（{count}問）を加える',
+        'start.forcedChoiceNote': '「どれにも当てはまる」と答えやすい方でも、機能どうしの違いが結果に表れやすくなります（適応型には加わりません）',
+        'start.scenarios': '場面ごとに行動を選ぶ質問（{count}問）を加える',
+        'start.scenariosNote': '自己評価ではなく実際の行動を選ぶため、理想の自分に寄った回答になりにくくなります（適応型には加わりません）',
+
+        'adaptive.converged': '判定が安定したため終了しました',
+        'adaptive.maxItems': '最大出題数に達したため終了しました',
+        'adaptive.exhausted': '出題できる質問がなくなったため終了しました',
+        'adaptive.summary': '適応型テスト: {count}問で判定',
+
+        'provisional.label': '暫定診断',
+        'provisional.prompt': 'より正確な診断のため\n質問に回答してください',
+        'provisional.updating': '回答するたびに暫定診断が更新されます',
+        'character.label': 'キャラクター画像',
+        'character.note': '友達が描いてくれる予定',
+        'answered.count': '回答数: {count} / {total}',
+        'answered.upTo': '最大{count}',
+
+        'question.form': 'MBTI診断質問フォーム',
+        'question.reverse': '(逆転項目)',
+        'question.option': '{label} ({points}段階評価の{value})',
+        'question.progress': '診断の進捗状況',
+        'question.scores': '認知機能スコア',
+        'question.functionScore': '{function}機能: {value}ポイント',
+        'question.back': '前の質問に戻る',
+        'question.forcedChoice': 'A と B のどちらがより当てはまりますか？',
+        'question.statement': '{position}: {text}',
+        'question.scenario': 'あなたの行動に最も近いものを選んでください',
+        'question.scenarioOption': '{label} ({count}個中{value}番目の選択肢)',
+
+        'validity.caution': '⚠ 回答傾向に関する注意',
+        'validity.invalid': '⚠ このプロファイルは解釈できません',
+        'validity.note': '回答パターンから、質問内容に基づく回答ではない可能性が高いと判断しました。以下の結果は参考にせず、各質問を読んで再度回答してください。',
+
+        'result.probabilities': 'タイプ別の確率',
+        'result.typeProbability': '{type}の確率',
+        'result.interval': '95%信頼区間 (ブートストラップ)',
+        'result.otherTypes': 'その他 {count} タイプ合計: {percent}',
+        'result.tie': '複数のタイプの特性を持っています。僅差のタイプも参考にしてください',
+        'result.confident': '診断結果に高い信頼性があります',
+
+        'nearTie.winner': '判定タイプ',
+        'nearTie.gap': 'スコア差 {gap}（誤差の {z} 倍）',
+        'nearTie.more': 'ほか {count} タイプも誤差の範囲内です',
+        'nearTie.shared': '共通する機能: {functions}',
+        'nearTie.sharedSeparator': '・',
+        'nearTie.decidingTwo': '決め手: {position}が {functions} のどちらになるか',
+        'nearTie.decidingMany': '決め手: {position}が {functions} のいずれになるか',
+        'nearTie.decidingSeparator': ' と ',
+        'nearTie.functionScore': '{function}（{score}）',
+
+        'dichotomy.mismatch': '指標ごとの多数決では {letterType} ですが、機能スタック判定は {stackType} です。\n判定がどの軸で割れているかを示しています。文字単位の割合は他の診断と比較する際の目安としてご覧ください。',
+
+        'stack.shadowNote': '{model}（影の機能は負の重みで判定に使用）',
+
+        'attribution.summary': 'なぜこの結果？ — {type} と {runnerUp} を分けた回答',
+        'attribution.note': '各回答のスコア × ({type}での重み − {runnerUp}での重み) を影響度として表示しています。\n両タイプで同じ重みを持つ機能の質問は、判定の分かれ目には関与しません。',
+        'attribution.toward': '{type} に近づけた回答',
+        'attribution.answer': '回答: {label}',
+
+        'scores.card': '{name}: {value}ポイント',
+
+        'actions.restart': '診断を最初からやり直す',
+        'actions.export': '回答データをJSONファイルで保存',
+        'actions.exportLabel': '回答データを保存 (JSON)',
+        'actions.chooseLength': 'テストの長さを選び直す',
+        'actions.typeGuide': '{type} のタイプ別ガイドを読む →',
+        'actions.functionGuide': 'ガイド →',
+
+        'guide.back': '戻る',
+        'guide.pageTitle': '{name}（{code}）完全ガイド — Persona Checker',
+        'guide.loadingName': '読み込み中...',
+        'guide.loadingTagline': '認知機能の深層分析',
+        'guide.loadingTitle': '📖 読み込み中...',
+        'guide.loadingBody': 'データを読み込んでいます。少々お待ちください。',
+        'guide.notFound': '{file} が見つかりません',
+        'guide.error': '⚠ エラー',
+        'guide.untranslated': 'このガイドの一部はまだ翻訳されていません。翻訳のない部分は原文のまま表示しています。',
+        'guide.nav': '8つの認知機能',
+        'guide.notWrittenTitle': '📝 準備中',
+        'guide.notWrittenBody': '{name}（{code}）のガイドはまだ書かれていません。他の機能のガイドは上のリンクから読めます。',
+        'guide.unknownTitle': '⚠ 不明な機能',
+        'guide.unknownBody': '「{code}」という認知機能はありません。上の8つの機能から選んでください。',
+        'guide.footer': 'Persona Checker - 認知機能分析',
+        'guide.footerNote': 'このページは Carl Jung の認知機能理論を基にした分析です。\n科学的妥当性は限定的であり、自己理解の補助的フレームワークとしてご利用ください。',
+        'guide.overview': 'この機能の本質',
+        'guide.overview.essence': '本質',
+        'guide.overview.mechanism': '仕組み',
+        'guide.overview.comparison': '他機能との違い',
+        'guide.overview.jungView': 'Jungの見解',
+        'guide.cognitiveScience': '脳科学から見たメカニズム',
+        'guide.relatedProcesses': '関連する認知プロセス',
+        'guide.reference': '参考：{source}',
+        'guide.characteristics': '5つの特性',
+        'guide.example': '例：{text}',
+        'guide.strengthsWeaknesses': '強みと弱み',
+        'guide.strengths': '強み',
+        'guide.weaknesses': '弱み',
+        'guide.realLife': '実生活での現れ方',
+        'guide.realLife.work': '仕事',
+        'guide.realLife.relationships': '人間関係',
+        'guide.realLife.learning': '学習',
+        'guide.realLife.hobbies': '趣味・余暇',
+        'guide.comparisons': '他の機能との比較',
+        'guide.aspect': '観点',
+        'guide.integration': '💡 統合のヒント',
+        'guide.stackDynamics': '機能スタックにおける役割',
+        'guide.asDominant': '主機能として',
+        'guide.asAuxiliary': '補助機能として',
+        'guide.asTertiary': '第三機能として',
+        'guide.asInferior': '劣等機能として',
+        'guide.types': '対象タイプ：',
+        'guide.percentage': '人口比：',
+        'guide.stackStrengths': '強み：',
+        'guide.challenges': '課題：',
+        'guide.development': '人生の発達段階',
+        'guide.development.childhood': '子ども時代',
+        'guide.development.adolescence': '青年期',
+        'guide.development.adulthood': '成人期',
+        'guide.development.maturity': '成熟期',
+        'guide.stageCharacteristics': '特徴',
+        'guide.stageChallenges': '課題',
+        'guide.support': '💡 サポート',
+        'guide.practical': '実用的な応用方法',
+        'guide.career': 'キャリア',
+        'guide.career.ideal': '適した職業',
+        'guide.career.challenges': 'キャリア上の課題',
+        'guide.career.strategies': '戦略',
+        'guide.problemSolving': '問題解決',
+        'guide.process': 'プロセス',
+        'guide.training': 'トレーニングプログラム',
+        'guide.training.beginner': '初級',
+        'guide.training.intermediate': '中級',
+        'guide.training.advanced': '上級',
+        'guide.levelGoal': '{level}：{goal}',
+        'guide.duration': '期間：',
+        'guide.exercises': 'エクササイズ',
+        'guide.frequency': '頻度：{frequency}',
+        'guide.famousPeople': 'この機能を持つ有名人',
+        'guide.history': 'Jung の視点',
+        'guide.jungWarning': '⚠ Jung の警告',
+        'guide.historicalFigures': '歴史上の人物',
+        'guide.period': '（{period}）',
+        'guide.cultural': '文化的文脈',
+        'guide.cultural.western': '西洋における評価',
+        'guide.cultural.japanese': '日本における評価',
+        'guide.cultural.balance': 'バランスの取り方',
+        'guide.misconceptions': 'よくある誤解',
+        'guide.myth': '誤解 {number}：{myth}',
+        'guide.truth': '真実',
+        'guide.evidence': '根拠：{evidence}',
+        'guide.limitations': '科学的限界',
+        'guide.disclosure': '⚠ 正直な開示',
+        'guide.compensate': '限界を補う方法',
+        'guide.compensatingFunction': '補完機能：',
+        'guide.balancedApproach': 'バランスの取れたアプローチ：',
+        'guide.relatedConcepts': '関連概念',
+
+        'guideCheck.syntaxTitle': '{file} の JSON に構文エラーがあります',
+        'guideCheck.incompleteTitle': 'このガイドには未作成・不完全な節があります（{count}件）',
+        'guideCheck.location': '{line} 行 {column} 列',
+        'guideCheck.controlCharacter': '文字列の中に改行などの制御文字があります（閉じる " の書き忘れの可能性があります）',
+        'guideCheck.badEscape': '使えないエスケープ {found} があります',
+        'guideCheck.unterminatedString': 'ここから始まる文字列が閉じられないままファイルが終わっています（ファイルが途中で切れている可能性があります）',
+        'guideCheck.unexpectedEnd': '{ や [ が {count} 個閉じられないままファイルが終わっています',
+        'guideCheck.trailingComma': '} や ] の直前に余分なカンマがあります',
+        'guideCheck.unexpectedToken': '予期しない文字 {found} があります（期待: {expected}）',
+        'guideCheck.unknown': '構文エラー: {message}',
+        'guideCheck.missing': '{path} がありません（{expected}）',
+        'guideCheck.type': '{path} の型が違います（期待: {expected}、実際: {actual}）',
+        'guideCheck.code': '{path} が {actual} です（期待: {expected}）',
+        'guideCheck.missingFile': 'ファイルがありません',
+
+        'type.pageTitle': '{code}（{name}）タイプ別ガイド — Persona Checker',
+        'type.loadingTagline': 'タイプ別ガイド',
+        'type.unknownTitle': '⚠ 不明なタイプ',
+        'type.unknownBody': '「{code}」というタイプはありません。下の16タイプから選んでください。',
+        'type.overview': 'このタイプの概要',
+        'type.stack': '認知機能スタック',
+        'type.stackNote': 'タイプは4つの認知機能の優先順位の略称です。各機能の働きはそれぞれのガイドで詳しく解説しています。',
+        'type.functionGuide': 'ガイドを読む →',
+        'type.strengths': '強み',
+        'type.growthAreas': '成長の課題',
+        'type.neighbours': '近いタイプとの違い',
+        'type.neighboursNote': '機能スタックが近く、回答から区別しにくいタイプです。診断結果が僅差だった場合は、これらのタイプの説明も読み比べてください。',
+        'type.samePosition': '同じ位置の機能：{functions}',
+        'type.moved': '共通だが順序が異なる機能：{functions}',
+        'type.movedFunction': '{function}（{from} → {to}）',
+        'type.different': '異なる機能：{own} の代わりに {other}',
+        'type.separator': '、',
+        'type.otherTypes': '他のタイプ',
+        'type.takeTest': '診断を受ける',
+
+        'training.pageTitle': '{name}（{code}）トレーニング記録 — Persona Checker',
+        'training.tagline': 'トレーニングプログラムの記録',
+        'training.track': 'このプログラムを記録する →',
+        'training.intro': 'ガイドのトレーニングプログラムを、頻度に合わせたチェックリストとして記録します。記録はこのブラウザにだけ保存されます。',
+        'training.enroll': 'このプログラムを始める',
+        'training.enrolledSince': '{date} から参加中（このレベルは {levelDate} から）',
+        'training.levelProgress': 'レベルの達成度 {percent}%',
+        'training.levelHint': '予定のあるエクササイズごとに、目標回数を満たした期間を数えます（毎日: 21日、毎週: 4週、毎月: 2か月、数か月ごと: 1期間）。',
+        'training.levelReady': 'このレベルの目標を満たしました。',
+        'training.advance': '{level}へ進む',
+        'training.finished': '上級の目標を満たしました。プログラムの修了です。',
+        'training.group.day': '毎日',
+        'training.group.week': '毎週',
+        'training.group.month': '毎月',
+        'training.group.months': '数か月ごと',
+        'training.group.asNeeded': '随時',
+        'training.schedule.day': '毎日',
+        'training.schedule.week': '週{times}回',
+        'training.schedule.month': '月{times}回',
+        'training.schedule.months': '{every}か月に{times}回',
+        'training.schedule.asNeeded': '随時',
+        'training.doneToday': '今日やった',
+        'training.status.day': '今日 {count}/{target}回',
+        'training.status.week': '今週 {count}/{target}回',
+        'training.status.month': '今月 {count}/{target}回',
+        'training.status.months': 'この{every}か月 {count}/{target}回',
+        'training.streak.day': '{count}日連続',
+        'training.streak.week': '{count}週連続',
+        'training.streak.month': '{count}か月連続',
+        'training.streak.months': '{count}期間連続',
+        'training.achieved': 'このレベルで達成 {achieved}/{required}期間',
+        'training.total': '合計 {count}回',
+        'training.history': '修了したレベル',
+        'training.historyItem': '{level}：{startedAt} 〜 {completedAt}',
+        'training.leave': 'このプログラムをやめる（記録を削除）',
+        'training.leaveConfirm': '{code} のトレーニング記録を削除します。よろしいですか？',
+        'training.noProgram': '{name}（{code}）のガイドにはトレーニングプログラムがありません。',
+        'training.programs': '参加中のプログラム',
+        'training.programItem': '{code}：{level}',
+        'training.guideLink': '{code} のガイドを読む →',
+        'training.storageError': '記録を保存できませんでした。ブラウザの設定で保存が無効になっている可能性があります。',
+        'training.suggestion': '第三機能・劣等機能は、意識して使うことで伸ばしやすい機能です。どちらかのトレーニングから始めてみましょう（プログラムがまだない機能の代わりに補助機能を挙げることがあります）。',
+        'training.suggestionItem': '{position} {function}（{name}）のトレーニング →',
+        'training.continuing': '参加中',
+
+        'compare.pageTitle': '{a} と {b} の比較 — Persona Checker',
+        'compare.tagline': '2つの認知機能を並べて比較',
+        'compare.first': '左の機能',
+        'compare.second': '右の機能',
+        'compare.submit': '比較する',
+        'compare.swap': '左右を入れ替える',
+        'compare.kind.polarOpposite': '対極の機能',
+        'compare.kind.complementaryAxis': '補完する軸',
+        'compare.kind.sameAttitude': '同じ向き（内向・外向）の機能',
+        'compare.fromGuide': '{code} のガイド：{title}',
+        'compare.source': '{code} のガイド',
+        'compare.asymmetries': '2つのガイドの食い違い',
+        'compare.asymmetry.oneSided': '{source} のガイドだけが {other} との比較を載せています（{other} のガイドには {source} との比較がありません）。',
+        'compare.asymmetry.kindMismatch': '関係の分類が異なります（{a} のガイドでは「{kindA}」、{b} のガイドでは「{kindB}」）。',
+        'compare.asymmetry.rowOnlyIn': '「{label}」は {source} のガイドにだけあります。',
+        'compare.asymmetry.valueDiffers': '「{label}」の {function} の記述が2つのガイドで異なります。',
+        'compare.asymmetry.listItemOnlyIn': '{function} を使う場面「{item}」は {source} のガイドにだけあります。',
+        'compare.onlyIn': '{source} のみ',
+        'compare.keyDifferences': '主な違い',
+        'compare.conflictScenarios': '衝突する場面',
+        'compare.situation': '場面',
+        'compare.whenToUse': '{code} を使う場面',
+        'compare.strengths': '強み',
+        'compare.weaknesses': '弱み',
+        'compare.field.difference': '違い',
+        'compare.field.tension': '緊張関係',
+        'compare.field.synergy': '相乗効果',
+        'compare.field.collaboration': '協働',
+        'compare.field.integration': '統合のヒント',
+        'compare.field.realWorldExample': '実例',
+        'compare.field.famousExample': '実例',
+        'compare.readGuide': '{code} のガイドを読む →',
+        'compare.none': '{a} と {b} のどちらのガイドにも、この組み合わせの比較はありません。下の一覧から、各ガイドが比較している組み合わせを選べます。',
+        'compare.same': '同じ機能どうしは比較できません。別の機能を選んでください。',
+        'compare.related': '{code} のガイドにある比較',
+        'compare.relatedItem': '{kind}：{a} と {b} →',
+        'compare.link': '{a} と {b} を並べて比較 →'
+    },
+    en: {
+        'locale.label': 'Language',
+
+        'page.title': 'MBTI Cognitive Function Assessment',
+        'page.loading': 'Questions will appear here once loading is complete.',
+        'side.label': 'Assessment progress',
+        'side.progress': 'Progress',
+        'side.privacy': 'Your data is not stored on this device.\nPlease treat the result as reference information.',
+
+        'start.title': 'Choose the length of the test',
+        'start.lead': 'More questions give a more stable result. You can go back and change earlier answers at any time.',
+        'start.quick.label': 'Quick',
+        'start.quick.description': '{count} questions per function. For a first impression',
+        'start.simple.label': 'Standard',
+        'start.simple.description': '8 questions per function. Recommended for first-time takers',
+        'start.detailed.label': 'Detailed',
+        'start.detailed.description': '12 questions per function. For a more stable result',
+        'start.adaptive.label': 'Adaptive',
+        'start.adaptive.description': 'Picks the most informative question after each answer and stops once the result is stable',
+        'start.count': '{count} questions',
+        'start.countMax': 'Up to {count} questions',
+        'start.customLabel': 'Custom:',
+        'start.customUnit': 'questions per function',
+        'start.customStart': 'Start',
+        'start.customNote': 'Custom tests draw questions from the detailed set and keep the same share of reversed items (questions that ask the opposite) as the detailed set',
+        'start.forcedChoice': 'Add {count} questions that ask you to choose between two statements',
+        'start.forcedChoiceNote': 'Helps differences between functions show up even if you tend to agree with everything (not added to the adaptive test)',
+        'start.scenarios': 'Add {count} questions that ask what you would do in a situation',
+        'start.scenariosNote': 'Choosing actions rather than rating yourself makes answers less likely to drift toward an ideal self (not added to the adaptive test)',
+
+        'adaptive.converged': 'Stopped because the result became stable',
+        'adaptive.maxItems': 'Stopped after reaching the maximum number of questions',
+        'adaptive.exhausted': 'Stopped because no questions were left to ask',
+        'adaptive.summary': 'Adaptive test: decided after {count} questions',
+
+        'provisional.label': 'Provisional type',
+        'provisional.prompt': 'Answer the questions\nfor a more accurate result',
+        'provisional.updating': 'The provisional type updates with every answer',
+        'character.label': 'Character art',
+        'character.note': 'A friend is drawing it',
+        'answered.count': 'Answered: {count} / {total}',
+        'answered.upTo': 'up to {count}',
+
+        'question.form': 'MBTI assessment question form',
+        'question.reverse': '(reversed item)',
+        'question.option': '{label} ({value} on a {points}-point scale)',
+        'question.progress': 'Assessment progress',
+        'question.scores': 'Cognitive function scores',
+        'question.functionScore': '{function}: {value} points',
+        'question.back': 'Go back to the previous question',
+        'question.forcedChoice': 'Which describes you better, A or B?',
+        'question.statement': '{position}: {text}',
+        'question.scenario': 'Choose the option closest to what you would actually do',
+        'question.scenarioOption': '{label} (option {value} of {count})',
+
+        'validity.caution': '⚠ A note on your response pattern',
+        'validity.invalid': '⚠ This profile cannot be interpreted',
+        'validity.note': 'Your response pattern suggests the answers were probably not based on the content of the questions. Please disregard the results below, read each question and answer again.',
+
+        'result.probabilities': 'Probability by type',
+        'result.typeProbability': 'Probability of {type}',
+        'result.interval': '95% confidence interval (bootstrap)',
+        'result.otherTypes': 'Other {count} types combined: {percent}',
+        'result.tie': 'You show traits of several types. The near-tie types are worth a look too',
+        'result.confident': 'This result is highly reliable',
+
+        'nearTie.winner': 'Result type',
+        'nearTie.gap': 'Score gap {gap} ({z} × the error)',
+        'nearTie.more': '{count} more types are also within the error range',
+        'nearTie.shared': 'Shared functions: {functions}',
+        'nearTie.sharedSeparator': ', ',
+        'nearTie.decidingTwo': 'Deciding factor: whether your {position} is {functions}',
+        'nearTie.decidingMany': 'Deciding factor: which of {functions} is your {position}',
+        'nearTie.decidingSeparator': ' or ',
+        'nearTie.functionScore': '{function} ({score})',
+
+        'dichotomy.mismatch': 'A letter-by-letter majority gives {letterType}, but the function stack gives {stackType}.\nThis shows which axes the result is split on. Use the letter percentages as a rough guide when comparing with other tests.',
+
+        'stack.shadowNote': '{model} (shadow functions count toward the result with negative weights)',
+
+        'attribution.summary': 'Why this result? — the answers that separated {type} from {runnerUp}',
+        'attribution.note': 'Impact is each answer’s score × (its weight in {type} − its weight in {runnerUp}).\nQuestions about functions with the same weight in both types do not affect which one wins.',
+        'attribution.toward': 'Answers that pulled toward {type}',
+        'attribution.answer': 'Answer: {label}',
+
+        'scores.card': '{name}: {value} points',
+
+        'actions.restart': 'Start the assessment over',
+        'actions.export': 'Save your answers as a JSON file',
+        'actions.exportLabel': 'Save answers (JSON)',
+        'actions.chooseLength': 'Choose a different test length',
+        'actions.typeGuide': 'Read the {type} type guide →',
+        'actions.functionGuide': 'Guide →',
+
+        'guide.back': 'Back',
+        'guide.pageTitle': '{name} ({code}) Complete Guide — Persona Checker',
+        'guide.loadingName': 'Loading...',
+        'guide.loadingTagline': 'An in-depth look at a cognitive function',
+        'guide.loadingTitle': '📖 Loading...',
+        'guide.loadingBody': 'Loading the guide. Please wait a moment.',
+        'guide.notFound': '{file} was not found',
+        'guide.error': '⚠ Error',
+        'guide.untranslated': 'This guide has not been fully translated into English yet. Untranslated sections are shown in Japanese.',
+        'guide.nav': 'The eight functions',
+        'guide.notWrittenTitle': '📝 Not written yet',
+        'guide.notWrittenBody': 'The {name} ({code}) guide has not been written yet. Use the links above to read the guides for the other functions.',
+        'guide.unknownTitle': '⚠ Unknown function',
+        'guide.unknownBody': 'There is no cognitive function called "{code}". Choose one of the eight functions above.',
+        'guide.footer': 'Persona Checker - Cognitive Function Analysis',
+        'guide.footerNote': 'This page is based on Carl Jung’s theory of cognitive functions.\nIts scientific validity is limited; please use it as a supporting framework for self-understanding.',
+        'guide.overview': 'The essence of this function',
+        'guide.overview.essence': 'Essence',
+        'guide.overview.mechanism': 'How it works',
+        'guide.overview.comparison': 'How it differs from other functions',
+        'guide.overview.jungView': 'Jung’s view',
+        'guide.cognitiveScience': 'The mechanism from a neuroscience perspective',
+        'guide.relatedProcesses': 'Related cognitive processes',
+        'guide.reference': 'Reference: {source}',
+        'guide.characteristics': 'Five characteristics',
+        'guide.example': 'Example: {text}',
+        'guide.strengthsWeaknesses': 'Strengths and weaknesses',
+        'guide.strengths': 'Strengths',
+        'guide.weaknesses': 'Weaknesses',
+        'guide.realLife': 'How it shows up in everyday life',
+        'guide.realLife.work': 'Work',
+        'guide.realLife.relationships': 'Relationships',
+        'guide.realLife.learning': 'Learning',
+        'guide.realLife.hobbies': 'Hobbies and leisure',
+        'guide.comparisons': 'Compared with other functions',
+        'guide.aspect': 'Aspect',
+        'guide.integration': '💡 Tips for integration',
+        'guide.stackDynamics': 'Its role in the function stack',
+        'guide.asDominant': 'As the dominant function',
+        'guide.asAuxiliary': 'As the auxiliary function',
+        'guide.asTertiary': 'As the tertiary function',
+        'guide.asInferior': 'As the inferior function',
+        'guide.types': 'Types: ',
+        'guide.percentage': 'Share of population: ',
+        'guide.stackStrengths': 'Strengths:',
+        'guide.challenges': 'Challenges:',
+        'guide.development': 'Stages of life',
+        'guide.development.childhood': 'Childhood',
+        'guide.development.adolescence': 'Adolescence',
+        'guide.development.adulthood': 'Adulthood',
+        'guide.development.maturity': 'Maturity',
+        'guide.stageCharacteristics': 'Characteristics',
+        'guide.stageChallenges': 'Challenges',
+        'guide.support': '💡 Support',
+        'guide.practical': 'Practical applications',
+        'guide.career': 'Career',
+        'guide.career.ideal': 'Well-suited careers',
+        'guide.career.challenges': 'Career challenges',
+        'guide.career.strategies': 'Strategies',
+        'guide.problemSolving': 'Problem solving',
+        'guide.process': 'Process',
+        'guide.training': 'Training program',
+        'guide.training.beginner': 'Beginner',
+        'guide.training.intermediate': 'Intermediate',
+        'guide.training.advanced': 'Advanced',
+        'guide.levelGoal': '{level}: {goal}',
+        'guide.duration': 'Duration: ',
+        'guide.exercises': 'Exercises',
+        'guide.frequency': 'Frequency: {frequency}',
+        'guide.famousPeople': 'Famous people with this function',
+        'guide.history': 'Jung’s perspective',
+        'guide.jungWarning': '⚠ Jung’s warning',
+        'guide.historicalFigures': 'Historical figures',
+        'guide.period': ' ({period})',
+        'guide.cultural': 'Cultural context',
+        'guide.cultural.western': 'How it is viewed in the West',
+        'guide.cultural.japanese': 'How it is viewed in Japan',
+        'guide.cultural.balance': 'Finding balance',
+        'guide.misconceptions': 'Common misconceptions',
+        'guide.myth': 'Misconception {number}: {myth}',
+        'guide.truth': 'The truth',
+        'guide.evidence': 'Evidence: {evidence}',
+        'guide.limitations': 'Scientific limitations',
+        'guide.disclosure': '⚠ Honest disclosure',
+        'guide.compensate': 'How to compensate for the limitations',
+        'guide.compensatingFunction': 'Compensating function: ',
+        'guide.balancedApproach': 'A balanced approach: ',
+        'guide.relatedConcepts': 'Related concepts',
+
+        'guideCheck.syntaxTitle': '{file} contains a JSON syntax error',
+        'guideCheck.incompleteTitle': 'Some sections of this guide are missing or incomplete ({count})',
+        'guideCheck.location': 'line {line}, column {column}',
+        'guideCheck.controlCharacter': 'A string contains a line break or other control character (a closing " may be missing)',
+        'guideCheck.badEscape': 'Invalid escape sequence {found}',
+        'guideCheck.unterminatedString': 'The string starting here is never closed before the end of the file (the file may be truncated)',
+        'guideCheck.unexpectedEnd': 'The file ends with {count} unclosed { or [',
+        'guideCheck.trailingComma': 'Extra comma before } or ]',
+        'guideCheck.unexpectedToken': 'Unexpected character {found} (expected {expected})',
+        'guideCheck.unknown': 'Syntax error: {message}',
+        'guideCheck.missing': '{path} is missing ({expected})',
+        'guideCheck.type': '{path} has the wrong type (expected {expected}, found {actual})',
+        'guideCheck.code': '{path} is {actual} (expected {expected})',
+        'guideCheck.missingFile': 'File not found',
+
+        'type.pageTitle': '{code} ({name}) Type Guide — Persona Checker',
+        'type.loadingTagline': 'Type guide',
+        'type.unknownTitle': '⚠ Unknown type',
+        'type.unknownBody': 'There is no type called "{code}". Choose one of the 16 types below.',
+        'type.overview': 'Overview of this type',
+        'type.stack': 'Cognitive function stack',
+        'type.stackNote': 'A type is shorthand for the priority order of four cognitive functions. Each function is explained in detail in its own guide.',
+        'type.functionGuide': 'Read the guide →',
+        'type.strengths': 'Strengths',
+        'type.growthAreas': 'Growth areas',
+        'type.neighbours': 'How it differs from nearby types',
+        'type.neighboursNote': 'These types have similar function stacks and are hard to tell apart from answers. If your result was close, compare their descriptions as well.',
+        'type.samePosition': 'Same position: {functions}',
+        'type.moved': 'Shared but in a different order: {functions}',
+        'type.movedFunction': '{function} ({from} → {to})',
+        'type.different': 'Different functions: {other} instead of {own}',
+        'type.separator': ', ',
+        'type.otherTypes': 'Other types',
+        'type.takeTest': 'Take the assessment',
+
+        'training.pageTitle': '{name} ({code}) Training Tracker — Persona Checker',
+        'training.tagline': 'Training program tracker',
+        'training.track': 'Track this program →',
+        'training.intro': 'Tracks the guide\'s training program as a checklist scheduled by each exercise\'s frequency. Your progress is stored only in this browser.',
+        'training.enroll': 'Start this program',
+        'training.enrolledSince': 'Enrolled since {date} (this level since {levelDate})',
+        'training.levelProgress': 'Level progress {percent}%',
+        'training.levelHint': 'For each scheduled exercise, periods in which you met the target count toward the level (daily: 21 days, weekly: 4 weeks, monthly: 2 months, every few months: 1 period).',
+        'training.levelReady': 'You have met the goals for this level.',
+        'training.advance': 'Move on to {level}',
+        'training.finished': 'You have met the advanced goals. Program complete.',
+        'training.group.day': 'Daily',
+        'training.group.week': 'Weekly',
+        'training.group.month': 'Monthly',
+        'training.group.months': 'Every few months',
+        'training.group.asNeeded': 'As needed',
+        'training.schedule.day': 'Daily',
+        'training.schedule.week': '{times}× a week',
+        'training.schedule.month': '{times}× a month',
+        'training.schedule.months': '{times}× every {every} months',
+        'training.schedule.asNeeded': 'As needed',
+        'training.doneToday': 'Done today',
+        'training.status.day': 'Today {count}/{target}',
+        'training.status.week': 'This week {count}/{target}',
+        'training.status.month': 'This month {count}/{target}',
+        'training.status.months': 'These {every} months {count}/{target}',
+        'training.streak.day': '{count}-day streak',
+        'training.streak.week': '{count}-week streak',
+        'training.streak.month': '{count}-month streak',
+        'training.streak.months': '{count}-period streak',
+        'training.achieved': 'Met at this level: {achieved}/{required} periods',
+        'training.total': '{count} total',
+        'training.history': 'Completed levels',
+        'training.historyItem': '{level}: {startedAt} – {completedAt}',
+        'training.leave': 'Leave this program (delete its records)',
+        'training.leaveConfirm': 'Delete your {code} training records?',
+        'training.noProgram': 'The {name} ({code}) guide has no training program.',
+        'training.programs': 'Your programs',
+        'training.programItem': '{code}: {level}',
+        'training.guideLink': 'Read the {code} guide →',
+        'training.storageError': 'Your progress could not be saved. Storage may be disabled in your browser settings.',
+        'training.suggestion': 'Your tertiary and inferior functions are the ones that grow most with deliberate use. Try starting with one of these programs (your auxiliary function may stand in for one that has no program yet).',
+        'training.suggestionItem': '{position} {function} ({name}) training →',
+        'training.continuing': 'Enrolled',
+
+        'compare.pageTitle': '{a} vs {b} — Persona Checker',
+        'compare.tagline': 'Two cognitive functions side by side',
+        'compare.first': 'Left function',
+        'compare.second': 'Right function',
+        'compare.submit': 'Compare',
+        'compare.swap': 'Swap sides',
+        'compare.kind.polarOpposite': 'Polar opposite',
+        'compare.kind.complementaryAxis': 'Complementary axis',
+        'compare.kind.sameAttitude': 'Same attitude (introverted or extraverted)',
+        'compare.fromGuide': '{code} guide: {title}',
+        'compare.source': '{code} guide',
+        'compare.asymmetries': 'Where the two guides disagree',
+        'compare.asymmetry.oneSided': 'Only the {source} guide compares itself with {other} (the {other} guide has no comparison with {source}).',
+        'compare.asymmetry.kindMismatch': 'The guides classify the relationship differently (the {a} guide: "{kindA}", the {b} guide: "{kindB}").',
+        'compare.asymmetry.rowOnlyIn': '"{label}" appears only in the {source} guide.',
+        'compare.asymmetry.valueDiffers': 'The two guides describe {function} differently for "{label}".',
+        'compare.asymmetry.listItemOnlyIn': 'The {function} use case "{item}" appears only in the {source} guide.',
+        'compare.onlyIn': '{source} only',
+        'compare.keyDifferences': 'Key differences',
+        'compare.conflictScenarios': 'Where they clash',
+        'compare.situation': 'Situation',
+        'compare.whenToUse': 'When to use {code}',
+        'compare.strengths': 'Strengths',
+        'compare.weaknesses': 'Weaknesses',
+        'compare.field.difference': 'Difference',
+        'compare.field.tension': 'Tension',
+        'compare.field.synergy': 'Synergy',
+        'compare.field.collaboration': 'Working together',
+        'compare.field.integration': 'Tips for integration',
+        'compare.field.realWorldExample': 'Real-world example',
+        'compare.field.famousExample': 'Real-world example',
+        'compare.readGuide': 'Read the {code} guide →',
+        'compare.none': 'Neither the {a} guide nor the {b} guide compares these two functions. Choose one of the comparisons each guide does make below.',
+        'compare.same': 'A function cannot be compared with itself. Choose a different function.',
+        'compare.related': 'Comparisons in the {code} guide',
+        'compare.relatedItem': '{kind}: {a} and {b} →',
+        'compare.link': 'Compare {a} and {b} side by side →'
+    }
+};
+
+/**
+ * 表示言語の文言を取り出す関数を作成
+ *
+ * @param {string} locale - 言語コード
+ * @returns {Function} t(key, params) → 文言（{name} を params.name で置き換える）
+ *
+ * 文言はエスケープしないで返す（差し込む値は呼び出し側でエスケープする）
+ * 表示言語に文言がなければ日本語、日本語にもなければキーをそのまま返す
+ */
+export function createTranslator(locale) {
+    const messages = MESSAGES[resolveLocale(locale) || DEFAULT_LOCALE];
+    return function t(key, params = {}) {
+        const template = messages[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+        if (template === undefined) {
+            console.error(`[t] 未定義の文言キーです: ${key}`);
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    };
+}
+
+/**
+ * 文言キーのうち、一方の言語にしかないもの（翻訳漏れの確認用）
+ * @returns {Object} { 言語コード: [キー] }
+ */
+export function findMissingMessages() {
+    const allKeys = new Set(SUPPORTED_LOCALES.flatMap(locale => Object.keys(MESSAGES[locale])));
+    return Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+        locale,
+        [...allKeys].filter(key => !(key in MESSAGES[locale]))
+    ]));
+}
+
+// ============================================
+// ページへの反映
+// ============================================
+
+/**
+ * 静的な HTML の文言を表示言語に置き換える
+ * data-i18n="キー" の要素は本文を、data-i18n-attr="属性:キー" の要素は属性を置き換える
+ * （文言中の改行は <br> にする）
+ * @param {ParentNode} root - 対象範囲
+ * @param {Function} t - createTranslator で作った関数
+ */
+export function applyTranslations(root, t) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.replaceChildren(...t(element.dataset.i18n).split('\n').flatMap((line, index) =>
+            index === 0 ? [line] : [document.createElement('br'), line]));
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        const [attribute, key] = element.dataset.i18nAttr.split(':');
+        element.setAttribute(attribute, t(key));
+    });
+}
+
+/**
+ * 言語切り替えボタンを表示
+ * 選択は保存され、onChange（省略時はページの再読み込み）で画面に反映する
+ * @param {HTMLElement} container - ボタンを置く要素
+ * @param {string} locale - 現在の表示言語
+ * @param {Function} [onChange] - 切り替え後の処理 (locale) => void
+ */
+export function mountLocaleSwitcher(container, locale, onChange) {
+    if (!container) return;
+    const t = createTranslator(locale);
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', t('locale.label'));
+    container.replaceChildren(...SUPPORTED_LOCALES.map(option => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'locale-option';
+        button.lang = option;
+        button.textContent = LOCALE_NAMES[option];
+        button.setAttribute('aria-pressed', String(option === locale));
+        button.addEventListener('click', () => {
+            if (option === locale || !setLocale(option)) return;
+            // URL の ?lang= は保存した選択より優先されるため外す
+            const params = new URLSearchParams(window.location.search);
+            if (params.has('lang')) {
+                params.delete('lang');
+                const query = params.toString();
+                window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+            }
+            if (onChange) {
+                onChange(option);
+            } else {
+                window.location.reload();
+            }
+        });
+        return button;
+    }));
+}
@@ -0,0 +1,434 @@
+// item-analysis.js
+
+// 【概要】
+//    書き出されたセッション記録から、各認知機能の質問が同じものを測れているかを検証する
+//    - 機能ごとの Cronbach's α
+//    - 修正済み項目-合計相関（その項目を除いた合計との相関）
+//    - 項目削除時の α
+//    - 機能間相関
+//    - 尺度と正の相関を持ってしまっている逆転項目の検出
+
+// 【実行方法】
+//    node item-analysis.js <セッション記録のディレクトリ> [--out item-analysis-report.json]
+
+// 【入力】
+//    test.html の結果画面「回答データを保存」で書き出した JSON ファイル
+//    { format: 'mbti-session', version: 2, mode, questionSet, scale, questionBankVersion,
+//      answers: { 質問ID: 選択値(1-段階数) } }
+//    質問IDは質問バンク (data/question-bank.json) の安定ID。
+//    version 1 の記録（モードごとの連番ID）は読み込み時に安定IDへ変換する
+//    scale がない記録は質問セットの既定の尺度 (5段階) として扱う
+//    分析するのは Likert 項目のみ。強制選択項目 (forcedChoice: true の記録)・場面想定項目 (scenarios: true) の回答は
+//    α・項目-合計相関の前提 (項目ごとに1機能の独立した得点) を満たさないため除外し、除外した件数を表示する
+
+// 【出力】
+//    質問セット × 回答尺度ごとに、コンソールに表形式で表示し、同じ内容を JSON レポートとして保存する
+//    逆転項目の問題が見つかった場合も終了コードは 0（分析結果の報告が目的のため）
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { calculateScore, createScoringConfig, getLikertScale, FUNCTIONS } from './core.js';
+import { generateQuestions, getQuestionsByMode, QUESTION_SET_SCALES } from './data.js';
+
+// ============================================
+// 定数
+// ============================================
+
+const SESSION_FORMAT = 'mbti-session';
+const DEFAULT_REPORT_PATH = 'item-analysis-report.json';
+
+// 出題モード → 質問IDが属する質問セット（記録に questionSet がない場合に使用）
+const QUESTION_SET_BY_MODE = {
+    quick: 'quick',
+    simple: 'simple',
+    detailed: 'detailed',
+    custom: 'custom',
+    adaptive: 'detailed'
+};
+
+// 分析から除外する形式（Likert 以外）の表示名
+const EXCLUDED_FORMAT_LABELS = {
+    forcedChoice: '強制選択',
+    scenario: '場面想定'
+};
+
+// 表示上の目安（Nunnally の基準など一般的な値）
+const ANALYSIS_THRESHOLDS = {
+    ALPHA_ACCEPTABLE: 0.7,     // α がこれ未満なら内的一貫性が低い
+    ITEM_TOTAL_MIN: 0.2,       // 修正済み項目-合計相関がこれ未満なら弁別力が低い
+    MIN_COMPLETE_CASES: 3,     // 統計量を計算する最低回答者数
+    REVERSE_KEYING_MIN: 0.1    // 逆転項目の逆転前の回答と残りの合計との相関がこれを超えたら、逆転として読まれていない疑い
+};
+
+// ============================================
+// 統計ヘルパー
+// ============================================
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// 不偏分散
+function variance(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * ピアソンの積率相関係数
+ * @returns {number|null} どちらかの分散が0なら null
+ */
+function pearson(xs, ys) {
+    if (xs.length < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+    if (sxx === 0 || syy === 0) return null;
+    return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Cronbach's α
+ * @param {Array<Array<number>>} rows - 回答者 × 項目 の得点行列
+ * @returns {number|null} 項目が2未満、または合計得点の分散が0なら null
+ *
+ * α = k / (k - 1) × (1 - Σ項目分散 / 合計得点の分散)
+ */
+export function cronbachAlpha(rows) {
+    const itemCount = rows[0]?.length ?? 0;
+    if (itemCount < 2 || rows.length < 2) return null;
+
+    const itemVarianceSum = Array.from({ length: itemCount }, (_, j) => variance(rows.map(row => row[j])))
+        .reduce((sum, v) => sum + v, 0);
+    const totalVariance = variance(rows.map(row => row.reduce((sum, v) => sum + v, 0)));
+    if (totalVariance === 0) return null;
+
+    return (itemCount / (itemCount - 1)) * (1 - itemVarianceSum / totalVariance);
+}
+
+// ============================================
+// セッション読み込み
+// ============================================
+
+/**
+ * セッション記録の読み込み
+ * 形式が異なるファイルや壊れたファイルはスキップし、理由を表示する
+ * @param {string} dir - セッション記録のディレクトリ
+ * @returns {Array} セッション記録の配列
+ */
+export function loadSessions(dir) {
+    const sessions = [];
+    for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        try {
+            const record = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+            if (record?.format !== SESSION_FORMAT || typeof record.answers !== 'object') {
+                console.warn(`[loadSessions] セッション記録ではないためスキップ: ${file}`);
+                continue;
+            }
+            sessions.push({ ...upgradeSessionRecord(record), file });
+        } catch (error) {
+            console.error(`[loadSessions] 読み込み失敗のためスキップ: ${file} (${error.message})`);
+        }
+    }
+    return sessions;
+}
+
+function getQuestionSet(session) {
+    return session.questionSet || QUESTION_SET_BY_MODE[session.mode] || 'simple';
+}
+
+/**
+ * 質問バンク導入前 (version 1) の記録を、回答のキーを安定IDに置き換えた形に変換
+ * @param {Object} record - セッション記録
+ * @returns {Object} 回答が安定IDをキーとするセッション記録
+ */
+export function upgradeSessionRecord(record) {
+    if ((record.version ?? 1) >= 2) return record;
+
+    const idByLegacyId = new Map(generateQuestions(getQuestionSet(record)).map(q => [String(q.legacyId), q.id]));
+    const answers = {};
+    for (const [legacyId, value] of Object.entries(record.answers)) {
+        if (idByLegacyId.has(legacyId)) answers[idByLegacyId.get(legacyId)] = value;
+    }
+    return { ...record, answers };
+}
+
+function getScale(session) {
+    return session.scale || QUESTION_SET_SCALES[getQuestionSet(session)] || 'likert5';
+}
+
+function getAnswerValue(session, question, scale) {
+    const value = session.answers[question.id];
+    return Number.isInteger(value) && value >= 1 && value <= scale.points ? value : null;
+}
+
+// ============================================
+// 分析
+// ============================================
+
+/**
+ * 1機能分の項目分析
+ * 対象機能の全項目に回答したセッションのみを使用（リストワイズ除外。除外したセッションの数は countPartialSessions で報告）
+ *
+ * @param {Array} items - 対象機能の質問
+ * @param {Array} sessions - 同じ質問セット・同じ回答尺度のセッション
+ * @param {Object} config - 回答尺度を指定した採点設定
+ * @returns {Object} { itemCount, completeCases, alpha, items: [...], totals }
+ */
+function analyzeFunction(items, sessions, config) {
+    const scale = getLikertScale(config.LIKERT_SCALE);
+    const complete = sessions
+        .map(session => items.map(q => getAnswerValue(session, q, scale)))
+        .map((values, i) => ({ values, session: sessions[i] }))
+        .filter(({ values }) => values.every(v => v !== null));
+
+    // 逆転処理・強調済みの得点（calculateScore と同じ採点）
+    const keyed = complete.map(({ values }) => values.map((v, j) => calculateScore(v, items[j].reverse, config)));
+    const totals = keyed.map(row => row.reduce((sum, v) => sum + v, 0));
+    const enough = complete.length >= ANALYSIS_THRESHOLDS.MIN_COMPLETE_CASES;
+
+    const itemStats = items.map((q, j) => {
+        const rawValues = complete.map(({ values }) => values[j]);
+        const restTotals = keyed.map((row, i) => totals[i] - row[j]);
+        const correctedItemTotal = enough ? pearson(keyed.map(row => row[j]), restTotals) : null;
+        // 逆転前の回答と残りの合計との相関。逆転項目でこれが明確に正なら、回答者は逆転として読んでいない
+        const rawRestCorrelation = enough ? pearson(rawValues, restTotals) : null;
+
+        return {
+            id: q.id,
+            text: q.text,
+            reverse: Boolean(q.reverse),
+            meanResponse: rawValues.length ? mean(rawValues) : null,
+            correctedItemTotal,
+            alphaIfDeleted: enough ? cronbachAlpha(keyed.map(row => row.filter((_, k) => k !== j))) : null,
+            reverseKeyingSuspect: Boolean(q.reverse) && rawRestCorrelation !== null && rawRestCorrelation > ANALYSIS_THRESHOLDS.REVERSE_KEYING_MIN,
+            rawRestCorrelation
+        };
+    });
+
+    return {
+        itemCount: items.length,
+        completeCases: complete.length,
+        alpha: enough ? cronbachAlpha(keyed) : null,
+        items: itemStats,
+        totals: new Map(complete.map(({ session }, i) => [session, totals[i]]))
+    };
+}
+
+/**
+ * 機能間相関（両機能の全項目に回答したセッションでのペアワイズ相関）
+ */
+function calculateInterFunctionCorrelations(functionAnalyses) {
+    const names = Object.keys(functionAnalyses);
+    const matrix = {};
+    for (const a of names) {
+        matrix[a] = {};
+        for (const b of names) {
+            if (a === b) {
+                matrix[a][b] = 1;
+                continue;
+            }
+            const totalsA = functionAnalyses[a].totals;
+            const totalsB = functionAnalyses[b].totals;
+            const shared = [...totalsA.keys()].filter(session => totalsB.has(session));
+            matrix[a][b] = shared.length >= ANALYSIS_THRESHOLDS.MIN_COMPLETE_CASES
+                ? pearson(shared.map(s => totalsA.get(s)), shared.map(s => totalsB.get(s)))
+                : null;
+        }
+    }
+    return matrix;
+}
+
+/**
+ * 1つの質問セットについての分析
+ * @param {string} questionSet - 'quick' | 'simple' | 'detailed' | 'custom'
+ * @param {string} scale - 回答尺度 (LIKERT_SCALES のキー)
+ * @param {number|null} itemsPerFunction - カスタム長さの1機能あたりの問題数
+ * @param {Array} sessions - その質問セット・回答尺度のセッション
+ * @returns {Object} 質問セットのレポート
+ */
+function analyzeQuestionSet(questionSet, scale, itemsPerFunction, sessions) {
+    const questions = getQuestionsByMode(questionSet, { itemsPerFunction });
+    const config = createScoringConfig({ LIKERT_SCALE: scale });
+    const functionAnalyses = {};
+    for (const funcName of Object.keys(FUNCTIONS)) {
+        functionAnalyses[funcName] = analyzeFunction(questions.filter(q => q.type === funcName), sessions, config);
+    }
+
+    const flags = [];
+    for (const [funcName, analysis] of Object.entries(functionAnalyses)) {
+        if (analysis.alpha !== null && analysis.alpha < ANALYSIS_THRESHOLDS.ALPHA_ACCEPTABLE) {
+            flags.push({ function: funcName, kind: 'lowAlpha', message: `${funcName}: α = ${analysis.alpha.toFixed(2)}（${ANALYSIS_THRESHOLDS.ALPHA_ACCEPTABLE} 未満）` });
+        }
+        for (const item of analysis.items) {
+            if (item.reverseKeyingSuspect) {
+                flags.push({ function: funcName, id: item.id, kind: 'reverseKeying', message: `${funcName} #${item.id}: 逆転項目が尺度と正の相関 (r = ${item.rawRestCorrelation.toFixed(2)})「${item.text}」` });
+            } else if (item.correctedItemTotal !== null && item.correctedItemTotal < ANALYSIS_THRESHOLDS.ITEM_TOTAL_MIN) {
+                flags.push({ function: funcName, id: item.id, kind: 'lowItemTotal', message: `${funcName} #${item.id}: 修正済み項目-合計相関 ${item.correctedItemTotal.toFixed(2)}「${item.text}」` });
+            }
+        }
+    }
+
+    return {
+        questionSet,
+        ...(itemsPerFunction ? { itemsPerFunction } : {}),
+        scale,
+        sessionCount: sessions.length,
+        partialSessions: countPartialSessions(questions, sessions),
+        excludedFormats: countExcludedFormats(questionSet, itemsPerFunction, sessions),
+        functions: Object.fromEntries(Object.entries(functionAnalyses).map(([funcName, { totals, ...analysis }]) => [funcName, analysis])),
+        interFunctionCorrelations: calculateInterFunctionCorrelations(functionAnalyses),
+        flags
+    };
+}
+
+/**
+ * 分析から除外した Likert 以外の形式の回答数
+ * @returns {Object} { [形式]: { sessions: その形式に回答したセッション数, answers: 回答数 } }（回答のある形式のみ）
+ */
+function countExcludedFormats(questionSet, itemsPerFunction, sessions) {
+    const formatById = new Map(getQuestionsByMode(questionSet, { itemsPerFunction, forcedChoice: true, scenarios: true })
+        .filter(q => q.format)
+        .map(q => [q.id, q.format]));
+    const excluded = {};
+    for (const session of sessions) {
+        const counts = {};
+        for (const id of Object.keys(session.answers)) {
+            if (formatById.has(id)) counts[formatById.get(id)] = (counts[formatById.get(id)] ?? 0) + 1;
+        }
+        for (const [format, answers] of Object.entries(counts)) {
+            excluded[format] ??= { sessions: 0, answers: 0 };
+            excluded[format].sessions += 1;
+            excluded[format].answers += answers;
+        }
+    }
+    return excluded;
+}
+
+/**
+ * 質問セットの一部の項目にしか回答していないセッションの数（適応型テスト・途中までの回答）
+ * これらは回答の欠けた機能の分析から除外される（機能ごとの人数は completeCases）
+ * @returns {Object} { count, adaptive: うち適応型テストのセッション数 }
+ */
+function countPartialSessions(questions, sessions) {
+    const partial = sessions.filter(session => questions.some(q => !(q.id in session.answers)));
+    return { count: partial.length, adaptive: partial.filter(session => session.mode === 'adaptive').length };
+}
+
+/**
+ * セッション記録全体の分析（質問セット × 回答尺度ごとにレポートを作成）
+ * 段階数が異なると回答値の分布が異なるため、同じ質問セットでも尺度ごとに分けて分析する
+ * カスタム長さは問題数ごとに別の質問セットとして扱う
+ * @param {Array} sessions - loadSessions の返り値
+ * @returns {Object} { generatedAt, sessionCount, thresholds, questionSets: [...] }
+ */
+export function analyzeSessions(sessions) {
+    const bySet = new Map();
+    for (const session of sessions) {
+        const questionSet = getQuestionSet(session);
+        const itemsPerFunction = questionSet === 'custom' ? session.itemsPerFunction ?? null : null;
+        const key = `${questionSet}${itemsPerFunction ? `-${itemsPerFunction}` : ''}/${getScale(session)}`;
+        if (!bySet.has(key)) bySet.set(key, { questionSet, itemsPerFunction, scale: getScale(session), sessions: [] });
+        bySet.get(key).sessions.push(session);
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        sessionCount: sessions.length,
+        thresholds: ANALYSIS_THRESHOLDS,
+        questionSets: [...bySet.values()].map(set =>
+            analyzeQuestionSet(set.questionSet, set.scale, set.itemsPerFunction, set.sessions))
+    };
+}
+
+// ============================================
+// 表示
+// ============================================
+
+function formatStat(value) {
+    return value === null ? '—' : value.toFixed(2);
+}
+
+export function printReport(report) {
+    console.log(`\n📊 項目分析レポート (${report.sessionCount} セッション)\n`);
+
+    for (const set of report.questionSets) {
+        const setName = set.itemsPerFunction ? `${set.questionSet} (各機能${set.itemsPerFunction}問)` : set.questionSet;
+        console.log(`=== 質問セット: ${setName} / 尺度: ${set.scale} (${set.sessionCount} セッション) ===\n`);
+        if (set.partialSessions.count > 0) {
+            console.log(`ℹ 一部の項目にしか回答していないセッション ${set.partialSessions.count} 件（うち適応型 ${set.partialSessions.adaptive} 件）は、回答の欠けた機能の分析から除外\n`);
+        }
+        for (const [format, { sessions, answers }] of Object.entries(set.excludedFormats)) {
+            console.log(`ℹ ${EXCLUDED_FORMAT_LABELS[format] ?? format}項目の回答は分析対象外: ${answers} 件 (${sessions} セッション)\n`);
+        }
+
+        console.table(Object.fromEntries(Object.entries(set.functions).map(([funcName, analysis]) => [funcName, {
+            '項目数': analysis.itemCount,
+            '完答者数': analysis.completeCases,
+            'α': formatStat(analysis.alpha)
+        }])));
+
+        for (const [funcName, analysis] of Object.entries(set.functions)) {
+            console.log(`\n--- ${funcName} (${FUNCTIONS[funcName].fullName}) α = ${formatStat(analysis.alpha)} ---`);
+            console.table(analysis.items.map(item => ({
+                'ID': item.id,
+                'R': item.reverse ? 'R' : '',
+                '平均': formatStat(item.meanResponse),
+                '修正済み項目-合計相関': formatStat(item.correctedItemTotal),
+                '削除時α': formatStat(item.alphaIfDeleted),
+                '要確認': item.reverseKeyingSuspect ? '⚠ 逆転' : ''
+            })));
+        }
+
+        console.log('\n--- 機能間相関 ---');
+        console.table(Object.fromEntries(Object.entries(set.interFunctionCorrelations).map(([a, row]) => [
+            a,
+            Object.fromEntries(Object.entries(row).map(([b, r]) => [b, formatStat(r)]))
+        ])));
+
+        if (set.flags.length > 0) {
+            console.log('\n⚠ 要確認の項目:');
+            set.flags.forEach(flag => console.log(`  - ${flag.message}`));
+        } else {
+            console.log('\n✓ 要確認の項目はありません');
+        }
+        console.log('');
+    }
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function main(args) {
+    const outIndex = args.indexOf('--out');
+    const outPath = outIndex >= 0 ? args[outIndex + 1] : DEFAULT_REPORT_PATH;
+    const dir = args.find((arg, i) => !arg.startsWith('--') && (outIndex < 0 || i !== outIndex + 1));
+
+    if (!dir || !outPath) {
+        console.error('使い方: node item-analysis.js <セッション記録のディレクトリ> [--out item-analysis-report.json]');
+        process.exit(1);
+    }
+
+    const sessions = loadSessions(resolve(dir));
+    if (sessions.length === 0) {
+        console.error(`❌ セッション記録が見つかりません: ${dir}`);
+        process.exit(1);
+    }
+
+    const report = analyzeSessions(sessions);
+    printReport(report);
+    writeFileSync(outPath, JSON.stringify(report, null, 2));
+    console.log(`📝 JSONレポートを保存しました: ${outPath}\n`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,319 @@
+// lint-questions.js
+
+// 【概要】
+//    質問バンクの簡易版・詳細版を generateQuestions で読み込み、質問の偏りや品質の問題を検出する
+//    - duplicate:       同じ質問文（記号・空白を除いて一致）
+//    - nearDuplicate:   ほぼ同じ質問文（文字バイグラムの Dice 係数がしきい値以上）
+//    - reverseRatio:    逆転項目の割合が他の機能の中央値から外れている機能
+//    - idCollision:     同じモード内で重複する質問ID・旧ID
+//    - idDrift:         モード間のIDのずれ（簡易版のIDが詳細版にない / 同じIDで内容が異なる / 同じ質問文で別のID）
+//    - length:          読みやすさのしきい値より長い質問文
+//    - missingFunction: 質問が1問もない機能
+//    - bank:            質問バンクの検証エラー（validateQuestionBank。不正な項目は読み込み時に除外されるため）
+
+// 【実行方法】
+//    node lint-questions.js [--similarity 0.7] [--max-length ja=40,en=120] [--out lint-report.json]
+
+// 【出力】
+//    検出した問題を種類ごとに表示する。--out を指定すると同じ内容を JSON で保存する
+//    問題が1件でもあれば終了コード 1（質問文の変更を CI やレビュー前に機械的に確認するため）
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { FUNCTIONS } from './core.js';
+import { generateQuestions, validateQuestionBank, QUESTION_BANK_LOCALES } from './data.js';
+
+// ============================================
+// 定数
+// ============================================
+
+// 検査する出題モード（クイック版・カスタム長さは詳細版から抜き出すため対象外）
+const LINT_MODES = ['simple', 'detailed'];
+
+const LINT_DEFAULTS = {
+    // nearDuplicate とみなす Dice 係数（現行の質問バンクの最大は約 0.55）
+    similarity: 0.7,
+    // 言語ごとの質問文の最大文字数（現行の質問バンクの最長: 日本語 32 字 / 英語 96 字）
+    maxLength: { ja: 40, en: 120 },
+    // 逆転項目の割合が、他の機能の中央値からこれ以上離れていれば reverseRatio とする
+    // （8問なら1問分 = 0.125 の差で検出される）
+    reverseRatioTolerance: 0.1
+};
+
+// 質問文の比較で無視する記号・空白
+const IGNORED_CHARACTERS = /[\s、。，．,.!?！？「」『』（）()"'“”‘’・:;：；-]/g;
+
+// ============================================
+// 文字列の比較
+// ============================================
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(IGNORED_CHARACTERS, '');
+}
+
+function countBigrams(text) {
+    const bigrams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+    }
+    return bigrams;
+}
+
+/**
+ * 文字バイグラムの Dice 係数（0 = 共通部分なし ～ 1 = 同じ文字列）
+ * 分かち書きのない日本語と英語を同じ方法で比較できるよう、単語ではなく文字単位で数える
+ * @param {string} a - 正規化済みの文字列
+ * @param {string} b - 正規化済みの文字列
+ * @returns {number}
+ */
+export function textSimilarity(a, b) {
+    const [bigramsA, bigramsB] = [countBigrams(a), countBigrams(b)];
+    let shared = 0;
+    let total = 0;
+    for (const [bigram, count] of bigramsA) {
+        shared += Math.min(count, bigramsB.get(bigram) ?? 0);
+        total += count;
+    }
+    for (const count of bigramsB.values()) total += count;
+    return total === 0 ? (a === b ? 1 : 0) : (2 * shared) / total;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// ============================================
+// 検査
+// ============================================
+
+/**
+ * 質問セットの検査
+ *
+ * @param {Object} sets - 出題モード → 言語 → 質問配列 ({ id, type, text, reverse, legacyId })
+ * @param {Object} [options] - { similarity, maxLength: { 言語: 文字数 }, reverseRatioTolerance }
+ * @returns {Array} 問題の一覧 [{ check, mode, locale, ids, message }]
+ *   mode・locale は問題が特定のモード・言語に限られる場合のみ
+ */
+export function lintQuestionSets(sets, options = {}) {
+    const settings = {
+        ...LINT_DEFAULTS,
+        ...options,
+        maxLength: { ...LINT_DEFAULTS.maxLength, ...options.maxLength }
+    };
+    const problems = [];
+    const report = (check, message, details = {}) => problems.push({ check, ...details, message });
+    const modes = Object.keys(sets);
+
+    for (const mode of modes) {
+        for (const [locale, questions] of Object.entries(sets[mode])) {
+            // 質問IDは言語によらないため、ID の重複・機能の欠落・逆転項目の割合は既定言語でのみ調べる
+            if (locale === Object.keys(sets[mode])[0]) {
+                lintIds(questions, mode, report);
+                lintFunctionBalance(questions, mode, settings, report);
+            }
+            lintTexts(questions, mode, locale, settings, report);
+        }
+    }
+
+    lintIdDrift(sets, report);
+    return problems;
+}
+
+function lintIds(questions, mode, report) {
+    for (const key of ['id', 'legacyId']) {
+        const seen = new Map();
+        for (const question of questions) {
+            const value = question[key];
+            if (value === null || value === undefined) continue;
+            if (seen.has(value)) {
+                report('idCollision', `${key === 'id' ? '質問ID' : '旧ID'} ${value} が重複しています`, {
+                    mode, ids: [seen.get(value), question.id]
+                });
+            } else {
+                seen.set(value, question.id);
+            }
+        }
+    }
+}
+
+function lintFunctionBalance(questions, mode, settings, report) {
+    const ratios = {};
+    for (const funcName of Object.keys(FUNCTIONS)) {
+        const items = questions.filter(q => q.type === funcName);
+        if (items.length === 0) {
+            report('missingFunction', `${funcName} の質問がありません`, { mode, ids: [] });
+            continue;
+        }
+        ratios[funcName] = items.filter(q => q.reverse).length / items.length;
+    }
+
+    for (const [funcName, ratio] of Object.entries(ratios)) {
+        const others = Object.entries(ratios).filter(([name]) => name !== funcName).map(([, value]) => value);
+        if (others.length === 0) continue;
+        const typical = median(others);
+        if (Math.abs(ratio - typical) >= settings.reverseRatioTolerance) {
+            report('reverseRatio',
+                `${funcName} の逆転項目の割合が ${(ratio * 100).toFixed(0)}% です（他の機能の中央値 ${(typical * 100).toFixed(0)}%）`,
+                { mode, ids: questions.filter(q => q.type === funcName && q.reverse).map(q => q.id) });
+        }
+    }
+}
+
+function lintTexts(questions, mode, locale, settings, report) {
+    const maxLength = settings.maxLength[locale];
+    if (maxLength) {
+        for (const question of questions.filter(q => q.text.length > maxLength)) {
+            report('length', `質問文が ${question.text.length} 字です（上限 ${maxLength} 字）: ${question.text}`, {
+                mode, locale, ids: [question.id]
+            });
+        }
+    }
+
+    const normalized = questions.map(q => normalizeText(q.text));
+    for (let i = 0; i < questions.length; i++) {
+        for (let j = i + 1; j < questions.length; j++) {
+            const [a, b] = [questions[i], questions[j]];
+            const relation = a.type === b.type ? `同じ機能 ${a.type}` : `${a.type} と ${b.type}`;
+            if (normalized[i] === normalized[j]) {
+                report('duplicate', `同じ質問文です（${relation}）: ${a.text}`, { mode, locale, ids: [a.id, b.id] });
+                continue;
+            }
+            const similarity = textSimilarity(normalized[i], normalized[j]);
+            if (similarity >= settings.similarity) {
+                report('nearDuplicate', `ほぼ同じ質問文です（${relation}、類似度 ${similarity.toFixed(2)}）: ${a.text} / ${b.text}`, {
+                    mode, locale, ids: [a.id, b.id]
+                });
+            }
+        }
+    }
+}
+
+function lintIdDrift(sets, report) {
+    const [coreMode, fullMode] = LINT_MODES;
+    if (!sets[coreMode] || !sets[fullMode]) return;
+
+    // 簡易版は詳細版の部分集合（クイック版の中核項目の優先・回答記録の比較が前提とする）
+    for (const locale of Object.keys(sets[coreMode])) {
+        const full = sets[fullMode][locale] ?? [];
+        const fullById = new Map(full.map(q => [q.id, q]));
+        const fullByText = new Map(full.map(q => [normalizeText(q.text), q]));
+
+        for (const question of sets[coreMode][locale]) {
+            const counterpart = fullById.get(question.id);
+            if (!counterpart) {
+                const sameText = fullByText.get(normalizeText(question.text));
+                report('idDrift', sameText
+                    ? `${coreMode} の ${question.id} と同じ質問文が ${fullMode} では ${sameText.id} です`
+                    : `${coreMode} の ${question.id} が ${fullMode} にありません`,
+                { locale, ids: sameText ? [question.id, sameText.id] : [question.id] });
+                continue;
+            }
+            const differences = ['type', 'reverse', 'text'].filter(key => counterpart[key] !== question[key]);
+            if (differences.length > 0) {
+                report('idDrift', `${question.id} の ${differences.join(' / ')} が ${coreMode} と ${fullMode} で異なります`, {
+                    locale, ids: [question.id]
+                });
+            }
+        }
+    }
+}
+
+/**
+ * 質問バンクの検査（簡易版・詳細版の全言語を generateQuestions で読み込む）
+ *
+ * @param {Object} [options] - lintQuestionSets の options
+ * @returns {Object} { locales, counts: { モード: 問題数 }, problems }
+ */
+export function lintQuestionBank(options = {}) {
+    const sets = Object.fromEntries(LINT_MODES.map(mode => [
+        mode,
+        Object.fromEntries(QUESTION_BANK_LOCALES.map(locale => [locale, generateQuestions(mode, { locale })]))
+    ]));
+
+    // 不正な項目は読み込み時に除外されて generateQuestions に現れないため、元のファイルも検証する
+    const bank = JSON.parse(readFileSync(new URL('./data/question-bank.json', import.meta.url), 'utf8'));
+    const bankProblems = validateQuestionBank(bank).errors.map(message => ({ check: 'bank', ids: [], message }));
+
+    return {
+        locales: QUESTION_BANK_LOCALES,
+        counts: Object.fromEntries(LINT_MODES.map(mode => [mode, sets[mode][QUESTION_BANK_LOCALES[0]].length])),
+        problems: [...bankProblems, ...lintQuestionSets(sets, options)]
+    };
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function printReport(result) {
+    const counts = Object.entries(result.counts).map(([mode, count]) => `${mode} ${count}問`).join(' / ');
+    console.log(`\n🔎 質問バンクの検査: ${counts}（言語: ${result.locales.join(', ')}）`);
+
+    if (result.problems.length === 0) {
+        console.log('✅ 問題は見つかりませんでした\n');
+        return;
+    }
+
+    const checks = [...new Set(result.problems.map(problem => problem.check))];
+    for (const check of checks) {
+        const problems = result.problems.filter(problem => problem.check === check);
+        console.log(`\n=== ${check} (${problems.length}件) ===`);
+        for (const problem of problems) {
+            const scope = [problem.mode, problem.locale].filter(Boolean).join('/');
+            console.log(`  ${scope ? `[${scope}] ` : ''}${problem.message}${problem.ids.length > 0 ? ` (${problem.ids.join(', ')})` : ''}`);
+        }
+    }
+    console.log(`\n❌ ${result.problems.length}件の問題があります\n`);
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const [key, value] = [args[i], args[i + 1]];
+        switch (key) {
+            case '--similarity': options.similarity = Number.parseFloat(value); break;
+            case '--max-length':
+                options.maxLength = Object.fromEntries(String(value).split(',').map(entry => {
+                    const [locale, length] = entry.split('=');
+                    return [locale, Number.parseInt(length, 10)];
+                }));
+                break;
+            case '--out': options.out = value; break;
+            default:
+                return { error: `不明なオプション: ${key}` };
+        }
+    }
+
+    if (options.similarity !== undefined && !(options.similarity > 0 && options.similarity <= 1)) {
+        return { error: '--similarity は 0 より大きく 1 以下の数値で指定してください' };
+    }
+    if (options.maxLength && !Object.values(options.maxLength).every(length => length > 0)) {
+        return { error: '--max-length は ja=40,en=120 の形式で指定してください' };
+    }
+    return { options };
+}
+
+function main(args) {
+    const { options, error } = parseArgs(args);
+    if (error) {
+        console.error(`❌ ${error}`);
+        process.exit(1);
+    }
+
+    const result = lintQuestionBank(options);
+    printReport(result);
+
+    if (options.out) {
+        writeFileSync(options.out, JSON.stringify(result, null, 2));
+        console.log(`📝 JSONレポートを保存しました: ${options.out}\n`);
+    }
+    process.exit(result.problems.length > 0 ? 1 : 0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,310 @@
+// simulate.js
+
+// 【概要】
+//    合成回答者を大量に生成し、実際の採点経路（calculateScore → determineMBTIType）で判定して
+//    16タイプの出やすさに偏りがないかを調べるモンテカルロ・シミュレーション
+//    - uniform:   全問を一様乱数で回答（内容を読まない回答者）
+//    - biased:    回答者ごとの黙従傾向（賛成寄り/反対寄り）+ ノイズで回答
+//    - prototype: generateMockScores のタイプ原型 + ノイズで回答（真のタイプが既知）
+
+// 【実行方法】
+//    node simulate.js [--count 2000] [--seed 1] [--mode simple|detailed] [--stack jung4|beebe8]
+//                     [--scale likert4|likert5|likert6|likert7]
+//                     [--noise 1.0] [--kinds uniform,biased,prototype] [--out simulation-report.json]
+
+// 【出力】
+//    回答者の種類ごとに、判定タイプの分布と判定タイプ別の平均確信度を表示する
+//    prototype では真のタイプ × 判定タイプの混同行列とタイプ別の正答率も表示する
+//    --out を指定すると同じ内容を JSON で保存する
+//    定数を変更する提案の前後で実行し、分布の変化を比較する用途を想定
+//    --scale を変えて実行すると、同じ回答者を別の段階数で実施した場合の判定を比較できる
+
+import { writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import {
+    calculateFunctionScores,
+    determineMBTIType,
+    generateMockScores,
+    createSeededRandom,
+    createScoringConfig,
+    getLikertScale,
+    LIKERT_SCALES,
+    COGNITIVE_STACKS,
+    STACK_MODELS,
+    CONFIG
+} from './core.js';
+import { getQuestionsByMode } from './data.js';
+
+// ============================================
+// 定数
+// ============================================
+
+const TYPES = Object.keys(COGNITIVE_STACKS);
+
+const SIMULATION_DEFAULTS = {
+    count: 2000,            // 回答者の種類ごとの人数
+    seed: 1,
+    mode: 'simple',
+    stackModel: CONFIG.DEFAULT_STACK_MODEL,
+    noise: 1.0,             // 回答ごとのノイズの標準偏差（5段階の選択肢1段階 = 1.0）
+    kinds: ['uniform', 'biased', 'prototype']
+};
+
+// biased: 回答者ごとの黙従傾向の最大幅（中央値3からのずれ）
+const MAX_ACQUIESCENCE_BIAS = 1.5;
+
+// ============================================
+// 合成回答者
+// ============================================
+
+/**
+ * 標準正規乱数 (Box-Muller)
+ */
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * 中央値からの偏差（5段階換算の連続値）を、尺度の選択肢 1-points に丸める
+ */
+function toLikert(deviation, scale) {
+    const value = Math.round(scale.midpoint + deviation / scale.deviationScale);
+    return Math.max(1, Math.min(scale.points, value));
+}
+
+/**
+ * タイプ原型から、各機能の1問あたりの回答の中心（中央値からの偏差）を求める
+ * generateMockScores の機能スコア（簡易版の範囲）を1問あたりの得点に割り、
+ * calculateScore の強調（べき乗）を逆算して中央値からの偏差に戻す
+ */
+function getPrototypeCenters(type) {
+    const mockScores = generateMockScores(type);
+    const itemsPerFunction = CONFIG.PROBABILITY_SETTINGS.DEFAULT_ITEMS_PER_FUNCTION;
+    return Object.fromEntries(Object.entries(mockScores).map(([funcName, score]) => {
+        const perItem = score / itemsPerFunction;
+        const deviation = Math.sign(perItem) * Math.abs(perItem) ** (1 / CONFIG.SCORE_EMPHASIS_EXPONENT);
+        return [funcName, deviation];
+    }));
+}
+
+/**
+ * 合成回答者1人分の回答を生成
+ *
+ * @param {string} kind - 'uniform' | 'biased' | 'prototype'
+ * @param {Array} questions - 質問配列
+ * @param {Function} random - 乱数関数
+ * @param {Object} options - { noise, scale }
+ *   scale: 回答尺度（getLikertScale の返り値、省略時は5段階）
+ * @returns {Object} { trueType, answers }（trueType は prototype のみ）
+ */
+export function generateRespondent(kind, questions, random, options = {}) {
+    const noise = options.noise ?? SIMULATION_DEFAULTS.noise;
+    const scale = options.scale || getLikertScale();
+    const answers = {};
+
+    if (kind === 'uniform') {
+        for (const q of questions) {
+            answers[q.id] = { value: 1 + Math.floor(random() * scale.points), isReverse: q.reverse };
+        }
+        return { trueType: null, answers };
+    }
+
+    if (kind === 'biased') {
+        // 内容に関係なく、回答者ごとに一定方向へ偏る
+        const center = (random() * 2 - 1) * MAX_ACQUIESCENCE_BIAS;
+        for (const q of questions) {
+            answers[q.id] = { value: toLikert(center + gaussian(random) * noise, scale), isReverse: q.reverse };
+        }
+        return { trueType: null, answers };
+    }
+
+    if (kind === 'prototype') {
+        const trueType = TYPES[Math.floor(random() * TYPES.length)];
+        const centers = getPrototypeCenters(trueType);
+        for (const q of questions) {
+            const agreement = centers[q.type] + gaussian(random) * noise;
+            // 逆転項目は、その機能が強い人ほど「そう思わない」と答える
+            answers[q.id] = { value: toLikert(q.reverse ? -agreement : agreement, scale), isReverse: q.reverse };
+        }
+        return { trueType, answers };
+    }
+
+    console.error(`[generateRespondent] Unknown kind: ${kind}`);
+    return { trueType: null, answers };
+}
+
+// ============================================
+// シミュレーション
+// ============================================
+
+function createTypeTable(createValue) {
+    return Object.fromEntries(TYPES.map(type => [type, createValue(type)]));
+}
+
+/**
+ * 1種類の回答者についてのシミュレーション
+ *
+ * @param {string} kind - 回答者の種類
+ * @param {Object} options - { count, seed, mode, stackModel, noise, config }
+ *   config: 採点設定（createScoringConfig）。回答の生成には組み込みの定数を使い、
+ *   回答尺度だけは config.LIKERT_SCALE に合わせる
+ * @returns {Object} { kind, count, distribution, confusion?, recovery? }
+ */
+export function simulateKind(kind, options = {}) {
+    const settings = { ...SIMULATION_DEFAULTS, ...options };
+    const questions = getQuestionsByMode(settings.mode);
+    const random = createSeededRandom(settings.seed);
+    const scale = getLikertScale((settings.config || CONFIG).LIKERT_SCALE);
+
+    const counts = createTypeTable(() => 0);
+    const confidenceSums = createTypeTable(() => 0);
+    const probabilitySums = createTypeTable(() => 0);
+    const confusion = kind === 'prototype' ? createTypeTable(() => createTypeTable(() => 0)) : null;
+
+    for (let i = 0; i < settings.count; i++) {
+        const { trueType, answers } = generateRespondent(kind, questions, random, { noise: settings.noise, scale });
+        const result = determineMBTIType(calculateFunctionScores(answers, questions, settings.config), COGNITIVE_STACKS, {
+            answers,
+            questions,
+            stackModel: settings.stackModel,
+            config: settings.config,
+            bootstrapSamples: 0
+        });
+        if (!(result.type in counts)) continue;
+
+        counts[result.type]++;
+        confidenceSums[result.type] += result.confidence;
+        probabilitySums[result.type] += result.probabilities[0]?.probability ?? 0;
+        if (confusion) confusion[trueType][result.type]++;
+    }
+
+    const distribution = TYPES.map(type => ({
+        type,
+        count: counts[type],
+        share: counts[type] / settings.count,
+        meanConfidence: counts[type] ? confidenceSums[type] / counts[type] : null,
+        meanTopProbability: counts[type] ? probabilitySums[type] / counts[type] : null
+    }));
+
+    const report = { kind, count: settings.count, distribution };
+    if (confusion) {
+        report.confusion = confusion;
+        report.recovery = TYPES.map(type => {
+            const total = Object.values(confusion[type]).reduce((sum, n) => sum + n, 0);
+            return { type, total, recovered: confusion[type][type], rate: total ? confusion[type][type] / total : null };
+        });
+        report.accuracy = TYPES.reduce((sum, type) => sum + confusion[type][type], 0) / settings.count;
+    }
+    return report;
+}
+
+/**
+ * 指定された全種類の回答者についてシミュレーション
+ * @param {Object} options - simulateKind と同じ + kinds
+ * @returns {Object} { settings, kinds: [...] }
+ */
+export function runSimulation(options = {}) {
+    const settings = { ...SIMULATION_DEFAULTS, ...options };
+    return {
+        settings: {
+            count: settings.count,
+            seed: settings.seed,
+            mode: settings.mode,
+            stackModel: settings.stackModel,
+            scale: (settings.config || CONFIG).LIKERT_SCALE,
+            noise: settings.noise
+        },
+        kinds: settings.kinds.map(kind => simulateKind(kind, settings))
+    };
+}
+
+// ============================================
+// 表示
+// ============================================
+
+function formatPercent(value) {
+    return value === null ? '—' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printKindReport(report) {
+    console.log(`\n=== ${report.kind} (${report.count}人) ===`);
+
+    const shares = report.distribution.map(d => d.share);
+    const expected = 1 / TYPES.length;
+    console.log(`  一様なら各 ${formatPercent(expected)} / 最大 ${formatPercent(Math.max(...shares))} / 最小 ${formatPercent(Math.min(...shares))}`);
+    console.table(Object.fromEntries(report.distribution.map(d => [d.type, {
+        '人数': d.count,
+        '割合': formatPercent(d.share),
+        '平均確信度': d.meanConfidence === null ? '—' : d.meanConfidence.toFixed(1),
+        '平均最大確率': formatPercent(d.meanTopProbability)
+    }])));
+
+    if (report.confusion) {
+        console.log(`  正答率: ${formatPercent(report.accuracy)}`);
+        console.table(Object.fromEntries(report.recovery.map(r => [r.type, {
+            '真のタイプ人数': r.total,
+            '正答率': formatPercent(r.rate)
+        }])));
+        console.log('  混同行列（行: 真のタイプ / 列: 判定タイプ）');
+        console.table(report.confusion);
+    }
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const [key, value] = [args[i], args[i + 1]];
+        switch (key) {
+            case '--count': options.count = Number.parseInt(value, 10); break;
+            case '--seed': options.seed = Number.parseInt(value, 10); break;
+            case '--mode': options.mode = value; break;
+            case '--stack': options.stackModel = value; break;
+            case '--noise': options.noise = Number.parseFloat(value); break;
+            case '--scale': options.scale = value; break;
+            case '--kinds': options.kinds = value.split(','); break;
+            case '--out': options.out = value; break;
+            default:
+                return { error: `不明なオプション: ${key}` };
+        }
+    }
+
+    if (options.count !== undefined && !(options.count > 0)) return { error: '--count は正の整数で指定してください' };
+    if (options.mode !== undefined && !['simple', 'detailed'].includes(options.mode)) return { error: '--mode は simple か detailed です' };
+    if (options.stackModel !== undefined && !(options.stackModel in STACK_MODELS)) return { error: `--stack は ${Object.keys(STACK_MODELS).join(' / ')} です` };
+    if (options.scale !== undefined && !(options.scale in LIKERT_SCALES)) return { error: `--scale は ${Object.keys(LIKERT_SCALES).join(' / ')} です` };
+    if (options.kinds && !options.kinds.every(kind => SIMULATION_DEFAULTS.kinds.includes(kind))) {
+        return { error: `--kinds は ${SIMULATION_DEFAULTS.kinds.join(',')} から選んでください` };
+    }
+    return { options };
+}
+
+function main(args) {
+    const { options, error } = parseArgs(args);
+    if (error) {
+        console.error(`❌ ${error}`);
+        process.exit(1);
+    }
+
+    if (options.scale) options.config = createScoringConfig({ LIKERT_SCALE: options.scale });
+
+    const simulation = runSimulation(options);
+    const { settings } = simulation;
+    console.log(`\n🎲 シミュレーション: mode=${settings.mode} stack=${settings.stackModel} scale=${settings.scale} noise=${settings.noise} seed=${settings.seed}`);
+    simulation.kinds.forEach(printKindReport);
+
+    if (options.out) {
+        writeFileSync(options.out, JSON.stringify(simulation, null, 2));
+        console.log(`\n📝 JSONレポートを保存しました: ${options.out}\n`);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2));
+}
@@ -17,10 +17,59 @@
 
 import {
   calculateScore,
+  calculateItemScores,
   determineMBTIType,
+  calculateValidityIndices,
+  calculateFunctionScores,
+  calculateItemContributions,
+  generateMockScores,
+  selectNextAdaptiveItem,
+  evaluateAdaptiveStop,
   validateConstants,
-  COGNITIVE_STACKS
+  createScoreNormalization,
+  createSeededRandom,
+  orderQuestionsInBlocks,
+  createScoringConfig,
+  analyzeNearTies,
+  findNearestTypes,
+  getNormalizedScore,
+  COGNITIVE_STACKS,
+  FUNCTIONS,
+  LIKERT_SCALES,
+  mbtiDescriptions
 } from './core.js';
+import {
+  getQuestionsByMode,
+  generateQuestions,
+  generateForcedChoiceQuestions,
+  generateScenarioQuestions,
+  getDetailedQuestions,
+  validateQuestionBank,
+  QUESTION_BANK_VERSION,
+  QUESTION_BANK_LOCALES
+} from './data.js';
+import { createTranslator, findMissingMessages, localize, localizeField } from './i18n.js';
+import { readFileSync } from 'node:fs';
+import { cronbachAlpha, analyzeSessions, upgradeSessionRecord } from './item-analysis.js';
+import { simulateKind } from './simulate.js';
+import { lintQuestionBank, lintQuestionSets } from './lint-questions.js';
+import { checkGuideText, locateJsonError, describeGuideSyntaxError, describeGuideProblem, getGuideUrl } from './guide-content.js';
+import { validateGuides } from './validate-guides.js';
+import { renderGuidePage, getStaticGuidePath, getGuidePageLocales } from './build-guides.js';
+import { renderGuideSections } from './guide-render.js';
+import { getCompareUrl, pairComparisons } from './guide-compare.js';
+import {
+  TRAINING_LEVELS,
+  parseExerciseFrequency,
+  getTrainingExercises,
+  createTrainingState,
+  enrollTraining,
+  toggleExerciseCompletion,
+  advanceTrainingLevel,
+  getLevelProgress,
+  suggestTrainingFunctions,
+  hasTrainingProgram
+} from './training.js';
 
 console.log('🔥 スモークテスト開始...\n');
 
@@ -68,6 +117,727 @@ try {
   console.log(`  ✓ 判定タイプ: ${result.type}`);
   console.log(`  ✓ 確信度: ${result.confidence}%\n`);
 
+  // テスト5: 確率分布
+  console.log('🎲 確率分布...');
+  const probabilitySum = result.probabilities.reduce((sum, p) => sum + p.probability, 0);
+  if (result.probabilities.length !== 16 || Math.abs(probabilitySum - 1) > 1e-9) {
+    throw new Error(`確率分布が不正: 件数=${result.probabilities.length}, 合計=${probabilitySum}`);
+  }
+  if (result.probabilities[0].type !== result.type) {
+    throw new Error(`確率1位と判定タイプが不一致: ${result.probabilities[0].type} / ${result.type}`);
+  }
+  console.log(`  ✓ 1位確率: ${(result.probabilities[0].probability * 100).toFixed(1)}%`);
+  console.log(`  ✓ 温度: ${result.probabilityModel.temperature}\n`);
+
+  // テスト6: 二分指標
+  console.log('🔤 二分指標...');
+  for (const type of Object.keys(COGNITIVE_STACKS)) {
+    const { dichotomies } = determineMBTIType(generateMockScores(type), COGNITIVE_STACKS);
+    if (dichotomies.letterType !== type || !dichotomies.agreesWithStack) {
+      throw new Error(`${type} の二分指標が一致しません: ${dichotomies.letterType}`);
+    }
+  }
+  console.log('  ✓ 全16タイプで指標ベースとスタック判定が一致\n');
+
+  // テスト7: Beebe 8機能モデル
+  console.log('🌗 Beebe 8機能モデル...');
+  for (const type of Object.keys(COGNITIVE_STACKS)) {
+    const beebe = determineMBTIType(generateMockScores(type), COGNITIVE_STACKS, { stackModel: 'beebe8' });
+    if (beebe.type !== type || beebe.stackModel !== 'beebe8') {
+      throw new Error(`8機能モデルで ${type} が再現されません: ${beebe.type}`);
+    }
+  }
+  console.log('  ✓ 全16タイプの模擬スコアを再現\n');
+
+  // テスト8: 適応型テスト
+  console.log('🧭 適応型テスト...');
+  const bank = getDetailedQuestions();
+  const target = generateMockScores('ENFP');
+  const adaptiveAnswers = {};
+  const leaderHistory = [];
+  let status = null;
+  for (let item = selectNextAdaptiveItem(bank, adaptiveAnswers, COGNITIVE_STACKS, { random: () => 0 });
+       item;
+       item = selectNextAdaptiveItem(bank, adaptiveAnswers, COGNITIVE_STACKS, { random: () => 0 })) {
+    const deviation = Math.max(-2, Math.min(2, Math.round(target[item.type] / 7.5)));
+    const value = item.reverse ? 3 - deviation : 3 + deviation;
+    adaptiveAnswers[item.id] = { value, isReverse: item.reverse };
+    status = evaluateAdaptiveStop(bank, adaptiveAnswers, leaderHistory, COGNITIVE_STACKS);
+    leaderHistory.push(status.leader);
+    if (status.stop) break;
+  }
+  if (!status || status.leader !== 'ENFP' || status.itemsUsed >= bank.length) {
+    throw new Error(`適応型テストの判定異常: ${JSON.stringify(status)}`);
+  }
+  console.log(`  ✓ ${status.itemsUsed}問で ${status.leader} を判定 (${status.reason})\n`);
+
+  // テスト9: 回答妥当性指標
+  console.log('🛡 回答妥当性...');
+  const questions = getQuestionsByMode('simple');
+  const straightAnswers = {};
+  questions.forEach(q => {
+    straightAnswers[q.id] = { value: 5, isReverse: q.reverse };
+  });
+  const invalid = calculateValidityIndices(straightAnswers, questions);
+  if (invalid.isInterpretable || !invalid.straightLining.flagged || !invalid.acquiescence.flagged) {
+    throw new Error(`全問同一回答が検出されていません: ${JSON.stringify(invalid.flags)}`);
+  }
+  const consistentAnswers = {};
+  questions.forEach((q, i) => {
+    const value = i % 2 === 0 ? 4 : 2;
+    consistentAnswers[q.id] = { value: q.reverse ? 6 - value : value, isReverse: q.reverse };
+  });
+  const valid = calculateValidityIndices(consistentAnswers, questions);
+  if (!valid.isInterpretable) {
+    throw new Error(`一貫した回答が無効判定されました: ${JSON.stringify(valid.flags)}`);
+  }
+  console.log(`  ✓ 無効パターン検出: ${invalid.flags.map(f => f.index).join(', ')}`);
+  console.log(`  ✓ 一貫した回答: 解釈可能\n`);
+
+  // テスト10: 項目別寄与
+  console.log('🧾 項目別寄与...');
+  const mixedAnswers = {};
+  questions.forEach((q, i) => {
+    mixedAnswers[q.id] = { value: (i * 7) % 5 + 1, isReverse: q.reverse };
+  });
+  const mixedResult = determineMBTIType(calculateFunctionScores(mixedAnswers, questions), COGNITIVE_STACKS);
+  const attribution = calculateItemContributions(mixedAnswers, questions, mixedResult, COGNITIVE_STACKS);
+  const effectSum = attribution.items.reduce((sum, item) => sum + item.effect, 0);
+  const expectedGap = mixedResult.typeScores[mixedResult.top2[0]] - mixedResult.typeScores[mixedResult.top2[1]];
+  if (attribution.items.length !== questions.length || Math.abs(effectSum - expectedGap) > 0.1) {
+    throw new Error(`寄与の合計がスコア差と一致しません: ${effectSum} / ${expectedGap}`);
+  }
+  console.log(`  ✓ 寄与の合計 = スコア差 (${expectedGap.toFixed(2)})\n`);
+
+  // テスト11: モード別正規化
+  console.log('📏 モード別正規化...');
+  for (const modeQuestions of [questions, getDetailedQuestions()]) {
+    const normalization = createScoreNormalization(modeQuestions);
+    const count = normalization.itemsPerFunction.Ni;
+    const maxRaw = count * calculateScore(5, false);
+    if (getNormalizedScore(maxRaw, normalization, 'Ni') !== 100 ||
+        getNormalizedScore(maxRaw * 0.9, normalization, 'Ni') === 100 ||
+        getNormalizedScore(0, normalization, 'Ni') !== 50) {
+      throw new Error(`${count}問モードの正規化範囲が不正です`);
+    }
+  }
+  const normTable = { functions: { Ni: [[-10, 5], [0, 40], [10, 95]] } };
+  const empirical = createScoreNormalization(questions, { normTable });
+  if (getNormalizedScore(5, empirical, 'Ni') !== 68 || getNormalizedScore(30, empirical, 'Ni') !== 95) {
+    throw new Error('ノルム表によるパーセンタイル変換が不正です');
+  }
+  console.log('  ✓ 簡易版・詳細版とも理論的最大値 = 100');
+  console.log('  ✓ ノルム表による補間\n');
+
+  // テスト12: 項目分析
+  console.log('🔬 項目分析...');
+  const parallelAlpha = cronbachAlpha([[1, 1], [2, 2], [3, 3]]);
+  if (Math.abs(parallelAlpha - 1) > 1e-9) {
+    throw new Error(`完全に一致する項目の α が1になりません: ${parallelAlpha}`);
+  }
+  // Ni の逆転項目だけ、逆転として読まれていない回答パターン
+  const niReverse = questions.find(q => q.type === 'Ni' && q.reverse);
+  const sessions = [1, 2, 3, 4, 5].map(level => ({
+    format: 'mbti-session',
+    mode: 'simple',
+    answers: Object.fromEntries(questions.map(q => [
+      q.id,
+      q.reverse && q.id !== niReverse.id ? 6 - level : level
+    ]))
+  }));
+  // 適応型テストのように一部の項目だけに答えたセッションは、除外した数として報告される
+  const adaptiveSession = {
+    format: 'mbti-session',
+    mode: 'adaptive',
+    questionSet: 'simple',
+    answers: Object.fromEntries(questions.filter(q => q.type !== 'Ni').map(q => [q.id, 3]))
+  };
+  const analysis = analyzeSessions([...sessions, adaptiveSession]).questionSets[0];
+  const flaggedIds = analysis.flags.filter(f => f.kind === 'reverseKeying').map(f => f.id);
+  if (flaggedIds.length !== 1 || flaggedIds[0] !== niReverse.id) {
+    throw new Error(`逆転項目の検出が不正です: ${JSON.stringify(flaggedIds)}`);
+  }
+  if (analysis.partialSessions.count !== 1 || analysis.partialSessions.adaptive !== 1 || analysis.functions.Ni.completeCases !== sessions.length) {
+    throw new Error(`一部の項目だけに答えたセッションの除外が報告されません: ${JSON.stringify(analysis.partialSessions)}`);
+  }
+  console.log(`  ✓ 逆転として読まれていない項目を検出 (#${niReverse.id})`);
+  console.log('  ✓ 一部の項目だけに答えたセッション（適応型）の除外を報告\n');
+
+  // テスト13: シミュレーション
+  console.log('🎲 シミュレーション...');
+  const randomA = createSeededRandom(42);
+  const randomB = createSeededRandom(42);
+  if ([1, 2, 3].some(() => randomA() !== randomB())) {
+    throw new Error('同じシードの乱数列が一致しません');
+  }
+  const noiseless = simulateKind('prototype', { count: 64, seed: 3, noise: 0 });
+  if (noiseless.accuracy !== 1) {
+    throw new Error(`ノイズなしの原型でタイプが復元されません: ${noiseless.accuracy}`);
+  }
+  console.log('  ✓ シード付き乱数の再現性');
+  console.log('  ✓ ノイズなしの原型は全員正しく判定\n');
+
+  // テスト14: 採点設定の差し替え
+  console.log('🧪 採点設定の差し替え...');
+  const linearConfig = createScoringConfig({ SCORE_EMPHASIS_EXPONENT: 1.0 });
+  if (calculateScore(5, false, linearConfig) !== 2 || calculateScore(5, false) === 2) {
+    throw new Error('強調指数の差し替えが calculateScore に反映されていません');
+  }
+  const infpScores = generateMockScores('INFP');
+  const flatConfig = createScoringConfig({ JUNG_FUNCTION_WEIGHTS: { DOMINANT: 1, AUXILIARY: 1, TERTIARY: 1, INFERIOR: 1 } });
+  const flatResult = determineMBTIType(infpScores, COGNITIVE_STACKS, { config: flatConfig });
+  const defaultResult = determineMBTIType(infpScores, COGNITIVE_STACKS, { config: createScoringConfig() });
+  if (defaultResult.type !== 'INFP' || flatResult.confidence !== 0 || flatConfig.BEEBE_FUNCTION_WEIGHTS.DOMINANT !== 1) {
+    throw new Error('重みの差し替えが determineMBTIType に反映されていません');
+  }
+  console.log('  （以下の整合性チェック失敗は意図したもの）');
+  if (validateConstants(createScoringConfig({ SCORE_EMPHASIS_EXPONENT: 3.0 })) ||
+      validateConstants(createScoringConfig({ JUNG_FUNCTION_WEIGHTS: { DOMINANT: 0.1 } }))) {
+    throw new Error('不正な採点設定が validateConstants を通過しました');
+  }
+  console.log('  ✓ 強調指数・重みの差し替え');
+  console.log('  ✓ 差し替えた設定の検証\n');
+
+  // テスト15: 僅差タイプ
+  console.log('⚖ 僅差タイプ...');
+  const tieScores = { Ni: 15, Te: 6, Fe: 5.5, Fi: 3, Ti: 3, Se: -5, Ne: 0, Si: 0 };
+  const tieResult = determineMBTIType(tieScores, COGNITIVE_STACKS);
+  const nearTies = analyzeNearTies(tieResult, COGNITIVE_STACKS, { functionScores: tieScores });
+  const tieTypes = nearTies.group.map(entry => entry.type);
+  if (!nearTies.isTie || !tieTypes.includes('INTJ') || !tieTypes.includes('INFJ') ||
+      nearTies.deciding.position !== 'AUXILIARY' ||
+      nearTies.summaryEn !== 'Ni-dominant, Te vs Fe auxiliary undecided') {
+    throw new Error(`INTJ/INFJ の僅差が検出されません: ${JSON.stringify(nearTies)}`);
+  }
+  const clearTies = analyzeNearTies(determineMBTIType(generateMockScores('ESTP'), COGNITIVE_STACKS), COGNITIVE_STACKS);
+  if (clearTies.isTie) {
+    throw new Error(`明確なプロファイルが僅差と判定されました: ${JSON.stringify(clearTies.group)}`);
+  }
+  console.log(`  ✓ ${nearTies.summaryEn}`);
+  console.log('  ✓ 明確なプロファイルは単独判定\n');
+
+  // テスト16: 回答尺度（段階数）の切り替え
+  console.log('📏 回答尺度の切り替え...');
+  const scale7 = createScoringConfig({ LIKERT_SCALE: 'likert7' });
+  const scale4 = createScoringConfig({ LIKERT_SCALE: 'likert4' });
+  if (Math.abs(calculateScore(7, false, scale7) - calculateScore(5, false)) > 1e-9 ||
+      Math.abs(calculateScore(1, true, scale7) - calculateScore(5, false)) > 1e-9 ||
+      calculateScore(4, false, scale7) !== 0) {
+    throw new Error('7段階の両端・中央値が5段階と対応していません');
+  }
+  if (!(calculateScore(2, false, scale4) < 0 && calculateScore(3, false, scale4) > 0) ||
+      calculateScore(2, false, scale4) !== -calculateScore(3, false, scale4) ||
+      calculateScore(4, true, scale4) !== calculateScore(1, false, scale4)) {
+    throw new Error('4段階（中立なし）の偏差・逆転が正しくありません');
+  }
+  const scale5 = createScoringConfig();
+  if (scale5.LIKERT_SCALE_MIDPOINT !== 3 || scale5.LIKERT_SCALE_REVERSE_BASE !== 6 ||
+      scale7.LIKERT_SCALE_MIDPOINT !== 4 || scale7.LIKERT_SCALE_REVERSE_BASE !== 8) {
+    throw new Error('CONFIG の LIKERT_SCALE_MIDPOINT / LIKERT_SCALE_REVERSE_BASE が尺度と一致しません');
+  }
+  const range5 = createScoreNormalization(questions).ranges.Ni;
+  const range7 = createScoreNormalization(questions, { config: scale7 }).ranges.Ni;
+  if (Math.abs(range5.max - range7.max) > 1e-9 || !validateConstants(scale7) || !validateConstants(scale4)) {
+    throw new Error(`7段階の正規化範囲が5段階と一致しません: ${JSON.stringify({ range5, range7 })}`);
+  }
+  console.log('  ✓ 7段階の両端・中央値は5段階と同じ得点');
+  console.log('  ✓ 4段階は中立なしで逆転も対称');
+  console.log('  ✓ CONFIG の中点・反転の基準値は尺度から求めた値');
+  console.log('  ✓ 正規化範囲は段階数によらず一致\n');
+
+  // テスト17: 質問バンク
+  console.log('📚 質問バンク...');
+  const bankJson = JSON.parse(readFileSync(new URL('./data/question-bank.json', import.meta.url), 'utf8'));
+  if (!validateQuestionBank(bankJson).valid || !QUESTION_BANK_VERSION) {
+    throw new Error(`質問バンクの検証に失敗しました: ${validateQuestionBank(bankJson).errors.join(' / ')}`);
+  }
+  const brokenBank = { ...bankJson, items: [...bankJson.items, { ...bankJson.items[0] }] };
+  const brokenCheck = validateQuestionBank(brokenBank);
+  if (brokenCheck.valid || !brokenCheck.errors.some(message => message.includes('重複'))) {
+    throw new Error('重複した項目IDが検出されません');
+  }
+  const legacySession = upgradeSessionRecord({ format: 'mbti-session', version: 1, mode: 'simple', answers: { 1: 5, 64: 2 } });
+  const firstNi = questions.find(q => q.legacyId === 1);
+  const lastFe = questions.find(q => q.legacyId === 64);
+  if (legacySession.answers[firstNi.id] !== 5 || legacySession.answers[lastFe.id] !== 2 || lastFe.type !== 'Fe') {
+    throw new Error(`旧形式の回答記録を変換できません: ${JSON.stringify(legacySession.answers)}`);
+  }
+  console.log(`  ✓ 質問バンク v${QUESTION_BANK_VERSION} の検証`);
+  console.log('  ✓ 重複IDの検出');
+  console.log('  ✓ 旧形式の回答記録 (連番ID) の変換\n');
+
+  // テスト18: テストの長さ（クイック・カスタム）
+  console.log('📐 テストの長さ...');
+  const quickQuestions = getQuestionsByMode('quick');
+  const customQuestions = getQuestionsByMode('custom', { itemsPerFunction: 6 });
+  if (quickQuestions.length !== 32 || customQuestions.length !== 48 || getDetailedQuestions().length !== 96) {
+    throw new Error(`問題数が不正です: quick=${quickQuestions.length} custom=${customQuestions.length}`);
+  }
+  for (const funcName of ['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']) {
+    const items = customQuestions.filter(q => q.type === funcName);
+    if (items.length !== 6 || !items.some(q => q.reverse) || items.every(q => q.reverse)) {
+      throw new Error(`${funcName} の逆転項目の比率が保たれていません`);
+    }
+  }
+  const customAgain = getQuestionsByMode('custom', { itemsPerFunction: 6 }).map(q => q.id).join();
+  if (customAgain !== customQuestions.map(q => q.id).join()) {
+    throw new Error('同じ問題数のカスタムで選ばれる質問が変わりました');
+  }
+  console.log('  ✓ クイック 32問 / カスタム 各機能6問 / 詳細 96問');
+  console.log('  ✓ 各機能に通常項目と逆転項目を含む');
+  console.log('  ✓ 同じ問題数なら同じ質問を選ぶ\n');
+
+  // テスト19: 層別ブロックの出題順
+  console.log('🔀 出題順...');
+  for (let seed = 0; seed < 200; seed++) {
+    const ordered = orderQuestionsInBlocks(questions, createSeededRandom(seed));
+    const types = ordered.map(q => q.type);
+    if (ordered.length !== questions.length || types.some((type, i) => i > 0 && type === types[i - 1])) {
+      throw new Error(`シード ${seed}: 同じ機能が連続しています`);
+    }
+    for (let start = 0; start < types.length; start += 8) {
+      if (new Set(types.slice(start, start + 8)).size !== 8) {
+        throw new Error(`シード ${seed}: ${start + 1}問目からのブロックに全機能が揃っていません`);
+      }
+    }
+  }
+  const orderA = orderQuestionsInBlocks(questions, createSeededRandom(99)).map(q => q.id).join();
+  const orderB = orderQuestionsInBlocks(questions, createSeededRandom(99)).map(q => q.id).join();
+  if (orderA !== orderB) {
+    throw new Error('同じシードで出題順が一致しません');
+  }
+  console.log('  ✓ 200シードで連続なし・8問ごとに全機能');
+  console.log('  ✓ 同じシードで同じ出題順\n');
+
+  // テスト20: 英語表示
+  console.log('🌐 英語表示...');
+  const untranslated = bankJson.items.filter(item => !item.text.en?.trim()).map(item => item.id);
+  if (!QUESTION_BANK_LOCALES.includes('en') || untranslated.length > 0) {
+    throw new Error(`英語の質問文がない項目があります: ${untranslated.join(', ')}`);
+  }
+  const simpleJa = getQuestionsByMode('simple');
+  const simpleEn = getQuestionsByMode('simple', { locale: 'en' });
+  const quickEn = getQuestionsByMode('quick', { locale: 'en' });
+  if (simpleEn.map(q => q.id).join() !== simpleJa.map(q => q.id).join() ||
+      simpleEn.some((q, i) => q.text === simpleJa[i].text) ||
+      quickEn.some(q => /[ぁ-んァ-ン一-龯]/.test(q.text))) {
+    throw new Error('英語の質問セットが日本語版と対応していません');
+  }
+  if (getQuestionsByMode('simple', { locale: 'fr' })[0].text !== simpleJa[0].text) {
+    throw new Error('翻訳のない言語で既定言語の質問文になりません');
+  }
+  const unknownLocaleBank = { ...bankJson, items: [{ ...bankJson.items[0], text: { ja: 'テスト', fr: 'test' } }] };
+  if (!validateQuestionBank(unknownLocaleBank).errors.some(error => error.includes('locales にない言語'))) {
+    throw new Error('locales にない言語の質問文を検出できません');
+  }
+  const missingMessages = findMissingMessages();
+  if (missingMessages.ja.length > 0 || missingMessages.en.length > 0) {
+    throw new Error(`翻訳漏れの文言があります: ${JSON.stringify(missingMessages)}`);
+  }
+  const tEn = createTranslator('en');
+  if (tEn('start.count', { count: 32 }) !== '32 questions' || createTranslator('xx')('start.customStart') !== '開始') {
+    throw new Error('文言の差し込み・既定言語への切り替えが正しくありません');
+  }
+  if (localize({ ja: '日本語', en: 'English' }, 'en') !== 'English' || localize({ ja: '日本語' }, 'en') !== '日本語' ||
+      localize('原文', 'en') !== '原文' || localize({ essence: '本質' }, 'en').essence !== '本質') {
+    throw new Error('言語別の値の取り出しが正しくありません');
+  }
+  const untranslatedData = [
+    ...Object.entries(mbtiDescriptions).filter(([, desc]) => !desc.nameEn || !desc.descriptionEn).map(([type]) => type),
+    ...Object.entries(FUNCTIONS).filter(([, func]) => !func.fullNameEn || !func.descriptionEn).map(([name]) => name),
+    ...Object.entries(LIKERT_SCALES).filter(([, scale]) => scale.labelsEn?.length !== scale.points).map(([name]) => name)
+  ];
+  if (untranslatedData.length > 0 || localizeField(mbtiDescriptions.INTJ, 'name', 'en') !== 'Architect' ||
+      localizeField(mbtiDescriptions.INTJ, 'name', 'ja') !== '建築家') {
+    throw new Error(`英語のないタイプ・機能・尺度があります: ${untranslatedData.join(', ')}`);
+  }
+  const enValidity = calculateValidityIndices(
+    Object.fromEntries(simpleEn.map(q => [q.id, { value: 5, isReverse: q.reverse }])), simpleEn
+  );
+  if (enValidity.flags.length === 0 || enValidity.flags.some(flag => !flag.messageEn)) {
+    throw new Error('回答傾向の警告に英語のメッセージがありません');
+  }
+  console.log(`  ✓ 質問バンクの全${bankJson.items.length}項目に英語の質問文`);
+  console.log('  ✓ 英語の質問セットが日本語版と同じ項目・翻訳のない言語は日本語');
+  console.log('  ✓ UI 文言の翻訳漏れなし・差し込み');
+  console.log('  ✓ タイプ説明・機能名・選択肢・警告の英語版\n');
+
+  // テスト21: タイプ別ガイド
+  console.log('🧬 タイプ別ガイド...');
+  const typeContent = JSON.parse(readFileSync(new URL('./data/types.json', import.meta.url), 'utf8'));
+  const incompleteTypes = Object.keys(COGNITIVE_STACKS).filter(type => {
+    const content = typeContent.types[type];
+    return !content || !content.tagline?.en || !content.overview?.en ||
+      !(content.strengths?.length > 0) || !(content.growthAreas?.length > 0) ||
+      [...content.strengths, ...content.growthAreas].some(item => !item.ja || !item.en);
+  });
+  if (incompleteTypes.length > 0) {
+    throw new Error(`タイプ別ガイドの内容が不足しています: ${incompleteTypes.join(', ')}`);
+  }
+  const intjNeighbours = findNearestTypes('INTJ', COGNITIVE_STACKS);
+  if (intjNeighbours.map(n => n.type).join() !== 'ENTJ,INFJ,ISFP') {
+    throw new Error(`INTJ の近接タイプが想定外です: ${intjNeighbours.map(n => n.type).join()}`);
+  }
+  const infj = intjNeighbours.find(n => n.type === 'INFJ');
+  if (infj.samePosition.map(entry => entry.function).join() !== 'Ni,Se' ||
+      infj.onlyOwn.join() !== 'Te,Fi' || infj.onlyOther.join() !== 'Fe,Ti') {
+    throw new Error('近接タイプとの共通機能・異なる機能が正しくありません');
+  }
+  const entj = intjNeighbours.find(n => n.type === 'ENTJ');
+  if (entj.moved.length !== 4 || entj.moved[0].from !== 'DOMINANT' || entj.moved[0].to !== 'AUXILIARY') {
+    throw new Error('近接タイプとの機能の位置の違いが正しくありません');
+  }
+  if (findNearestTypes('XXXX', COGNITIVE_STACKS).length !== 0) {
+    throw new Error('不明なタイプで空の結果になりません');
+  }
+  console.log(`  ✓ 全${Object.keys(typeContent.types).length}タイプの概要・強み・成長の課題（日英）`);
+  console.log('  ✓ 近接タイプ: INTJ → ENTJ / INFJ / ISFP と機能の共通点・違い\n');
+
+  // テスト22: 質問バンクの検査
+  console.log('🔍 質問バンクの検査...');
+  const bankLint = lintQuestionBank();
+  if (bankLint.problems.length > 0) {
+    throw new Error(`質問バンクに問題があります: ${bankLint.problems.map(p => p.message).join(' / ')}`);
+  }
+  const lintSimple = generateQuestions('simple');
+  const lintDetailed = generateQuestions('detailed');
+  const brokenSimple = [
+    ...lintSimple.filter(q => q.type !== 'Se'),
+    { ...lintSimple[0], text: lintSimple[1].text },
+    { ...lintSimple[2], id: 'Ni-98', legacyId: null, text: `${lintSimple[2].text}と思う` },
+    { ...lintSimple[3], id: 'Ni-99', legacyId: null, text: '長い'.repeat(30) }
+  ].map(q => (q.type === 'Fe' ? { ...q, reverse: true } : q));
+  const lintChecks = new Set(lintQuestionSets({
+    simple: { ja: brokenSimple },
+    detailed: { ja: lintDetailed }
+  }).map(p => p.check));
+  const expectedChecks = ['duplicate', 'nearDuplicate', 'reverseRatio', 'idCollision', 'idDrift', 'length', 'missingFunction'];
+  const undetected = expectedChecks.filter(check => !lintChecks.has(check));
+  if (undetected.length > 0) {
+    throw new Error(`質問バンクの検査で検出できない問題があります: ${undetected.join(', ')}`);
+  }
+  console.log(`  ✓ 現行の質問バンク（${Object.values(bankLint.counts).join(' / ')}問）に問題なし`);
+  console.log(`  ✓ 重複・偏り・IDのずれ・長文・機能の欠落を検出 (${expectedChecks.length}種類)\n`);
+
+  // テスト23: 強制選択項目
+  console.log('⚔ 強制選択項目...');
+  const forcedChoice = generateForcedChoiceQuestions();
+  const statementCounts = Object.fromEntries(Object.keys(FUNCTIONS).map(f => [f, 0]));
+  forcedChoice.forEach(q => q.statements.forEach(statement => statementCounts[statement.type]++));
+  if (forcedChoice.length === 0 || new Set(Object.values(statementCounts)).size !== 1) {
+    throw new Error(`強制選択項目の機能の出現回数が偏っています: ${JSON.stringify(statementCounts)}`);
+  }
+  const [fcA, fcB] = forcedChoice[0].statements.map(statement => statement.type);
+  const towardA = calculateItemScores(forcedChoice[0], 1);
+  const towardB = calculateItemScores(forcedChoice[0], 4);
+  if (!(towardA[fcA] > 0) || towardA[fcA] !== -towardA[fcB] || towardA[fcA] !== towardB[fcB]) {
+    throw new Error(`強制選択の採点が対称になっていません: ${JSON.stringify({ towardA, towardB })}`);
+  }
+
+  // Likert 項目をすべて中央で答えると、強制選択項目の回答だけが機能スコアを動かす
+  const mixed = getQuestionsByMode('simple', { forcedChoice: true });
+  const likertOnly = mixed.filter(q => q.format !== 'forcedChoice');
+  const fcAnswers = Object.fromEntries(mixed.map(q => [q.id, q.format === 'forcedChoice' ? 4 : 3]));
+  const fcScores = calculateFunctionScores(fcAnswers, mixed);
+  const expectedMixed = Object.fromEntries(Object.keys(FUNCTIONS).map(f => [f, 0]));
+  forcedChoice.forEach(q => {
+    for (const [funcName, score] of Object.entries(calculateItemScores(q, 4))) expectedMixed[funcName] += score;
+  });
+  if (Object.keys(FUNCTIONS).some(f => Math.abs(fcScores[f] - expectedMixed[f]) > 1e-9) ||
+      Math.abs(Object.values(fcScores).reduce((sum, v) => sum + v, 0)) > 1e-9) {
+    throw new Error(`混在した質問セットの機能スコアが正しくありません: ${JSON.stringify(fcScores)}`);
+  }
+  const mixedNormalization = createScoreNormalization(mixed);
+  const likertNormalization = createScoreNormalization(likertOnly);
+  if (mixedNormalization.itemsPerFunction.Ni !== likertNormalization.itemsPerFunction.Ni + statementCounts.Ni ||
+      !(mixedNormalization.ranges.Ni.max > likertNormalization.ranges.Ni.max)) {
+    throw new Error('強制選択項目が正規化範囲に含まれていません');
+  }
+  const mixedValidity = calculateValidityIndices(fcAnswers, mixed);
+  const likertValidity = calculateValidityIndices(fcAnswers, likertOnly);
+  if (JSON.stringify(mixedValidity) !== JSON.stringify(likertValidity)) {
+    throw new Error('妥当性指標に強制選択項目が含まれています');
+  }
+  const mixedContributions = calculateItemContributions(
+    fcAnswers, mixed, determineMBTIType(fcScores, COGNITIVE_STACKS), COGNITIVE_STACKS
+  );
+  const fcContribution = mixedContributions.items.find(item => item.id === forcedChoice[0].id);
+  if (fcContribution?.format !== 'forcedChoice' || fcContribution.function !== `${fcA} / ${fcB}`) {
+    throw new Error('項目別の寄与に強制選択項目が正しく表示されません');
+  }
+  const fcReport = analyzeSessions([{ format: 'mbti-session', version: 2, mode: 'simple', forcedChoice: true, answers: fcAnswers }]).questionSets[0];
+  if (fcReport.excludedFormats.forcedChoice?.answers !== forcedChoice.length || fcReport.functions.Ni.itemCount !== likertNormalization.itemsPerFunction.Ni) {
+    throw new Error(`項目分析が強制選択項目の除外を報告しません: ${JSON.stringify(fcReport.excludedFormats)}`);
+  }
+
+  const fcBank = JSON.parse(readFileSync(new URL('./data/question-bank.json', import.meta.url), 'utf8'));
+  const brokenFc = structuredClone(fcBank.forcedChoiceItems[0]);
+  brokenFc.id = 'FC-99';
+  brokenFc.statements[1].function = brokenFc.statements[0].function;
+  const fcValidation = validateQuestionBank({ ...fcBank, forcedChoiceItems: [...fcBank.forcedChoiceItems, brokenFc] });
+  if (fcValidation.valid || fcValidation.forcedChoiceItems.length !== fcBank.forcedChoiceItems.length ||
+      !fcValidation.errors.some(error => error.includes('FC-99'))) {
+    throw new Error('同じ機能どうしの強制選択項目を検出できません');
+  }
+  console.log(`  ✓ ${forcedChoice.length}問（各機能${statementCounts.Ni}回）、選んだ側 + / 選ばなかった側 - で対称に採点`);
+  console.log(`  ✓ Likert ${likertOnly.length}問との混在: 機能スコア・正規化範囲・項目別の寄与に反映、妥当性指標・項目分析は対象外\n`);
+
+  // テスト24: 場面想定項目
+  console.log('🎬 場面想定項目...');
+  const scenarios = generateScenarioQuestions();
+  const scenarioWeightTotals = Object.fromEntries(Object.keys(FUNCTIONS).map(f => [f, 0]));
+  scenarios.forEach(q => q.options.forEach(option => {
+    for (const [funcName, weight] of Object.entries(option.weights)) scenarioWeightTotals[funcName] += weight;
+  }));
+  if (scenarios.length === 0 || new Set(Object.values(scenarioWeightTotals)).size !== 1) {
+    throw new Error(`場面想定項目の機能の重みが偏っています: ${JSON.stringify(scenarioWeightTotals)}`);
+  }
+  // 重み × 2 を Likert の偏差と同じく強調 (重み 1 で Likert の両端と同じ強さ)
+  const scenarioScore = weight => Math.sign(weight) * Math.pow(Math.abs(weight * 2), createScoringConfig().SCORE_EMPHASIS_EXPONENT);
+  const scenarioOption = scenarios[0].options[0];
+  const scenarioScores = calculateItemScores(scenarios[0], 1);
+  if (Object.keys(scenarioScores).length < 2 ||
+      Object.entries(scenarioOption.weights).some(([f, weight]) => Math.abs(scenarioScores[f] - scenarioScore(weight)) > 1e-9)) {
+    throw new Error(`場面想定項目の採点が選択肢の重みと一致しません: ${JSON.stringify(scenarioScores)}`);
+  }
+  const linearScenarioScores = calculateItemScores(scenarios[0], 1, createScoringConfig({ SCORE_EMPHASIS_EXPONENT: 1.0 }));
+  if (Object.entries(scenarioOption.weights).some(([f, weight]) => Math.abs(linearScenarioScores[f] - weight * 2) > 1e-9)) {
+    throw new Error(`場面想定項目の採点に強調指数が効いていません: ${JSON.stringify(linearScenarioScores)}`);
+  }
+  if (Object.keys(calculateItemScores(scenarios[0], scenarios[0].options.length + 1)).length !== 0) {
+    throw new Error('存在しない選択肢の回答がスコアを動かしています');
+  }
+
+  // 回答の変更（古いスコアを引いて新しいスコアを足す）で、最初から新しい回答をした場合と同じになる
+  const scenarioSet = getQuestionsByMode('quick', { scenarios: true, forcedChoice: true });
+  const changedScores = calculateFunctionScores({ [scenarios[0].id]: 1 }, scenarioSet);
+  for (const [funcName, score] of Object.entries(calculateItemScores(scenarios[0], 1))) changedScores[funcName] -= score;
+  for (const [funcName, score] of Object.entries(calculateItemScores(scenarios[0], 3))) changedScores[funcName] += score;
+  const directScores = calculateFunctionScores({ [scenarios[0].id]: 3 }, scenarioSet);
+  if (Object.keys(FUNCTIONS).some(f => Math.abs(changedScores[f] - directScores[f]) > 1e-9)) {
+    throw new Error('場面想定項目の回答を変更したときのスコアが一致しません');
+  }
+  // 各場面で最も Ni の重みが大きい選択肢を選んだときが最大、Ni の重みのない選択肢を選んだときが最小 (0)
+  const scenarioNormalization = createScoreNormalization(scenarios);
+  const expectedNiMax = scenarios.reduce(
+    (sum, q) => sum + Math.max(0, ...q.options.map(option => scenarioScore(option.weights.Ni ?? 0))), 0
+  );
+  if (scenarioNormalization.ranges.Ni.min !== 0 || scenarioNormalization.ranges.Ni.max !== expectedNiMax) {
+    throw new Error(`場面想定項目の正規化範囲が正しくありません: ${JSON.stringify(scenarioNormalization.ranges.Ni)}`);
+  }
+  const scenarioOrder = orderQuestionsInBlocks(scenarioSet, createSeededRandom(7));
+  const firstBlocks = scenarioOrder.slice(0, 4 * 10);
+  for (let k = 0; k < 4; k++) {
+    const block = firstBlocks.slice(k * 10, k * 10 + 10);
+    if (block.filter(q => q.format === 'scenario').length !== 1 || block.filter(q => q.format === 'forcedChoice').length !== 1) {
+      throw new Error(`ブロック ${k + 1} に場面想定項目・強制選択項目が1問ずつ入っていません`);
+    }
+  }
+  const scenarioReport = analyzeSessions([{
+    format: 'mbti-session', version: 2, mode: 'quick', scenarios: true, forcedChoice: true,
+    answers: Object.fromEntries(scenarioSet.map(q => [q.id, 1]))
+  }]).questionSets[0];
+  if (scenarioReport.excludedFormats.scenario?.answers !== scenarios.length) {
+    throw new Error(`項目分析が場面想定項目の除外を報告しません: ${JSON.stringify(scenarioReport.excludedFormats)}`);
+  }
+
+  const scBank = JSON.parse(readFileSync(new URL('./data/question-bank.json', import.meta.url), 'utf8'));
+  const brokenScenario = structuredClone(scBank.scenarioItems[0]);
+  brokenScenario.id = 'SC-99';
+  brokenScenario.options = brokenScenario.options.slice(0, 2);
+  brokenScenario.options[0].weights = { Xx: 1, Ni: 2 };
+  const scValidation = validateQuestionBank({ ...scBank, scenarioItems: [...scBank.scenarioItems, brokenScenario] });
+  const scErrors = scValidation.errors.filter(error => error.includes('SC-99'));
+  if (scValidation.scenarioItems.length !== scBank.scenarioItems.length || scErrors.length !== 3) {
+    throw new Error(`不正な場面想定項目を検出できません: ${scErrors.join(' / ')}`);
+  }
+  console.log(`  ✓ ${scenarios.length}場面、選択肢の重みで複数機能を採点（各機能の重みの合計 ${scenarioWeightTotals.Ni}）`);
+  console.log('  ✓ 回答の変更・正規化範囲・ブロック順（各ブロックに1問ずつ）・質問バンクの検証・項目分析からの除外\n');
+
+  // テスト25: ガイドの検査
+  console.log('🩺 ガイドの検査...');
+  const brokenGuides = [
+    ['{\n  "a": "改行\n",\n  "b": 1\n}', 'controlCharacter', 2, 11],
+    ['{\n  "a": "\\q"\n}', 'badEscape', 2, 9],
+    ['{\n  "a": ["x", "y', 'unterminatedString', 2, 14],
+    ['{\n  "a": [1, 2', 'unexpectedEnd', 2, 13],
+    ['{\n  "a": 1,\n}', 'trailingComma', 2, 9],
+    ['{\n  "a" 1\n}', 'unexpectedToken', 2, 7]
+  ];
+  const jaT = createTranslator('ja');
+  for (const [text, reason, line, column] of brokenGuides) {
+    const located = locateJsonError(text);
+    if (located?.reason !== reason || located.line !== line || located.column !== column) {
+      throw new Error(`構文エラーの位置が正しくありません (${reason}): ${JSON.stringify(located)}`);
+    }
+    if (describeGuideSyntaxError(located, jaT).includes('guideCheck.')) {
+      throw new Error(`構文エラーの文言がありません: ${reason}`);
+    }
+  }
+  if (locateJsonError('{"a": [1, {"b": null}], "c": -1.5e3}') !== null) {
+    throw new Error('正しい JSON を構文エラーと判定しています');
+  }
+  const guideResults = validateGuides();
+  const cleanGuides = guideResults.filter(r => !r.missingFile && !r.syntaxError && r.problems.length === 0);
+  if (guideResults.some(r => r.syntaxError)) {
+    throw new Error(`構文エラーのあるガイドがあります: ${guideResults.filter(r => r.syntaxError).map(r => r.file).join(', ')}`);
+  }
+  const neGuide = JSON.parse(readFileSync(new URL('./data/ne.json', import.meta.url), 'utf8'));
+  delete neGuide.trainingProgram.advanced;
+  neGuide.seo.en.keywords = 'Ne';
+  neGuide.misconceptions[0] = { myth: 'x' };
+  const guideProblems = checkGuideText(JSON.stringify(neGuide), 'Ni').problems;
+  const problemPaths = guideProblems.map(p => `${p.problem}:${p.path}`).sort().join();
+  if (problemPaths !== 'code:code,missing:misconceptions[0].truth,missing:trainingProgram.advanced,type:seo.en.keywords') {
+    throw new Error(`ガイドの不足・型違いを検出できません: ${problemPaths}`);
+  }
+  if (guideProblems.some(p => describeGuideProblem(p, jaT).includes('guideCheck.'))) {
+    throw new Error('ガイドの問題の文言がありません');
+  }
+  console.log(`  ✓ 構文エラーの行・列と理由 (${brokenGuides.length}種類)、節の不足・型違い・code の不一致を検出`);
+  console.log(`  ✓ 構文エラーのガイドなし（問題のないガイド: ${cleanGuides.map(r => r.code).join(', ')}）\n`);
+
+  // テスト26: 8機能のガイド
+  console.log('📖 8機能のガイド...');
+  const missingGuides = guideResults.filter(r => r.missingFile).map(r => r.code);
+  if (missingGuides.length > 0) {
+    throw new Error(`ガイドのない機能があります: ${missingGuides.join(', ')}`);
+  }
+  for (const code of ['Fi', 'Fe']) {
+    const result = guideResults.find(r => r.code === code);
+    if (result.problems.length > 0) {
+      throw new Error(`${code} のガイドに不足があります: ${result.problems.map(p => p.path).join(', ')}`);
+    }
+  }
+  if (getGuideUrl('Fi') !== 'function.html?code=Fi') {
+    throw new Error(`ガイドの URL が正しくありません: ${getGuideUrl('Fi')}`);
+  }
+  const landingHtml = readFileSync(new URL('./index.html', import.meta.url), 'utf8');
+  const unlinkedGuides = Object.keys(FUNCTIONS).filter(code => !landingHtml.includes(`href="${getGuideUrl(code)}"`));
+  if (unlinkedGuides.length > 0) {
+    throw new Error(`トップページからリンクされていないガイドがあります: ${unlinkedGuides.join(', ')}`);
+  }
+  console.log(`  ✓ ${Object.keys(FUNCTIONS).length}機能すべてにガイドがあり、トップページからリンク（Fi, Fe は全節あり）\n`);
+
+  // テスト27: ガイドの静的ページ
+  console.log('🗂 ガイドの静的ページ...');
+  const guideTemplate = readFileSync(new URL('./function.html', import.meta.url), 'utf8');
+  const fiGuide = JSON.parse(readFileSync(new URL('./data/fi.json', import.meta.url), 'utf8'));
+  // 英語のページは本文まで翻訳済みのガイドだけ（ここでは翻訳済みとして生成する）
+  const translatedFiGuide = { ...fiGuide, locales: ['ja', 'en'] };
+  const fiPage = renderGuidePage(guideTemplate, translatedFiGuide, { locale: 'en', baseUrl: 'https://example.com/app', hasImage: () => true });
+  const pageMeta = (attribute, name) => fiPage.match(new RegExp(`<meta ${attribute}="${name}" content="([^"]*)">`))?.[1];
+  if (!fiPage.includes(`<title id="page-title">${fiGuide.seo.en.title}</title>`) || !fiPage.includes('<html lang="en">')) {
+    throw new Error('静的ページのタイトル・言語が正しくありません');
+  }
+  if (pageMeta('property', 'og:url') !== 'https://example.com/app/en/fi.html'
+    || pageMeta('property', 'og:image') !== 'https://example.com/app/fi_share_card.png'
+    || pageMeta('name', 'twitter:card') !== 'summary_large_image'
+    || !fiPage.includes('<link rel="alternate" hreflang="ja" href="https://example.com/app/fi.html">')) {
+    throw new Error(`静的ページの OG・hreflang が正しくありません: ${pageMeta('property', 'og:url')} ${pageMeta('property', 'og:image')}`);
+  }
+  const jsonLd = JSON.parse(fiPage.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  if (jsonLd['@type'] !== 'Article' || jsonLd.headline !== fiGuide.seo.en.title || jsonLd.inLanguage !== 'en') {
+    throw new Error(`静的ページの JSON-LD が正しくありません: ${JSON.stringify(jsonLd).slice(0, 120)}`);
+  }
+  const fiSections = renderGuideSections(translatedFiGuide, { locale: 'en', t: createTranslator('en'), trainingHref: code => `../training.html?code=${code}`, compareHref: (a, b) => `../compare.html?a=${a}&b=${b}` });
+  if (!fiPage.includes(fiSections) || /data-i18n|fetch\(/.test(fiPage) || !fiPage.includes("from '../i18n.js'")) {
+    throw new Error('静的ページの本文がブラウザでの表示と異なるか、データを読み込むスクリプトが残っています');
+  }
+  if (getStaticGuidePath('Fi', 'ja') !== 'fi.html' || getStaticGuidePath('Fi', 'en') !== 'en/fi.html') {
+    throw new Error('静的ページのパスが正しくありません');
+  }
+  const jaOnlyPage = renderGuidePage(guideTemplate, fiGuide, { locale: 'ja', baseUrl: 'https://example.com/app', hasImage: () => false });
+  if (getGuidePageLocales(fiGuide).join() !== 'ja' || /hreflang|og:locale:alternate|og:image/.test(jaOnlyPage)
+    || !jaOnlyPage.includes('<meta name="twitter:card" content="summary">') || !jaOnlyPage.includes('"en":"function.html?code=Fi&lang=en"')) {
+    throw new Error('未翻訳のガイド・画像のないガイドの静的ページが正しくありません');
+  }
+  if (/og:image/.test(renderGuidePage(guideTemplate, fiGuide, { locale: 'ja', hasImage: () => true }))) {
+    throw new Error('--base-url なしで og:image が出力されています');
+  }
+  console.log(`  ✓ タイトル・OG・hreflang・JSON-LD と、ブラウザと同じ本文（${(fiSections.match(/<section class="section">/g) || []).length}節）`);
+  console.log('  ✓ 未翻訳のガイドは日本語のページだけ・画像がなければ summary カード\n');
+
+  // テスト28: トレーニングの記録
+  console.log('🏋 トレーニングの記録...');
+  const readGuide = code => JSON.parse(readFileSync(new URL(`./data/${code.toLowerCase()}.json`, import.meta.url), 'utf8'));
+  const frequencyCases = [
+    ['毎日5分', 'day', 1, 1],
+    ['週2-3回、各30分', 'week', 1, 2],
+    ['月2回', 'month', 1, 2],
+    ['3-6ヶ月で1プロジェクト', 'month', 3, 1],
+    ['四半期ごと', 'month', 3, 1],
+    ['随時', null]
+  ];
+  for (const [text, period, every, times] of frequencyCases) {
+    const schedule = parseExerciseFrequency(text);
+    const actual = schedule ? `${schedule.period}/${schedule.every}/${schedule.times}` : null;
+    if (actual !== (period ? `${period}/${every}/${times}` : null)) {
+      throw new Error(`頻度を読み取れません: ${text} → ${actual}`);
+    }
+  }
+  const fiTraining = fiGuide.trainingProgram;
+  const trainingDay = offset => new Date(2026, 0, 5 + offset);
+  let trainingState = enrollTraining(createTrainingState(), 'Fi', trainingDay(0));
+  const [dailyExercise, monthlyExercise] = getTrainingExercises(fiTraining, 'beginner');
+  for (let offset = 0; offset < 28; offset++) {
+    if (offset !== 3) trainingState = toggleExerciseCompletion(trainingState, 'Fi', dailyExercise.id, trainingDay(offset));
+  }
+  trainingState = toggleExerciseCompletion(trainingState, 'Fi', monthlyExercise.id, trainingDay(0));
+  const earlyProgress = getLevelProgress(trainingState.programs.Fi, fiTraining, trainingDay(27));
+  const dailyProgress = earlyProgress.exercises.find(entry => entry.id === dailyExercise.id).progress;
+  if (dailyProgress.streak !== 24 || dailyProgress.achievedPeriods !== 27 || earlyProgress.ready) {
+    throw new Error(`連続記録・達成期間が正しくありません: streak=${dailyProgress.streak} achieved=${dailyProgress.achievedPeriods} ready=${earlyProgress.ready}`);
+  }
+  if (advanceTrainingLevel(trainingState, 'Fi', fiTraining, trainingDay(27)) !== trainingState) {
+    throw new Error('目標を満たす前にレベルが進みました');
+  }
+  trainingState = toggleExerciseCompletion(trainingState, 'Fi', monthlyExercise.id, trainingDay(27));
+  trainingState = advanceTrainingLevel(trainingState, 'Fi', fiTraining, trainingDay(27));
+  if (trainingState.programs.Fi.level !== TRAINING_LEVELS[1] || trainingState.programs.Fi.history[0]?.completedAt !== '2026-02-01') {
+    throw new Error(`レベルが進みません: ${JSON.stringify(trainingState.programs.Fi).slice(0, 200)}`);
+  }
+  const suggested = (type, options) => suggestTrainingFunctions(type, options).map(s => `${s.position}:${s.function}`).join();
+  const hasProgram = code => hasTrainingProgram(readGuide(code).trainingProgram);
+  if (suggested('INTJ') !== 'TERTIARY:Fi,INFERIOR:Se' || suggested('INTJ', { hasProgram }) !== 'TERTIARY:Fi,AUXILIARY:Te'
+    || suggested('ISTP', { hasProgram }) !== 'TERTIARY:Ni,INFERIOR:Fe') {
+    throw new Error(`結果画面で勧めるプログラムが正しくありません: ${suggested('INTJ', { hasProgram })}`);
+  }
+  console.log(`  ✓ 頻度の読み取り (${frequencyCases.length}種類)、連続記録、期間ごとの達成とレベルの進行、第三・劣等機能の提案（プログラムのない機能は補助機能で代える）\n`);
+
+  // テスト29: 2つの機能の比較
+  console.log('🆚 2つの機能の比較...');
+  const comparePair = (a, b, guides = {}) => pairComparisons(
+    { code: a, guide: guides[a] ?? readGuide(a) },
+    { code: b, guide: guides[b] ?? readGuide(b) }
+  );
+  const asymmetryTypes = pairs => pairs.flatMap(pair => pair.asymmetries.map(asymmetry => asymmetry.type)).join();
+  const nePolar = comparePair('Ne', 'Ni');
+  if (nePolar.length !== 1 || nePolar[0].sources.map(source => `${source.code}:${source.kind}`).join() !== 'Ne:polarOpposite,Ni:polarOpposite'
+    || asymmetryTypes(nePolar) !== '' || nePolar[0].rows.keyDifferences.some(row => row.sources.length !== 2)) {
+    throw new Error(`Ne と Ni の比較を対応づけられません: ${JSON.stringify(nePolar.map(pair => pair.asymmetries))}`);
+  }
+  if (!asymmetryTypes(comparePair('Si', 'Ne')).startsWith('kindMismatch') || asymmetryTypes(comparePair('Ni', 'Si')) !== 'oneSided'
+    || comparePair('Ne', 'Se').length !== 0) {
+    throw new Error('比較の種類の食い違い・片方のガイドにしかない比較を検出できません');
+  }
+  // Ni のガイドの観点を1つ書き換え、1つ消し、使う場面を1つ足すと、それぞれ食い違いとして示される
+  const editedNi = readGuide('Ni');
+  const firstAspect = editedNi.comparisons.polarOpposite.keyDifferences[0];
+  firstAspect.Ni = `${localize(firstAspect.Ni, 'ja')}（改）`;
+  editedNi.comparisons.polarOpposite.keyDifferences.pop();
+  editedNi.comparisons.polarOpposite.whenToUseNe.push('初めての土地を歩くとき');
+  const editedPair = comparePair('Ne', 'Ni', { Ni: editedNi });
+  const addedUse = editedPair[0].asymmetries.find(asymmetry => asymmetry.type === 'listItemOnlyIn');
+  if (asymmetryTypes(editedPair) !== 'rowOnlyIn,valueDiffers,listItemOnlyIn'
+    || addedUse.function !== 'Ne' || addedUse.source !== 'Ni' || addedUse.item !== '初めての土地を歩くとき') {
+    throw new Error(`行の過不足・記述の違い・使う場面の過不足を検出できません: ${asymmetryTypes(editedPair)}`);
+  }
+  if (getCompareUrl('Ne', 'Ni') !== 'compare.html?a=Ne&b=Ni' || !fiSections.includes('href="../compare.html?a=Fi&amp;b=Te"')) {
+    throw new Error('比較ページへのリンクが正しくありません');
+  }
+  console.log('  ✓ 同じ種類の比較の対応づけ、種類の食い違い・片方だけの比較・行・使う場面の過不足・記述の違いの検出\n');
+
   // すべて成功
   console.log('✅ スモークテスト完了 - すべて正常\n');
   process.exit(0);
@@ -0,0 +1,310 @@
+// sweep.js
+
+// 【概要】
+//    同じ回答データを、強調指数 (SCORE_EMPHASIS_EXPONENT) と機能スタックの重み
+//    (JUNG_FUNCTION_WEIGHTS) の組み合わせごとに再採点し、判定がどれだけ変わるかを比較する
+//    core.js の定数の根拠 (指数1.2・重み 4:2:1:0.5) を再現・検証するための感度分析ツール
+
+// 【実行方法】
+//    合成データ（タイプ原型 + ノイズ、真のタイプが既知なので正答率も出る）:
+//      node sweep.js [--count 1000] [--seed 1] [--noise 1.0] [--mode quick|simple|detailed|custom] [--scale likert5|likert7|...]
+//      （--mode custom は --items <1機能あたりの問題数> も指定）
+//    書き出したセッション記録（item-analysis.js と同じ形式、各記録の回答尺度で採点）:
+//      node sweep.js --sessions <ディレクトリ>
+//    共通オプション:
+//      --exponents 1.0,1.2,1.5      強調指数の候補
+//      --weights 4:2:1:0.5,1:1:1:1  主:補助:第三:劣等 の重みの候補
+//      --reference 1.2@4:2:1:0.5    比較の基準とする設定（省略時は組み込みの定数）
+//      --stack jung4|beebe8
+//      --out sweep-report.json
+
+// 【出力】
+//    設定ごとに、基準設定から判定が変わった人数 (flips)・一致率・平均確信度・
+//    平均最大確率・（合成データのみ）正答率と、validateConstants の結果を表示する
+
+import { writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import {
+    calculateFunctionScores,
+    determineMBTIType,
+    createScoringConfig,
+    createSeededRandom,
+    getLikertScale,
+    validateConstants,
+    LIKERT_SCALES,
+    COGNITIVE_STACKS,
+    STACK_MODELS,
+    CONFIG
+} from './core.js';
+import { getQuestionsByMode, QUESTION_SET_SCALES } from './data.js';
+import { loadSessions } from './item-analysis.js';
+import { generateRespondent } from './simulate.js';
+
+// ============================================
+// 定数
+// ============================================
+
+const SWEEP_DEFAULTS = {
+    count: 1000,
+    seed: 1,
+    noise: 1.0,
+    mode: 'simple',
+    itemsPerFunction: null,
+    scale: CONFIG.LIKERT_SCALE,
+    stackModel: CONFIG.DEFAULT_STACK_MODEL,
+    exponents: [1.0, 1.1, 1.2, 1.3, 1.5, 2.0],
+    weights: [
+        [4, 2, 1, 0.5],
+        [3, 2, 1, 0.5],
+        [4, 3, 2, 1],
+        [4, 2, 1, 0],
+        [1, 1, 1, 1]
+    ]
+};
+
+const WEIGHT_KEYS = ['DOMINANT', 'AUXILIARY', 'TERTIARY', 'INFERIOR'];
+
+// 出題モード → 質問IDが属する質問セット
+const QUESTION_SET_BY_MODE = {
+    quick: 'quick',
+    simple: 'simple',
+    detailed: 'detailed',
+    custom: 'custom',
+    adaptive: 'detailed'
+};
+
+// 合成データで使える出題モード（adaptive は回答に応じて出題が変わるため除く）
+const SYNTHETIC_MODES = ['quick', 'simple', 'detailed', 'custom'];
+
+// ============================================
+// 回答データ
+// ============================================
+
+/**
+ * 合成データの作成（タイプ原型 + ノイズ）
+ * @returns {Array} [{ trueType, answers, questions, scale }]
+ */
+function createSyntheticDataset({ count, seed, noise, mode, itemsPerFunction, scale }) {
+    const questions = getQuestionsByMode(mode, { itemsPerFunction });
+    const random = createSeededRandom(seed);
+    return Array.from({ length: count }, () => ({
+        ...generateRespondent('prototype', questions, random, { noise, scale: getLikertScale(scale) }),
+        questions,
+        scale
+    }));
+}
+
+/**
+ * セッション記録からのデータ作成（真のタイプは不明）
+ * @returns {Array} [{ trueType: null, answers, questions, scale }]
+ */
+function createSessionDataset(dir) {
+    const questionSets = {};
+    return loadSessions(dir).map(session => {
+        const questionSet = session.questionSet || QUESTION_SET_BY_MODE[session.mode] || 'simple';
+        // 回答者が受けた形式の項目（強制選択・場面想定）も含めて、同じ質問一覧で再採点する
+        const setKey = [
+            questionSet === 'custom' ? `custom-${session.itemsPerFunction}` : questionSet,
+            session.forcedChoice ? 'forcedChoice' : '',
+            session.scenarios ? 'scenarios' : ''
+        ].join('/');
+        questionSets[setKey] ??= getQuestionsByMode(questionSet, {
+            itemsPerFunction: session.itemsPerFunction,
+            forcedChoice: session.forcedChoice,
+            scenarios: session.scenarios
+        });
+        const questions = questionSets[setKey].filter(q => q.id in session.answers);
+        const scale = session.scale || QUESTION_SET_SCALES[questionSet] || CONFIG.LIKERT_SCALE;
+        return { trueType: null, answers: session.answers, questions, scale };
+    });
+}
+
+// ============================================
+// 再採点
+// ============================================
+
+function describeSetting(exponent, weights) {
+    return `${exponent}@${weights.join(':')}`;
+}
+
+/**
+ * 強調指数と重みから採点設定を作成
+ */
+function createSettingConfig(exponent, weights) {
+    return createScoringConfig({
+        SCORE_EMPHASIS_EXPONENT: exponent,
+        JUNG_FUNCTION_WEIGHTS: Object.fromEntries(WEIGHT_KEYS.map((key, i) => [key, weights[i]]))
+    });
+}
+
+/**
+ * データ全体を1つの設定で採点（回答尺度は回答者ごとのものを使う）
+ * @returns {Array} 回答者ごとの { type, confidence, topProbability }
+ */
+function scoreDataset(dataset, baseConfig, stackModel) {
+    return dataset.map(({ answers, questions, scale }) => {
+        const config = scale && scale !== baseConfig.LIKERT_SCALE ? { ...baseConfig, LIKERT_SCALE: scale } : baseConfig;
+        const result = determineMBTIType(calculateFunctionScores(answers, questions, config), COGNITIVE_STACKS, {
+            answers,
+            questions,
+            stackModel,
+            config,
+            bootstrapSamples: 0
+        });
+        return {
+            type: result.type,
+            confidence: result.confidence,
+            topProbability: result.probabilities[0]?.probability ?? 0
+        };
+    });
+}
+
+/**
+ * 指数 × 重みの全組み合わせで再採点し、基準設定と比較
+ *
+ * @param {Array} dataset - [{ trueType, answers, questions, scale }]
+ * @param {Object} options - { exponents, weights, reference: { exponent, weights } | null, stackModel }
+ * @returns {Object} { reference, settings: [...] }
+ */
+export function runSweep(dataset, options = {}) {
+    const { exponents, weights, stackModel } = { ...SWEEP_DEFAULTS, ...options };
+    const referenceConfig = options.reference
+        ? createSettingConfig(options.reference.exponent, options.reference.weights)
+        : CONFIG;
+    const referenceTypes = scoreDataset(dataset, referenceConfig, stackModel).map(r => r.type);
+    const hasTruth = dataset.every(d => d.trueType);
+    const n = dataset.length;
+
+    const settings = [];
+    for (const exponent of exponents) {
+        for (const weightVector of weights) {
+            const config = createSettingConfig(exponent, weightVector);
+            const scored = scoreDataset(dataset, config, stackModel);
+            const flips = scored.filter((r, i) => r.type !== referenceTypes[i]).length;
+
+            settings.push({
+                setting: describeSetting(exponent, weightVector),
+                exponent,
+                weights: weightVector,
+                valid: validateConstants(config),
+                flips,
+                agreement: n ? 1 - flips / n : null,
+                meanConfidence: n ? scored.reduce((sum, r) => sum + r.confidence, 0) / n : null,
+                meanTopProbability: n ? scored.reduce((sum, r) => sum + r.topProbability, 0) / n : null,
+                accuracy: hasTruth && n
+                    ? scored.filter((r, i) => r.type === dataset[i].trueType).length / n
+                    : null
+            });
+        }
+    }
+
+    return {
+        reference: options.reference
+            ? describeSetting(options.reference.exponent, options.reference.weights)
+            : describeSetting(CONFIG.SCORE_EMPHASIS_EXPONENT, WEIGHT_KEYS.map(key => CONFIG.JUNG_FUNCTION_WEIGHTS[key])),
+        respondents: n,
+        settings
+    };
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseSetting(text) {
+    const [exponent, weights] = text.split('@');
+    const parsed = { exponent: Number.parseFloat(exponent), weights: parseWeights(weights || '') };
+    return Number.isFinite(parsed.exponent) && parsed.weights ? parsed : null;
+}
+
+function parseWeights(text) {
+    const weights = text.split(':').map(Number.parseFloat);
+    return weights.length === WEIGHT_KEYS.length && weights.every(Number.isFinite) ? weights : null;
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const [key, value = ''] = [args[i], args[i + 1]];
+        switch (key) {
+            case '--count': options.count = Number.parseInt(value, 10); break;
+            case '--seed': options.seed = Number.parseInt(value, 10); break;
+            case '--noise': options.noise = Number.parseFloat(value); break;
+            case '--mode': options.mode = value; break;
+            case '--items': options.itemsPerFunction = Number.parseInt(value, 10); break;
+            case '--scale': options.scale = value; break;
+            case '--stack': options.stackModel = value; break;
+            case '--sessions': options.sessions = value; break;
+            case '--out': options.out = value; break;
+            case '--exponents': options.exponents = value.split(',').map(Number.parseFloat); break;
+            case '--weights': options.weights = value.split(',').map(parseWeights); break;
+            case '--reference': options.reference = parseSetting(value); break;
+            default:
+                return { error: `不明なオプション: ${key}` };
+        }
+    }
+
+    if (options.count !== undefined && !(options.count > 0)) return { error: '--count は正の整数で指定してください' };
+    if (options.mode !== undefined && !SYNTHETIC_MODES.includes(options.mode)) return { error: `--mode は ${SYNTHETIC_MODES.join(' / ')} です` };
+    if (options.mode === 'custom' && !(options.itemsPerFunction > 0)) return { error: '--mode custom には --items（1機能あたりの問題数、正の整数）を指定してください' };
+    if (options.itemsPerFunction !== undefined && options.mode !== 'custom') return { error: '--items は --mode custom と一緒に指定してください' };
+    if (options.scale !== undefined && !(options.scale in LIKERT_SCALES)) return { error: `--scale は ${Object.keys(LIKERT_SCALES).join(' / ')} です` };
+    if (options.stackModel !== undefined && !(options.stackModel in STACK_MODELS)) return { error: `--stack は ${Object.keys(STACK_MODELS).join(' / ')} です` };
+    if (options.exponents && !options.exponents.every(Number.isFinite)) return { error: '--exponents は数値のカンマ区切りで指定してください' };
+    if (options.weights && !options.weights.every(Boolean)) return { error: '--weights は 4:2:1:0.5 のように4つの数値で指定してください' };
+    if ('reference' in options && !options.reference) return { error: '--reference は 1.2@4:2:1:0.5 の形式で指定してください' };
+    return { options };
+}
+
+function formatPercent(value) {
+    return value === null ? '—' : `${(value * 100).toFixed(1)}%`;
+}
+
+function main(args) {
+    const { options, error } = parseArgs(args);
+    if (error) {
+        console.error(`❌ ${error}`);
+        process.exit(1);
+    }
+
+    const settings = { ...SWEEP_DEFAULTS, ...options };
+    const dataset = settings.sessions
+        ? createSessionDataset(resolve(settings.sessions))
+        : createSyntheticDataset({
+            count: settings.count,
+            seed: settings.seed,
+            noise: settings.noise,
+            mode: settings.mode,
+            itemsPerFunction: settings.itemsPerFunction,
+            scale: settings.scale
+        });
+    if (dataset.length === 0) {
+        console.error('❌ 再採点する回答データがありません');
+        process.exit(1);
+    }
+
+    const report = runSweep(dataset, settings);
+    const source = settings.sessions
+        ? `セッション記録 ${settings.sessions}`
+        : `合成データ (mode=${settings.mode}${settings.mode === 'custom' ? `:${settings.itemsPerFunction}` : ''} scale=${settings.scale} noise=${settings.noise} seed=${settings.seed})`;
+    console.log(`\n🧪 定数スイープ: ${source} / ${report.respondents}人 / stack=${settings.stackModel}`);
+    console.log(`   基準設定: ${report.reference}\n`);
+    console.table(Object.fromEntries(report.settings.map(s => [s.setting, {
+        '検証': s.valid ? '✓' : '✗',
+        '判定変化': s.flips,
+        '基準との一致率': formatPercent(s.agreement),
+        '平均確信度': s.meanConfidence.toFixed(1),
+        '平均最大確率': formatPercent(s.meanTopProbability),
+        '正答率': formatPercent(s.accuracy)
+    }])));
+
+    if (settings.out) {
+        writeFileSync(settings.out, JSON.stringify({ source, stackModel: settings.stackModel, ...report }, null, 2));
+        console.log(`\n📝 JSONレポートを保存しました: ${settings.out}\n`);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2));
+}
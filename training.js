@@ -0,0 +1,385 @@
+// training.js: 認知機能ガイドの trainingProgram の記録（参加・エクササイズの完了・連続記録・レベルの進行） - training.html と結果画面で共用
+
+import { COGNITIVE_STACKS } from './core.js';
+import { localize } from './i18n.js';
+
+// ============================================
+// プログラムの構成
+// ============================================
+
+// レベルの順序（trainingProgram のキー）
+export const TRAINING_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// 次のレベルへ進むために、各エクササイズが目標回数を満たす必要のある期間の数（期間の種類ごと）
+// 数か月で1回のエクササイズ（3ヶ月で1プロジェクトなど）は1期間
+const REQUIRED_PERIODS = {
+    day: 21,
+    week: 4,
+    month: 2
+};
+
+/**
+ * トレーニングの記録ページの URL
+ * @param {string} code - 機能コード
+ * @returns {string}
+ */
+export function getTrainingUrl(code) {
+    return `training.html?code=${encodeURIComponent(code)}`;
+}
+
+/**
+ * エクササイズの頻度（「毎日5分」「週3回」「月2回」「3ヶ月で1プロジェクト」など）から予定を読み取る
+ * 「随時」「機会があるたび」など期間の決まらないものは null（完了は記録できるが、連続記録・レベルの進行には数えない）
+ *
+ * @param {string|Object} frequency - 頻度（{ ja, en } 形式なら日本語で読む）
+ * @returns {Object|null} { period: 'day'|'week'|'month', every: 期間の長さ（月数など）, times: 期間あたりの目標回数 }
+ */
+export function parseExerciseFrequency(frequency) {
+    const text = localize(frequency, 'ja');
+    if (typeof text !== 'string') return null;
+
+    let match;
+    // 「3ヶ月で1プロジェクト」「3-6ヶ月で1プロジェクト」（範囲は短い方）
+    if ((match = text.match(/(\d+)(?:-\d+)?ヶ月で(\d+)/))) {
+        return { period: 'month', every: Number(match[1]), times: Number(match[2]) };
+    }
+    if (text.includes('四半期')) return { period: 'month', every: 3, times: 1 };
+    if (text.startsWith('毎日')) return { period: 'day', every: 1, times: 1 };
+    // 「週3回」「週2-3回」（範囲は少ない方）「週1つの目標」
+    if ((match = text.match(/週(\d+)(?:-\d+)?(?:回|つ)/))) {
+        return { period: 'week', every: 1, times: Number(match[1]) };
+    }
+    if (text.startsWith('毎週')) return { period: 'week', every: 1, times: 1 };
+    // 「月2回」「月1冊」「月1テーマ」
+    if ((match = text.match(/月(\d+)/))) {
+        return { period: 'month', every: 1, times: Number(match[1]) };
+    }
+    if (text.startsWith('毎月')) return { period: 'month', every: 1, times: 1 };
+    return null;
+}
+
+/**
+ * 予定の種類（チェックリストの分類・表示用）
+ * @param {Object|null} schedule - parseExerciseFrequency の結果
+ * @returns {string} 'day' | 'week' | 'month' | 'months'（数か月ごと） | 'asNeeded'（予定なし）
+ */
+export function getScheduleKind(schedule) {
+    if (!schedule) return 'asNeeded';
+    return schedule.period === 'month' && schedule.every > 1 ? 'months' : schedule.period;
+}
+
+/**
+ * レベルのエクササイズ一覧（id は「レベル:番号」。JSON の並び順が変わると記録との対応も変わる）
+ *
+ * @param {Object} trainingProgram - ガイドの JSON の trainingProgram
+ * @param {string} level - TRAINING_LEVELS のいずれか
+ * @returns {Array} [{ id, level, index, exercise, schedule }]
+ */
+export function getTrainingExercises(trainingProgram, level) {
+    const exercises = trainingProgram?.[level]?.exercises;
+    if (!Array.isArray(exercises)) return [];
+    return exercises.map((exercise, index) => ({
+        id: `${level}:${index}`,
+        level,
+        index,
+        exercise,
+        schedule: parseExerciseFrequency(exercise.frequency)
+    }));
+}
+
+// ============================================
+// 日付と期間
+// ============================================
+
+/**
+ * 日付のキー（端末の時刻での YYYY-MM-DD）
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 1970-01-01 からの日数（YYYY-MM-DD）
+function dayIndex(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+}
+
+// 1970年1月からの月数（YYYY-MM-DD）
+function monthIndex(dateKey) {
+    const [year, month] = dateKey.split('-').map(Number);
+    return year * 12 + month - 1;
+}
+
+/**
+ * 日付が属する期間の番号（連続する期間は連番）
+ * 週は月曜始まり、月は暦月、数か月の期間はレベルを始めた月から数える
+ *
+ * @param {Object} schedule - parseExerciseFrequency の結果
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} startKey - レベルを始めた日 (YYYY-MM-DD)
+ * @returns {number}
+ */
+function periodIndex(schedule, dateKey, startKey) {
+    if (schedule.period === 'day') return dayIndex(dateKey);
+    // 1970-01-01 は木曜日。3日ずらして月曜始まりにする
+    if (schedule.period === 'week') return Math.floor((dayIndex(dateKey) + 3) / 7);
+    return Math.floor((monthIndex(dateKey) - monthIndex(startKey)) / schedule.every);
+}
+
+// ============================================
+// 記録 (localStorage)
+// ============================================
+
+const TRAINING_STORAGE_KEY = 'persona-checker:training';
+const TRAINING_STATE_VERSION = 1;
+
+/**
+ * 空の記録
+ * @returns {Object} { version, programs: { [code]: program } }
+ */
+export function createTrainingState() {
+    return { version: TRAINING_STATE_VERSION, programs: {} };
+}
+
+/**
+ * 保存した記録の読み込み（ないとき・読めないときは空の記録）
+ * @returns {Object}
+ */
+export function loadTrainingState() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(TRAINING_STORAGE_KEY));
+        if (stored?.version === TRAINING_STATE_VERSION && stored.programs && typeof stored.programs === 'object') {
+            return stored;
+        }
+    } catch {
+        // プライベートモードなどで localStorage が使えない・壊れた値
+    }
+    return createTrainingState();
+}
+
+/**
+ * 記録の保存
+ * @param {Object} state
+ * @returns {boolean} 保存できたか
+ */
+export function saveTrainingState(state) {
+    try {
+        window.localStorage.setItem(TRAINING_STORAGE_KEY, JSON.stringify(state));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ============================================
+// 記録の更新（元の記録は変更せず、新しい記録を返す）
+// ============================================
+
+/**
+ * プログラムへの参加（初級から。参加済みなら変更しない）
+ * @param {Object} state
+ * @param {string} code - 機能コード
+ * @param {Date} [today]
+ * @returns {Object} 新しい記録
+ */
+export function enrollTraining(state, code, today = new Date()) {
+    if (state.programs[code]) return state;
+    const startedAt = toDateKey(today);
+    return {
+        ...state,
+        programs: {
+            ...state.programs,
+            [code]: { enrolledAt: startedAt, level: TRAINING_LEVELS[0], levelStartedAt: startedAt, completions: {}, history: [] }
+        }
+    };
+}
+
+/**
+ * プログラムをやめる（記録も削除する）
+ * @param {Object} state
+ * @param {string} code
+ * @returns {Object} 新しい記録
+ */
+export function leaveTraining(state, code) {
+    const { [code]: removed, ...programs } = state.programs;
+    return { ...state, programs };
+}
+
+/**
+ * エクササイズのその日の完了を切り替える
+ * @param {Object} state
+ * @param {string} code
+ * @param {string} exerciseId - getTrainingExercises の id
+ * @param {Date} [today]
+ * @returns {Object} 新しい記録
+ */
+export function toggleExerciseCompletion(state, code, exerciseId, today = new Date()) {
+    const program = state.programs[code];
+    if (!program) {
+        console.error(`[toggleExerciseCompletion] Not enrolled: ${code}`);
+        return state;
+    }
+    const dateKey = toDateKey(today);
+    const dates = program.completions[exerciseId] || [];
+    const nextDates = dates.includes(dateKey)
+        ? dates.filter(date => date !== dateKey)
+        : [...dates, dateKey].sort();
+    return {
+        ...state,
+        programs: {
+            ...state.programs,
+            [code]: { ...program, completions: { ...program.completions, [exerciseId]: nextDates } }
+        }
+    };
+}
+
+/**
+ * 次のレベルへ進む（getLevelProgress が ready のときのみ。上級の次はない）
+ * @param {Object} state
+ * @param {string} code
+ * @param {Object} trainingProgram - ガイドの JSON の trainingProgram
+ * @param {Date} [today]
+ * @returns {Object} 新しい記録
+ */
+export function advanceTrainingLevel(state, code, trainingProgram, today = new Date()) {
+    const program = state.programs[code];
+    if (!program) {
+        console.error(`[advanceTrainingLevel] Not enrolled: ${code}`);
+        return state;
+    }
+    const progress = getLevelProgress(program, trainingProgram, today);
+    if (!progress.ready || progress.isLast) {
+        console.error(`[advanceTrainingLevel] Level not completed: ${code} ${program.level}`);
+        return state;
+    }
+    const dateKey = toDateKey(today);
+    return {
+        ...state,
+        programs: {
+            ...state.programs,
+            [code]: {
+                ...program,
+                level: TRAINING_LEVELS[TRAINING_LEVELS.indexOf(program.level) + 1],
+                levelStartedAt: dateKey,
+                history: [...program.history, { level: program.level, startedAt: program.levelStartedAt, completedAt: dateKey }]
+            }
+        }
+    };
+}
+
+// ============================================
+// 進捗
+// ============================================
+
+/**
+ * エクササイズの進捗
+ *
+ * @param {Object} program - 記録の programs[code]
+ * @param {Object} entry - getTrainingExercises の要素
+ * @param {Date} [today]
+ * @returns {Object} {
+ *   doneToday, total: 完了の合計,
+ *   periodCount: 今の期間の完了数, target: 期間あたりの目標回数, periodDone: 今の期間の目標を満たしたか,
+ *   streak: 目標を満たした連続期間数（今の期間が未達なら前の期間まで）,
+ *   achievedPeriods: レベルを始めてから目標を満たした期間数, requiredPeriods: 次のレベルに必要な期間数
+ * }（予定のないエクササイズは doneToday と total のみ）
+ */
+export function getExerciseProgress(program, entry, today = new Date()) {
+    const todayKey = toDateKey(today);
+    const dates = program.completions[entry.id] || [];
+    const base = { doneToday: dates.includes(todayKey), total: dates.length };
+    const { schedule } = entry;
+    if (!schedule) return base;
+
+    // 期間ごとの完了数
+    const counts = new Map();
+    dates.forEach(date => {
+        const index = periodIndex(schedule, date, program.levelStartedAt);
+        counts.set(index, (counts.get(index) || 0) + 1);
+    });
+    const met = index => (counts.get(index) || 0) >= schedule.times;
+
+    const current = periodIndex(schedule, todayKey, program.levelStartedAt);
+    let streak = 0;
+    for (let index = met(current) ? current : current - 1; met(index); index--) {
+        streak++;
+    }
+
+    const levelStart = periodIndex(schedule, program.levelStartedAt, program.levelStartedAt);
+    const achievedPeriods = [...counts.keys()].filter(index => index >= levelStart && index <= current && met(index)).length;
+
+    return {
+        ...base,
+        periodCount: counts.get(current) || 0,
+        target: schedule.times,
+        periodDone: met(current),
+        streak,
+        achievedPeriods,
+        requiredPeriods: schedule.period === 'month' && schedule.every > 1 ? 1 : REQUIRED_PERIODS[schedule.period]
+    };
+}
+
+/**
+ * 現在のレベルの進捗
+ * 予定のあるエクササイズそれぞれについて、目標を満たした期間の割合（上限 1）を平均する
+ *
+ * @param {Object} program - 記録の programs[code]
+ * @param {Object} trainingProgram - ガイドの JSON の trainingProgram
+ * @param {Date} [today]
+ * @returns {Object} { level, progress: 0〜1, ready: 次のレベルへ進めるか, isLast: 上級か, exercises: [{ ...entry, progress }] }
+ */
+export function getLevelProgress(program, trainingProgram, today = new Date()) {
+    const exercises = getTrainingExercises(trainingProgram, program.level)
+        .map(entry => ({ ...entry, progress: getExerciseProgress(program, entry, today) }));
+    const scheduled = exercises.filter(entry => entry.schedule);
+    const progress = scheduled.length === 0
+        ? 1
+        : scheduled.reduce((sum, entry) =>
+            sum + Math.min(1, entry.progress.achievedPeriods / entry.progress.requiredPeriods), 0) / scheduled.length;
+    return {
+        level: program.level,
+        progress,
+        ready: progress >= 1,
+        isLast: TRAINING_LEVELS.indexOf(program.level) === TRAINING_LEVELS.length - 1,
+        exercises
+    };
+}
+
+// 結果画面で勧める機能の位置（伸びしろの大きい第三・劣等機能から。プログラムのない機能は次の位置に回す）と件数
+const SUGGESTION_POSITIONS = [
+    { position: 'TERTIARY', index: 2 },
+    { position: 'INFERIOR', index: 3 },
+    { position: 'AUXILIARY', index: 1 }
+];
+const SUGGESTION_COUNT = 2;
+
+/**
+ * ガイドに参加できるプログラムがあるか（最初のレベルにエクササイズがある）
+ * @param {Object} trainingProgram - ガイドの JSON の trainingProgram
+ * @returns {boolean}
+ */
+export function hasTrainingProgram(trainingProgram) {
+    return getTrainingExercises(trainingProgram, TRAINING_LEVELS[0]).length > 0;
+}
+
+/**
+ * 結果画面で勧めるプログラム（第三機能・劣等機能。プログラムのない機能の代わりに補助機能）
+ * @param {string} type - MBTIタイプ
+ * @param {Object} [options]
+ * @param {Function} [options.hasProgram] - 機能のガイドにプログラムがあるか（省略時はすべてあるとみなす）
+ * @returns {Array} [{ position: 'TERTIARY'|'INFERIOR'|'AUXILIARY', function }]
+ */
+export function suggestTrainingFunctions(type, { hasProgram = () => true } = {}) {
+    const stack = COGNITIVE_STACKS[type];
+    if (!stack) {
+        console.error(`[suggestTrainingFunctions] Invalid type: ${type}`);
+        return [];
+    }
+    return SUGGESTION_POSITIONS
+        .map(({ position, index }) => ({ position, function: stack[index] }))
+        .filter(suggestion => hasProgram(suggestion.function))
+        .slice(0, SUGGESTION_COUNT);
+}
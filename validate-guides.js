@@ -0,0 +1,129 @@
+// validate-guides.js
+
+// 【概要】
+//    認知機能ガイドの JSON (data/<code>.json) を検査する（検査内容は guide-content.js と共通）
+//    - 構文: JSON として読めない場合、最初のエラーの行・列と理由（制御文字・不正なエスケープ・閉じない文字列など）
+//    - 構成: 期待する節（overview, cognitiveScience, comparisons, trainingProgram, seo など）の不足・型違い
+//    - code: ファイル名と code フィールドの不一致
+//    - ファイルがない機能（FUNCTIONS の8機能のうちガイド未作成のもの）
+
+// 【実行方法】
+//    node validate-guides.js [ni se ...] [--out guide-report.json]
+//    機能コードを省略すると8機能すべてを検査する
+
+// 【出力】
+//    ファイルごとに構文エラーの位置と該当行、または不足・型違いのフィールドを節ごとに表示する
+//    --out を指定すると同じ内容を JSON で保存する
+//    問題が1件でもあれば終了コード 1
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { FUNCTIONS } from './core.js';
+import { createTranslator } from './i18n.js';
+import {
+    checkGuideText,
+    groupGuideProblems,
+    describeGuideSyntaxError,
+    describeGuideProblem
+} from './guide-content.js';
+
+// ============================================
+// 検査
+// ============================================
+
+/**
+ * ガイドファイルの検査
+ *
+ * @param {Array} [codes] - 機能コード (省略時は FUNCTIONS の8機能)
+ * @returns {Array} [{ code, file, missingFile, syntaxError, problems }]
+ */
+export function validateGuides(codes = Object.keys(FUNCTIONS)) {
+    return codes.map(code => {
+        const file = `data/${code.toLowerCase()}.json`;
+        const url = new URL(`./${file}`, import.meta.url);
+        if (!existsSync(url)) {
+            return { code, file, missingFile: true, syntaxError: null, problems: [] };
+        }
+        const { syntaxError, problems } = checkGuideText(readFileSync(url, 'utf8'), code);
+        return { code, file, missingFile: false, syntaxError, problems };
+    });
+}
+
+function hasProblems(result) {
+    return result.missingFile || result.syntaxError !== null || result.problems.length > 0;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function printReport(results) {
+    const t = createTranslator('ja');
+    console.log(`\n🔎 ガイドの検査: ${results.map(result => result.code).join(', ')}`);
+
+    for (const result of results) {
+        if (!hasProblems(result)) {
+            console.log(`\n✓ ${result.file}`);
+            continue;
+        }
+        console.log(`\n✗ ${result.file}`);
+        if (result.missingFile) {
+            console.log(`  ${t('guideCheck.missingFile')}`);
+        } else if (result.syntaxError) {
+            console.log(`  ${describeGuideSyntaxError(result.syntaxError, t)}`);
+            if (result.syntaxError.lineText !== undefined) {
+                // 該当行と、エラー位置を示す ^ (全角文字は幅がずれるため、列番号と合わせて見る)
+                console.log(`    ${result.syntaxError.lineText.trim()}`);
+                const indent = result.syntaxError.lineText.length - result.syntaxError.lineText.trimStart().length;
+                console.log(`    ${' '.repeat(Math.max(0, result.syntaxError.column - 1 - indent))}^`);
+            }
+        } else {
+            for (const { section, problems } of groupGuideProblems(result.problems)) {
+                console.log(`  [${section}]`);
+                problems.forEach(problem => console.log(`    - ${describeGuideProblem(problem, t)}`));
+            }
+        }
+    }
+
+    const failed = results.filter(hasProblems).length;
+    console.log(failed === 0
+        ? '\n✅ 問題は見つかりませんでした\n'
+        : `\n❌ ${failed} / ${results.length} ファイルに問題があります\n`);
+}
+
+function parseArgs(args) {
+    const options = { codes: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') {
+            options.out = args[++i];
+            continue;
+        }
+        if (args[i].startsWith('--')) return { error: `不明なオプション: ${args[i]}` };
+        const code = Object.keys(FUNCTIONS).find(funcName => funcName.toLowerCase() === args[i].toLowerCase());
+        if (!code) return { error: `不明な機能コード: ${args[i]}（${Object.keys(FUNCTIONS).join(', ')}）` };
+        options.codes.push(code);
+    }
+    return { options };
+}
+
+function main(args) {
+    const { options, error } = parseArgs(args);
+    if (error) {
+        console.error(`❌ ${error}`);
+        process.exit(1);
+    }
+
+    const results = validateGuides(options.codes.length > 0 ? options.codes : undefined);
+    printReport(results);
+
+    if (options.out) {
+        writeFileSync(options.out, JSON.stringify(results, null, 2));
+        console.log(`📝 JSONレポートを保存しました: ${options.out}\n`);
+    }
+    process.exit(results.some(hasProblems) ? 1 : 0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2));
+}